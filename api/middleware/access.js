@@ -0,0 +1,289 @@
+/**
+ * @description Mesh-level authorization for MeshCentral-ScriptTask API
+ * @author Enhanced by Copilot
+ * @license Apache-2.0
+ */
+
+"use strict";
+
+// MeshCentral device group rights used by the API
+const MESHRIGHT_MANAGECOMPUTERS = 0x00000004;
+const MESHRIGHT_REMOTECOMMAND = 0x00020000;
+
+// Rights needed on a node's mesh for each kind of action. Any link to a mesh shows its nodes.
+const NODE_ACTIONS = {
+    view: 0,
+    run: MESHRIGHT_REMOTECOMMAND, // run scripts and workflows, cancel and retry jobs
+    manage: MESHRIGHT_MANAGECOMPUTERS // quarantine
+};
+
+class MeshAccess {
+    /**
+     * Checks a request user (see AuthMiddleware.buildUser) against MeshCentral's mesh rights.
+     * Full site administrators can do everything.
+     * @param {Object} meshServer
+     */
+    constructor(meshServer) {
+        this.meshServer = meshServer;
+    }
+
+    /**
+     * Get a user's rights on a mesh
+     * @param {Object} user
+     * @param {String} meshId
+     * @returns {Number|null} - null if the user has no access to the mesh
+     */
+    meshRights(user, meshId) {
+        if (user.siteAdmin) return 0xFFFFFFFF;
+        const meshes = user.meshes || {};
+        return Object.prototype.hasOwnProperty.call(meshes, meshId) ? meshes[meshId] : null;
+    }
+
+    /**
+     * Get a user's rights on a node: the rights on its mesh and on the node itself
+     * @param {Object} user
+     * @param {String} nodeId
+     * @param {Map} cache - nodeId -> meshId, shared by the checks of one request
+     * @returns {Promise<Number|null>} - null if the user has no access to the node
+     */
+    async nodeRights(user, nodeId, cache = new Map()) {
+        if (user.siteAdmin) return 0xFFFFFFFF;
+
+        const meshId = await this.getNodeMeshId(nodeId, cache);
+        const meshRights = meshId ? this.meshRights(user, meshId) : null;
+        const nodes = user.nodes || {};
+        const nodeRights = Object.prototype.hasOwnProperty.call(nodes, nodeId) ? nodes[nodeId] : null;
+
+        if (meshRights === null && nodeRights === null) return null;
+        return ((meshRights || 0) | (nodeRights || 0)) >>> 0;
+    }
+
+    /**
+     * Check whether a user may act on a mesh
+     * @param {Object} user
+     * @param {String} meshId
+     * @param {String} action - view, run or manage
+     * @returns {Boolean}
+     */
+    canMesh(user, meshId, action = 'view') {
+        return MeshAccess.allows(this.meshRights(user, meshId), action);
+    }
+
+    /**
+     * Check whether a user may act on a node
+     * @param {Object} user
+     * @param {String} nodeId
+     * @param {String} action - view, run or manage
+     * @param {Map} cache
+     * @returns {Promise<Boolean>}
+     */
+    async canNode(user, nodeId, action = 'view', cache = new Map()) {
+        if (!nodeId) return false;
+        return MeshAccess.allows(await this.nodeRights(user, nodeId, cache), action);
+    }
+
+    /**
+     * Keep the items whose node the user may act on
+     * @param {Object} user
+     * @param {Array} items - e.g. jobs or executions
+     * @param {Function} getNodeId - item -> nodeId
+     * @param {String} action
+     * @returns {Promise<Array>}
+     */
+    async filterByNode(user, items, getNodeId, action = 'view') {
+        if (user.siteAdmin) return items;
+
+        const cache = new Map();
+        const allowed = [];
+        for (const item of items) {
+            if (await this.canNode(user, getNodeId(item), action, cache)) allowed.push(item);
+        }
+        return allowed;
+    }
+
+    /**
+     * Check the nodes and meshes a script is sent to
+     * @param {Object} user
+     * @param {Object} targets - { nodes, meshes }
+     * @param {Object} script - Its scopeMeshes limit the targets, null to skip
+     * @returns {Promise<Object>} - { success, error }
+     */
+    async checkTargets(user, targets, script = null) {
+        const nodes = targets.nodes || [];
+        const meshes = targets.meshes || [];
+        const scope = (script && Array.isArray(script.scopeMeshes)) ? script.scopeMeshes : [];
+        const cache = new Map();
+
+        const deniedMeshes = meshes.filter(meshId => !this.canMesh(user, meshId, 'run'));
+        if (deniedMeshes.length) {
+            return { success: false, error: `No permission to run commands in device groups: ${deniedMeshes.join(', ')}` };
+        }
+
+        const deniedNodes = [];
+        for (const nodeId of nodes) {
+            if (!(await this.canNode(user, nodeId, 'run', cache))) deniedNodes.push(nodeId);
+        }
+        if (deniedNodes.length) {
+            return { success: false, error: `No permission to run commands on nodes: ${deniedNodes.join(', ')}` };
+        }
+
+        if (scope.length) {
+            const outside = meshes.filter(meshId => !scope.includes(meshId));
+            for (const nodeId of nodes) {
+                if (!scope.includes(await this.getNodeMeshId(nodeId, cache))) outside.push(nodeId);
+            }
+            if (outside.length) {
+                return { success: false, error: `Script ${script.name} is limited to other device groups: ${outside.join(', ')}` };
+            }
+        }
+
+        return { success: true };
+    }
+
+    /**
+     * Get the meshes of a schedule's targets, its scope
+     * @param {Object} targets - { nodes, meshes }
+     * @returns {Promise<Array<String>>}
+     */
+    async getTargetMeshes(targets) {
+        const meshes = new Set(targets.meshes || []);
+        const cache = new Map();
+        for (const nodeId of targets.nodes || []) {
+            const meshId = await this.getNodeMeshId(nodeId, cache);
+            if (meshId) meshes.add(meshId);
+        }
+        return [...meshes];
+    }
+
+    /**
+     * Check the meshes an object is limited to. Only meshes the user can run commands in
+     * may be used, and objects for all meshes can be required to be set up by site administrators.
+     * @param {Object} user
+     * @param {*} scopeMeshes - Value from the request
+     * @param {Boolean} adminForAll - Whether an empty scope needs a site administrator
+     * @returns {Object} - { success, scopeMeshes, error }
+     */
+    checkScope(user, scopeMeshes, adminForAll = false) {
+        const scope = scopeMeshes == null ? [] : scopeMeshes;
+        if (!Array.isArray(scope) || scope.some(meshId => typeof meshId !== 'string' || !meshId)) {
+            return { success: false, error: 'scopeMeshes must be an array of device group ids' };
+        }
+
+        if (scope.length === 0 && adminForAll && !user.siteAdmin) {
+            return { success: false, error: 'Only site administrators can create objects for all device groups, set scopeMeshes' };
+        }
+
+        const denied = scope.filter(meshId => !this.canMesh(user, meshId, 'run'));
+        if (denied.length) {
+            return { success: false, error: `No permission to run commands in device groups: ${denied.join(', ')}` };
+        }
+
+        return { success: true, scopeMeshes: [...new Set(scope)] };
+    }
+
+    /**
+     * Check whether a user may see a script, schedule or workflow: its owner, or any
+     * user with access to all of its meshes. Objects without scopeMeshes are shared.
+     * @param {Object} user
+     * @param {Object} object
+     * @returns {Boolean}
+     */
+    canRead(user, object) {
+        if (user.siteAdmin || MeshAccess.isOwner(user, object)) return true;
+        const scope = Array.isArray(object.scopeMeshes) ? object.scopeMeshes : [];
+        return scope.every(meshId => this.meshRights(user, meshId) !== null);
+    }
+
+    /**
+     * Check whether a user may change or delete a script, schedule or workflow: its owner
+     * or a site administrator. Objects made before owners were recorded are for administrators.
+     * @param {Object} user
+     * @param {Object} object
+     * @returns {Boolean}
+     */
+    canWrite(user, object) {
+        return user.siteAdmin === true || MeshAccess.isOwner(user, object);
+    }
+
+    /**
+     * Check whether a user may set or clear a script's diagnostic flag, or change what a diagnostic
+     * script runs. Diagnostic scripts run on quarantined nodes, so this needs the right to manage
+     * (and quarantine) every mesh the script is limited to. Scripts for all meshes are for site administrators.
+     * @param {Object} user
+     * @param {Array<String>} scopeMeshes - The script's scope
+     * @returns {Boolean}
+     */
+    canManageDiagnostic(user, scopeMeshes) {
+        if (user.siteAdmin) return true;
+        const scope = Array.isArray(scopeMeshes) ? scopeMeshes : [];
+        return scope.length > 0 && scope.every(meshId => this.canMesh(user, meshId, 'manage'));
+    }
+
+    /**
+     * Find the mesh of a node, online or not
+     * @param {String} nodeId
+     * @param {Map} cache
+     * @returns {Promise<String|null>}
+     */
+    async getNodeMeshId(nodeId, cache = new Map()) {
+        if (cache.has(nodeId)) return cache.get(nodeId);
+
+        const agent = this.meshServer && this.meshServer.webserver && this.meshServer.webserver.wsagents
+            ? this.meshServer.webserver.wsagents[nodeId] : null;
+        let meshId = agent ? agent.dbMeshKey : null;
+
+        if (!meshId && this.meshServer && this.meshServer.db) {
+            meshId = await new Promise(resolve => {
+                try {
+                    this.meshServer.db.Get(nodeId, (err, nodes) => {
+                        resolve((!err && nodes && nodes.length) ? nodes[0].meshid : null);
+                    });
+                } catch (e) {
+                    resolve(null);
+                }
+            });
+        }
+
+        cache.set(nodeId, meshId || null);
+        return meshId || null;
+    }
+
+    /**
+     * Check whether an object limited to device groups, e.g. a script, can be used by one
+     * limited to scopeMeshes: all of those meshes have to be in the object's scope
+     * @param {Object} object
+     * @param {Array<String>} scopeMeshes - Empty for all meshes
+     * @returns {Boolean}
+     */
+    static coversScope(object, scopeMeshes) {
+        const scope = Array.isArray(object.scopeMeshes) ? object.scopeMeshes : [];
+        if (scope.length === 0) return true;
+        return Array.isArray(scopeMeshes) && scopeMeshes.length > 0 && scopeMeshes.every(meshId => scope.includes(meshId));
+    }
+
+    /**
+     * @param {Object} user
+     * @param {Object} object
+     * @returns {Boolean}
+     */
+    static isOwner(user, object) {
+        return !!object.owner && object.owner === user.userId;
+    }
+
+    /**
+     * @param {Number|null} rights
+     * @param {String} action - view, run or manage
+     * @returns {Boolean}
+     */
+    static allows(rights, action) {
+        if (rights === null || rights === undefined) return false;
+        const needed = NODE_ACTIONS[action];
+        return ((rights & needed) >>> 0) === needed;
+    }
+}
+
+MeshAccess.NODE_ACTIONS = NODE_ACTIONS;
+MeshAccess.MESHRIGHT_MANAGECOMPUTERS = MESHRIGHT_MANAGECOMPUTERS;
+MeshAccess.MESHRIGHT_REMOTECOMMAND = MESHRIGHT_REMOTECOMMAND;
+
+module.exports = MeshAccess;
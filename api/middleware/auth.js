@@ -6,22 +6,53 @@
 
 "use strict";
 
+const crypto = require('crypto');
+const net = require('net');
 const jwt = require('jsonwebtoken');
 
+const FULL_SITE_ADMIN = 0xFFFFFFFF;
+const SITERIGHT_LOCKED = 32;
+
+// MeshCentral's session cookie (cookie-session, signed with the server's session key)
+const SESSION_COOKIE = 'xid';
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// TOTP as MeshCentral's authenticator app setup: SHA1, 6 digits, 30s steps, codes up to 2 steps away accepted
+const TOTP_STEP = 30;
+const TOTP_WINDOW = 2;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// What an API key may do. Read scopes cover GET requests, write scopes the others.
+const SCOPES = [
+    'schedules:read', 'schedules:write',
+    'scripts:read', 'scripts:write', 'scripts:run',
+    'jobs:read', 'jobs:write',
+    'nodes:read', 'nodes:write',
+    'remediation:read', 'remediation:write', 'remediation:trigger',
+    'audit:read'
+];
+const API_KEY_PREFIX = 'stask_';
+const LAST_USED_INTERVAL = 60 * 1000; // ms between lastUsedAt updates of a key in use
+
 class AuthMiddleware {
-    constructor(meshServer, config) {
+    /**
+     * @param {Object} meshServer
+     * @param {Object} db - API keys are stored in the plugin database, hashed
+     * @param {Object} config - apiServer settings: { jwtSecret, jwtExpiresIn, sessionCookie }
+     */
+    constructor(meshServer, db, config = {}) {
         this.meshServer = meshServer;
-        this.config = config;
+        this.db = db;
+        this.config = config || {};
         // Generate JWT secret or use configured one
-        this.jwtSecret = config.jwtSecret || this.generateSecret();
-        this.apiKeys = new Map(); // apiKey -> { userId, permissions }
+        this.jwtSecret = this.config.jwtSecret || this.generateSecret();
     }
     
     /**
      * Generate a random JWT secret
      */
     generateSecret() {
-        return require('crypto').randomBytes(64).toString('hex');
+        return crypto.randomBytes(64).toString('hex');
     }
     
     /**
@@ -35,17 +66,18 @@ class AuthMiddleware {
                 
                 if (authHeader && authHeader.startsWith('Bearer ')) {
                     const token = authHeader.substring(7);
-                    return this.verifyJWT(token, req, res, next);
+                    return await this.verifyJWT(token, req, res, next);
                 }
                 
                 // Check for API key in header
                 const apiKey = req.headers['x-api-key'];
                 if (apiKey) {
-                    return this.verifyAPIKey(apiKey, req, res, next);
+                    return await this.verifyAPIKey(apiKey, req, res, next);
                 }
                 
-                // Check for MeshCentral session cookie
-                const sessionAuth = await this.verifyMeshCentralSession(req);
+                // Check for MeshCentral session cookie. Browsers send it with requests from any site, so
+                // changes need a header that other sites can't set without a CORS preflight.
+                const sessionAuth = AuthMiddleware.sessionAllowed(req) ? await this.verifyMeshCentralSession(req) : null;
                 if (sessionAuth) {
                     req.user = sessionAuth;
                     return next();
@@ -60,18 +92,143 @@ class AuthMiddleware {
         };
     }
     
+    /**
+     * Log in with a MeshCentral account. Accounts with two-factor authentication need
+     * the code from their authenticator app, or one of their backup codes, as token.
+     * @param {String} username
+     * @param {String} password
+     * @param {String} token - Two-factor code
+     * @param {String} domainId - MeshCentral domain, '' for the default one
+     * @returns {Promise<Object>} - { success, token, user, twoFactorRequired, error }
+     */
+    async login(username, password, token = null, domainId = '') {
+        const domain = this.getDomain(domainId);
+        if (!domain) {
+            return { success: false, error: 'Unknown domain' };
+        }
+        if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+            return { success: false, error: 'Username and password are required' };
+        }
+        
+        const userId = await new Promise(resolve => {
+            this.meshServer.webserver.authenticate(username, password, domain, (err, id) => {
+                resolve(err ? null : id);
+            });
+        });
+        const meshUser = userId ? this.getMeshUser(userId) : null;
+        if (!meshUser || this.isLocked(meshUser)) {
+            console.log(`ScriptTask Auth: Failed login for ${username}`);
+            return { success: false, error: 'Invalid username or password' };
+        }
+        
+        const secondFactor = this.checkSecondFactor(meshUser, domain, token);
+        if (!secondFactor.success) {
+            console.log(`ScriptTask Auth: Two-factor check failed for ${username}: ${secondFactor.error}`);
+            return secondFactor;
+        }
+        
+        console.log(`ScriptTask Auth: ${meshUser.name} logged in`);
+        return this.issueToken(meshUser);
+    }
+    
+    /**
+     * Exchange a MeshCentral session cookie for a token
+     * @param {Object} req
+     * @returns {Promise<Object>} - { success, token, user, error }
+     */
+    async loginWithSession(req) {
+        if (!AuthMiddleware.sessionAllowed(req)) {
+            return { success: false, error: 'The X-Requested-With header is required to use the MeshCentral session' };
+        }
+        const meshUser = this.getSessionUser(req);
+        if (!meshUser) {
+            return { success: false, error: 'No valid MeshCentral session' };
+        }
+        return this.issueToken(meshUser);
+    }
+    
+    /**
+     * Sign a token for a MeshCentral user
+     * @param {Object} meshUser
+     * @returns {Object} - { success, token, user }
+     */
+    issueToken(meshUser) {
+        const user = this.buildUser(meshUser);
+        return {
+            success: true,
+            token: this.generateToken(user, this.config.jwtExpiresIn || '24h'),
+            user: user
+        };
+    }
+    
+    /**
+     * Check the second factor of a user who has two-factor authentication
+     * @param {Object} meshUser
+     * @param {Object} domain
+     * @param {String} token
+     * @returns {Object} - { success, twoFactorRequired, error }
+     */
+    checkSecondFactor(meshUser, domain, token) {
+        const hasTotp = typeof meshUser.otpsecret === 'string' && meshUser.otpsecret.length > 0;
+        const backupCodes = (meshUser.otpkeys && Array.isArray(meshUser.otpkeys.keys)) ? meshUser.otpkeys.keys : [];
+        const hasOtherFactor = (Array.isArray(meshUser.otphkeys) && meshUser.otphkeys.length > 0)
+            || meshUser.otpemail === true || meshUser.otpsms != null || meshUser.otpmsg != null || meshUser.otpduo != null;
+        
+        if (!hasTotp && !hasOtherFactor) {
+            const forced = domain.passwordrequirements && domain.passwordrequirements.force2factor === true;
+            if (forced) {
+                return { success: false, error: 'Two-factor authentication is required, set it up in MeshCentral first' };
+            }
+            return { success: true };
+        }
+        
+        if (token == null || token === '') {
+            return { success: false, twoFactorRequired: true, error: 'Two-factor code required' };
+        }
+        
+        const code = String(token).replace(/\s/g, '');
+        if (hasTotp && /^\d{6}$/.test(code) && this.verifyTotp(meshUser.otpsecret, code)) {
+            return { success: true };
+        }
+        
+        // Backup codes work once, as in MeshCentral's own login
+        const backup = backupCodes.find(k => k.u === true && String(k.p) === code);
+        if (backup) {
+            backup.u = false;
+            this.meshServer.db.SetUser(meshUser);
+            return { success: true };
+        }
+        
+        if (!hasTotp && backupCodes.length === 0) {
+            return { success: false, error: 'This account\'s two-factor method can\'t be used for API login, sign in to MeshCentral and use its session' };
+        }
+        return { success: false, twoFactorRequired: true, error: 'Invalid two-factor code' };
+    }
+    
+    /**
+     * Check a TOTP code (RFC 6238) against a base32 secret
+     * @param {String} secret
+     * @param {String} code
+     * @returns {Boolean}
+     */
+    verifyTotp(secret, code) {
+        const key = AuthMiddleware.base32Decode(secret);
+        if (key.length === 0) return false;
+        
+        const counter = Math.floor(Date.now() / 1000 / TOTP_STEP);
+        for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+            const expected = AuthMiddleware.hotp(key, counter + offset);
+            if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) return true;
+        }
+        return false;
+    }
+    
     /**
      * Verify JWT token
      */
     verifyJWT(token, req, res, next) {
         try {
-            const decoded = jwt.verify(token, this.jwtSecret);
-            req.user = {
-                userId: decoded.userId,
-                username: decoded.username,
-                siteAdmin: decoded.siteAdmin || false,
-                permissions: decoded.permissions || []
-            };
+            req.user = this.getTokenUser(token);
             next();
         } catch (e) {
             console.error('ScriptTask Auth: Invalid JWT token', e.message);
@@ -79,48 +236,230 @@ class AuthMiddleware {
         }
     }
     
+    /**
+     * Verify a token, for clients that can't send headers (e.g. WebSocket)
+     * @param {String} token
+     * @returns {Promise<Object>} - User
+     */
+    async verifyToken(token) {
+        try {
+            return this.getTokenUser(token);
+        } catch (e) {
+            const error = new Error('Invalid token');
+            error.statusCode = 401;
+            throw error;
+        }
+    }
+    
+    /**
+     * Get the user of a token. Rights are read from the MeshCentral account, so a token
+     * stops working when the account is deleted or locked, and rights changes apply at once.
+     * @param {String} token
+     * @returns {Object} - User
+     */
+    getTokenUser(token) {
+        const decoded = jwt.verify(token, this.jwtSecret);
+        const meshUser = this.getMeshUser(decoded.userId);
+        if (!meshUser) {
+            throw new Error(`User ${decoded.userId} no longer exists`);
+        }
+        if (this.isLocked(meshUser)) {
+            throw new Error(`User ${decoded.userId} is locked`);
+        }
+        return this.buildUser(meshUser);
+    }
+    
     /**
      * Verify API key
      */
-    verifyAPIKey(apiKey, req, res, next) {
-        const keyData = this.apiKeys.get(apiKey);
+    async verifyAPIKey(apiKey, req, res, next) {
+        const result = await this.checkAPIKey(apiKey, req.ip);
+        if (!result.success) {
+            return res.status(401).json({ error: result.error });
+        }
+        
+        req.user = result.user;
+        next();
+    }
+    
+    /**
+     * Check an API key. A key acts as its owner, limited to its scopes.
+     * @param {String} apiKey
+     * @param {String} ip - Client address
+     * @returns {Promise<Object>} - { success, user, error }
+     */
+    async checkAPIKey(apiKey, ip) {
+        const record = await this.db.scriptFile.findOne({ type: 'api_key', keyHash: AuthMiddleware.hashKey(apiKey) });
+        if (!record || record.revoked) {
+            return { success: false, error: 'Invalid API key' };
+        }
         
-        if (!keyData) {
-            return res.status(401).json({ error: 'Invalid API key' });
+        const now = Date.now();
+        if (record.expiresAt != null && record.expiresAt <= now) {
+            return { success: false, error: 'API key expired' };
+        }
+        if (record.allowedIps && record.allowedIps.length && !AuthMiddleware.ipAllowed(ip, record.allowedIps)) {
+            console.log(`ScriptTask Auth: API key ${record.prefix} used from ${ip}, not in its allowlist`);
+            return { success: false, error: 'API key not allowed from this address' };
         }
         
-        req.user = {
-            userId: keyData.userId,
-            username: keyData.username,
-            siteAdmin: keyData.siteAdmin || false,
-            permissions: keyData.permissions || [],
-            apiKey: true
-        };
+        const owner = this.getMeshUser(record.userId);
+        if (!owner || this.isLocked(owner)) {
+            return { success: false, error: 'Invalid API key' };
+        }
         
-        next();
+        if (!record.lastUsedAt || now - record.lastUsedAt >= LAST_USED_INTERVAL) {
+            await this.db.scriptFile.updateOne(
+                { _id: record._id },
+                { $set: { lastUsedAt: now, lastUsedIp: ip || null } }
+            );
+        }
+        
+        return {
+            success: true,
+            user: {
+                ...this.buildUser(owner),
+                permissions: record.scopes,
+                apiKey: record._id.toString()
+            }
+        };
     }
     
     /**
      * Verify MeshCentral session
+     * @param {Object} req
+     * @returns {Promise<Object|null>} - User, null without a valid session
      */
     async verifyMeshCentralSession(req) {
         try {
-            // Extract session cookie
-            if (!req.cookies || !req.cookies.connect_sid) {
-                return null;
-            }
-            
-            // This is a simplified version - in production, you'd need to
-            // integrate with MeshCentral's session store
-            // For now, we'll return null and require JWT/API key auth
-            
-            return null;
+            const meshUser = this.getSessionUser(req);
+            return meshUser ? this.buildUser(meshUser) : null;
         } catch (e) {
             console.error('ScriptTask Auth: Error verifying MeshCentral session', e);
             return null;
         }
     }
     
+    /**
+     * Get the MeshCentral user logged in with the request's session cookie. The cookie is
+     * sent to the API as well when it runs on the MeshCentral host, on its own port.
+     * @param {Object} req - Request, or a socket handshake
+     * @returns {Object|null}
+     */
+    getSessionUser(req) {
+        const sessionKey = this.meshServer.args && this.meshServer.args.sessionkey;
+        if (!sessionKey) return null;
+        
+        const name = this.config.sessionCookie || SESSION_COOKIE;
+        const cookies = AuthMiddleware.parseCookies(req.headers && req.headers.cookie);
+        const value = cookies[name];
+        const signature = cookies[name + '.sig'];
+        if (!value || !signature) return null;
+        
+        // Signed like cookie-session's keygrip: HMAC-SHA1 of "name=value", url-safe base64
+        const expected = crypto.createHmac('sha1', sessionKey).update(`${name}=${value}`).digest('base64')
+            .replace(/\//g, '_').replace(/\+/g, '-').replace(/=+$/, '');
+        if (expected.length !== signature.length
+            || !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature))) {
+            return null;
+        }
+        
+        let session;
+        try {
+            session = JSON.parse(Buffer.from(value, 'base64').toString('utf8'));
+        } catch (e) {
+            return null;
+        }
+        
+        // MeshCentral only sets userid once the login, including two-factor, is complete
+        if (!session || typeof session.userid !== 'string') return null;
+        if (session.expire != null && session.expire < Date.now()) return null;
+        
+        const meshUser = this.getMeshUser(session.userid);
+        if (!meshUser || this.isLocked(meshUser)) return null;
+        return meshUser;
+    }
+    
+    /**
+     * Get a MeshCentral account
+     * @param {String} userId - e.g. user//admin
+     * @returns {Object|null}
+     */
+    getMeshUser(userId) {
+        const users = this.meshServer.webserver && this.meshServer.webserver.users;
+        return (users && typeof userId === 'string' && users[userId]) || null;
+    }
+    
+    /**
+     * Get a MeshCentral domain
+     * @param {String} domainId
+     * @returns {Object|null}
+     */
+    getDomain(domainId) {
+        const domains = this.meshServer.config && this.meshServer.config.domains;
+        return (domains && domains[domainId || '']) || null;
+    }
+    
+    /**
+     * Check whether an account is locked, full site administrators can't be
+     * @param {Object} meshUser
+     * @returns {Boolean}
+     */
+    isLocked(meshUser) {
+        const rights = meshUser.siteadmin || 0;
+        return rights !== FULL_SITE_ADMIN && (rights & SITERIGHT_LOCKED) !== 0;
+    }
+    
+    /**
+     * Build the request user from a MeshCentral account, with its site rights and the
+     * meshes and single nodes it can access directly or through its user groups
+     * @param {Object} meshUser
+     * @returns {Object} - { userId, username, domain, siteAdmin, siteRights, meshes, nodes, permissions }
+     */
+    buildUser(meshUser) {
+        return AuthMiddleware.buildUser(this.meshServer, meshUser);
+    }
+    
+    /**
+     * Build the request user of a MeshCentral account, e.g. for the plugin's pages
+     * @param {Object} meshServer
+     * @param {Object} meshUser
+     * @returns {Object}
+     */
+    static buildUser(meshServer, meshUser) {
+        const meshes = {};
+        const nodes = {};
+        const addLink = (id, rights) => {
+            const target = id.startsWith('mesh/') ? meshes : id.startsWith('node/') ? nodes : null;
+            if (target) target[id] = ((target[id] || 0) | (rights || 0)) >>> 0; // rights are unsigned 32 bit
+        };
+        
+        const links = meshUser.links || {};
+        const groups = (meshServer.webserver && meshServer.webserver.userGroups) || {};
+        for (const id of Object.keys(links)) {
+            if (id.startsWith('ugrp/')) {
+                if (!groups[id] || !groups[id].links) continue;
+                for (const groupLink of Object.keys(groups[id].links)) {
+                    addLink(groupLink, groups[id].links[groupLink].rights);
+                }
+            } else {
+                addLink(id, links[id].rights);
+            }
+        }
+        
+        const siteRights = meshUser.siteadmin || 0;
+        return {
+            userId: meshUser._id,
+            username: meshUser.name,
+            domain: meshUser.domain || '',
+            siteAdmin: siteRights === FULL_SITE_ADMIN,
+            siteRights: siteRights,
+            meshes: meshes,
+            nodes: nodes,
+            permissions: []
+        };
+    }
+    
     /**
      * Check if user has admin permissions
      */
@@ -130,11 +469,8 @@ class AuthMiddleware {
                 return res.status(401).json({ error: 'Authentication required' });
             }
             
-            // Check siteAdmin property (normalize to lowercase for consistency)
-            const isAdmin = req.user.siteAdmin || req.user.siteadmin;
-            
-            // For MeshCentral users, also check the bitwise flag
-            if (!isAdmin && !(req.user.siteadmin & 0xFFFFFFFF)) {
+            // Only full site administrators, not users with some site rights
+            if (!req.user.siteAdmin) {
                 return res.status(403).json({ error: 'Admin permissions required' });
             }
             
@@ -142,6 +478,26 @@ class AuthMiddleware {
         };
     }
     
+    /**
+     * Check the scope for a group of routes: <resource>:read for GET requests,
+     * <resource>:write for the others, unless a route has its own scope
+     * @param {String} resource - e.g. scripts
+     * @param {Object} routes - 'METHOD /path/:param' -> scope, paths relative to where the routes are mounted
+     */
+    requireScope(resource, routes = {}) {
+        return (req, res, next) => {
+            let scope = `${resource}:${req.method === 'GET' ? 'read' : 'write'}`;
+            for (const route of Object.keys(routes)) {
+                const [method, path] = route.split(' ');
+                if (method === req.method && AuthMiddleware.matchPath(path, req.path)) {
+                    scope = routes[route];
+                    break;
+                }
+            }
+            return this.requirePermission(scope)(req, res, next);
+        };
+    }
+    
     /**
      * Check if user has specific permission
      */
@@ -151,11 +507,8 @@ class AuthMiddleware {
                 return res.status(401).json({ error: 'Authentication required' });
             }
             
-            // Check if user is admin (normalize property name)
-            const isAdmin = req.user.siteAdmin || req.user.siteadmin;
-            
-            // Admins have all permissions
-            if (isAdmin || (req.user.siteadmin & 0xFFFFFFFF)) {
+            // Scopes restrict API keys, users are limited by their MeshCentral rights
+            if (!req.user.apiKey) {
                 return next();
             }
             
@@ -170,15 +523,17 @@ class AuthMiddleware {
     
     /**
      * Generate JWT token for user
-     * @param {Object} user - User object with userId, username, siteAdmin
+     * @param {Object} user - User built by buildUser()
      * @param {String} expiresIn - Token expiration (e.g., '24h', '7d')
      * @returns {String} JWT token
      */
     generateToken(user, expiresIn = '24h') {
         const payload = {
-            userId: user.userId || user._id,
-            username: user.username || user.name,
-            siteAdmin: user.siteAdmin || false,
+            userId: user.userId,
+            username: user.username,
+            domain: user.domain,
+            siteRights: user.siteRights,
+            meshes: user.meshes,
             permissions: user.permissions || []
         };
         
@@ -186,53 +541,248 @@ class AuthMiddleware {
     }
     
     /**
-     * Create API key for user
-     * @param {String} userId
-     * @param {String} username
-     * @param {Object} options
-     * @returns {String} API key
-     */
-    createAPIKey(userId, username, options = {}) {
-        const apiKey = 'stask_' + require('crypto').randomBytes(32).toString('hex');
-        
-        this.apiKeys.set(apiKey, {
-            userId: userId,
-            username: username,
-            siteAdmin: options.siteAdmin || false,
-            permissions: options.permissions || [],
-            createdAt: Date.now()
-        });
+     * Create API key for user. Only a hash is stored, the key is shown once.
+     * @param {Object} user - Owner, the key acts as this user
+     * @param {Object} options - { name, scopes, expiresAt, allowedIps }
+     * @returns {Promise<Object>} - { success, key, apiKey, error }
+     */
+    async createAPIKey(user, options = {}) {
+        if (!options.name || typeof options.name !== 'string') {
+            return { success: false, error: 'name is required' };
+        }
+        if (!Array.isArray(options.scopes) || options.scopes.length === 0) {
+            return { success: false, error: `scopes is required, available: ${SCOPES.join(', ')}` };
+        }
+        const unknown = options.scopes.filter(scope => !SCOPES.includes(scope));
+        if (unknown.length) {
+            return { success: false, error: `Unknown scopes: ${unknown.join(', ')}` };
+        }
+        
+        let expiresAt = null;
+        if (options.expiresAt != null) {
+            expiresAt = new Date(options.expiresAt).getTime();
+            if (isNaN(expiresAt) || expiresAt <= Date.now()) {
+                return { success: false, error: 'expiresAt must be a date in the future' };
+            }
+        }
+        
+        const allowedIps = options.allowedIps || [];
+        if (!Array.isArray(allowedIps)) {
+            return { success: false, error: 'allowedIps must be an array' };
+        }
+        const badIp = allowedIps.find(rule => !AuthMiddleware.validIpRule(rule));
+        if (badIp !== undefined) {
+            return { success: false, error: `Invalid address in allowedIps: ${badIp}` };
+        }
         
-        return apiKey;
+        const key = API_KEY_PREFIX + crypto.randomBytes(32).toString('hex');
+        const record = {
+            type: 'api_key',
+            name: options.name,
+            keyHash: AuthMiddleware.hashKey(key),
+            prefix: key.substring(0, API_KEY_PREFIX.length + 8), // to recognise the key in lists
+            userId: user.userId,
+            username: user.username,
+            scopes: [...new Set(options.scopes)],
+            allowedIps: allowedIps,
+            expiresAt: expiresAt,
+            createdAt: Date.now(),
+            lastUsedAt: null,
+            lastUsedIp: null,
+            revoked: false
+        };
+        const result = await this.db.scriptFile.insertOne(record);
+        record._id = result.insertedId;
+        
+        console.log(`ScriptTask Auth: ${user.username} created API key ${record.prefix} (${record.name})`);
+        return { success: true, key: key, apiKey: AuthMiddleware.maskKey(record) };
     }
     
     /**
-     * Revoke API key
-     * @param {String} apiKey
+     * Revoke API key. The record is kept, so the key's use stays traceable.
+     * @param {String} keyId
+     * @param {Object} user - Owner of the key, or a site administrator
+     * @returns {Promise<Object>} - { success, error, code }
+     */
+    async revokeAPIKey(keyId, user) {
+        const record = await this.db.scriptFile.findOne({ _id: this.db.formatId(keyId), type: 'api_key' });
+        if (!record || (record.userId !== user.userId && !user.siteAdmin)) {
+            return { success: false, error: 'API key not found', code: 404 };
+        }
+        if (record.revoked) {
+            return { success: false, error: 'API key already revoked', code: 400 };
+        }
+        
+        await this.db.scriptFile.updateOne(
+            { _id: record._id },
+            { $set: { revoked: true, revokedAt: Date.now(), revokedBy: user.username } }
+        );
+        
+        console.log(`ScriptTask Auth: ${user.username} revoked API key ${record.prefix} (${record.name})`);
+        return { success: true };
+    }
+    
+    /**
+     * List API keys, without their hashes
+     * @param {Object} user
+     * @param {Boolean} all - Every user's keys, for site administrators
+     * @returns {Promise<Array>}
+     */
+    async listAPIKeys(user, all = false) {
+        const query = { type: 'api_key' };
+        if (!(all && user.siteAdmin)) {
+            query.userId = user.userId;
+        }
+        const keys = await this.db.scriptFile.find(query).sort({ createdAt: -1 }).toArray();
+        return keys.map(AuthMiddleware.maskKey);
+    }
+    
+    /**
+     * Copy of a key record that is safe to return
+     * @param {Object} record
+     * @returns {Object}
+     */
+    static maskKey(record) {
+        const masked = { ...record };
+        delete masked.keyHash;
+        return masked;
+    }
+    
+    /**
+     * Hash of an API key as stored. Keys are random, so a fast hash is enough.
+     * @param {String} key
+     * @returns {String}
+     */
+    static hashKey(key) {
+        return crypto.createHash('sha256').update(String(key)).digest('hex');
+    }
+    
+    /**
+     * Check a route path such as /:id/run against a request path
+     * @param {String} pattern
+     * @param {String} path
+     * @returns {Boolean}
+     */
+    static matchPath(pattern, path) {
+        const expected = pattern.split('/');
+        const actual = path.replace(/\/+$/, '').split('/');
+        if (expected.length !== actual.length) return false;
+        return expected.every((part, i) => part.startsWith(':') ? actual[i] !== '' : part === actual[i]);
+    }
+    
+    /**
+     * Check an allowlist entry: an IPv4 or IPv6 address, or an IPv4 CIDR range
+     * @param {String} rule
+     * @returns {Boolean}
+     */
+    static validIpRule(rule) {
+        if (typeof rule !== 'string') return false;
+        const [address, bits] = rule.split('/');
+        if (bits === undefined) return net.isIP(address) !== 0;
+        return net.isIPv4(address) && /^\d+$/.test(bits) && Number(bits) <= 32;
+    }
+    
+    /**
+     * Check a client address against an allowlist
+     * @param {String} ip
+     * @param {Array<String>} rules
+     * @returns {Boolean}
+     */
+    static ipAllowed(ip, rules) {
+        if (!ip) return false;
+        // IPv4 clients of a dual stack server show up as ::ffff:a.b.c.d
+        const address = ip.startsWith('::ffff:') && net.isIPv4(ip.substring(7)) ? ip.substring(7) : ip.toLowerCase();
+        
+        return rules.some(rule => {
+            const [base, bits] = rule.split('/');
+            if (bits === undefined) return base.toLowerCase() === address;
+            if (!net.isIPv4(address)) return false;
+            const mask = Number(bits) === 0 ? 0 : (~0 << (32 - Number(bits))) >>> 0;
+            return ((AuthMiddleware.ipv4ToNumber(address) & mask) >>> 0) === ((AuthMiddleware.ipv4ToNumber(base) & mask) >>> 0);
+        });
+    }
+    
+    /**
+     * @param {String} ip - IPv4 address
+     * @returns {Number}
+     */
+    static ipv4ToNumber(ip) {
+        return ip.split('.').reduce((value, part) => ((value << 8) | Number(part)) >>> 0, 0);
+    }
+    
+    /**
+     * Check whether a request may be authenticated with the session cookie: reads, and
+     * changes sent by scripts with X-Requested-With, which cross-site forms can't send
+     * @param {Object} req
      * @returns {Boolean}
      */
-    revokeAPIKey(apiKey) {
-        return this.apiKeys.delete(apiKey);
+    static sessionAllowed(req) {
+        return SAFE_METHODS.includes(req.method) || req.headers['x-requested-with'] === 'XMLHttpRequest';
     }
     
     /**
-     * List all API keys for a user
-     * @param {String} userId
-     * @returns {Array}
+     * Parse a Cookie header
+     * @param {String} header
+     * @returns {Object} - name -> value
      */
-    listAPIKeys(userId) {
-        const keys = [];
-        for (const [key, data] of this.apiKeys.entries()) {
-            if (data.userId === userId) {
-                keys.push({
-                    key: key.substring(0, 20) + '...',  // Masked
-                    createdAt: data.createdAt,
-                    permissions: data.permissions
-                });
+    static parseCookies(header) {
+        const cookies = {};
+        if (typeof header !== 'string') return cookies;
+        for (const part of header.split(';')) {
+            const index = part.indexOf('=');
+            if (index < 0) continue;
+            const name = part.substring(0, index).trim();
+            let value = part.substring(index + 1).trim();
+            if (value.startsWith('"') && value.endsWith('"')) value = value.slice(1, -1);
+            try {
+                cookies[name] = decodeURIComponent(value);
+            } catch (e) {
+                cookies[name] = value;
             }
         }
-        return keys;
+        return cookies;
+    }
+    
+    /**
+     * Decode a base32 (RFC 4648) TOTP secret
+     * @param {String} text
+     * @returns {Buffer} - Empty if the text is not base32
+     */
+    static base32Decode(text) {
+        const clean = String(text).toUpperCase().replace(/[\s=]/g, '');
+        let bits = 0;
+        let value = 0;
+        const bytes = [];
+        for (const char of clean) {
+            const index = BASE32_ALPHABET.indexOf(char);
+            if (index < 0) return Buffer.alloc(0);
+            value = (value << 5) | index;
+            bits += 5;
+            if (bits >= 8) {
+                bytes.push((value >>> (bits - 8)) & 0xFF);
+                bits -= 8;
+            }
+        }
+        return Buffer.from(bytes);
+    }
+    
+    /**
+     * HOTP code (RFC 4226) for a counter
+     * @param {Buffer} key
+     * @param {Number} counter
+     * @returns {String} - 6 digits
+     */
+    static hotp(key, counter) {
+        const message = Buffer.alloc(8);
+        message.writeUInt32BE(Math.floor(counter / 0x100000000), 0);
+        message.writeUInt32BE(counter % 0x100000000, 4);
+        const hash = crypto.createHmac('sha1', key).update(message).digest();
+        const offset = hash[hash.length - 1] & 0x0F;
+        const binary = ((hash[offset] & 0x7F) << 24) | (hash[offset + 1] << 16) | (hash[offset + 2] << 8) | hash[offset + 3];
+        return String(binary % 1000000).padStart(6, '0');
     }
 }
 
+AuthMiddleware.SCOPES = SCOPES;
+
 module.exports = AuthMiddleware;
@@ -0,0 +1,82 @@
+/**
+ * @description Audit log routes for MeshCentral-ScriptTask API
+ * @author Enhanced by Copilot
+ * @license Apache-2.0
+ */
+
+"use strict";
+
+const express = require('express');
+const AuditLog = require('../../scheduler/audit');
+const router = express.Router();
+
+const MAX_LIMIT = 1000;
+const MAX_EXPORT = 10000;
+const EXPORT_FORMATS = ['json', 'csv'];
+
+module.exports = function(audit) {
+
+    // Read the filters of a request, from and to are dates or milliseconds
+    const parseFilters = (query) => {
+        const filters = {};
+        for (const field of AuditLog.FILTER_FIELDS) {
+            if (query[field]) filters[field] = query[field];
+        }
+        for (const field of ['from', 'to']) {
+            if (query[field] == null || query[field] === '') continue;
+            const time = /^\d+$/.test(query[field]) ? Number(query[field]) : new Date(query[field]).getTime();
+            if (isNaN(time)) return { error: `Invalid ${field}` };
+            filters[field] = time;
+        }
+        return { filters };
+    };
+
+    // GET /api/audit - List audit entries, newest first. Older pages: set to to the time of the last entry
+    router.get('/', async (req, res) => {
+        try {
+            const parsed = parseFilters(req.query);
+            if (parsed.error) {
+                return res.status(400).json({ success: false, error: parsed.error });
+            }
+
+            const limit = Math.min(parseInt(req.query.limit) || 100, MAX_LIMIT);
+            const entries = await audit.find(parsed.filters, limit);
+
+            res.json({ success: true, entries });
+        } catch (e) {
+            console.error('ScriptTask API: Error listing audit entries', e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    });
+
+    // GET /api/audit/export - Download audit entries as JSON or CSV (?format=csv), same filters as the list
+    router.get('/export', async (req, res) => {
+        try {
+            const format = req.query.format || 'json';
+            if (!EXPORT_FORMATS.includes(format)) {
+                return res.status(400).json({ success: false, error: `Invalid format, must be one of: ${EXPORT_FORMATS.join(', ')}` });
+            }
+
+            const parsed = parseFilters(req.query);
+            if (parsed.error) {
+                return res.status(400).json({ success: false, error: parsed.error });
+            }
+
+            const limit = Math.min(parseInt(req.query.limit) || MAX_EXPORT, MAX_EXPORT);
+            const entries = await audit.find(parsed.filters, limit);
+
+            const filename = `scripttask-audit-${new Date().toISOString().slice(0, 10)}.${format}`;
+            res.set('Content-Disposition', `attachment; filename="${filename}"`);
+            if (format === 'csv') {
+                res.type('text/csv').send(AuditLog.toCSV(entries));
+            } else {
+                res.type('application/json').send(JSON.stringify(entries, null, 2));
+            }
+        } catch (e) {
+            console.error('ScriptTask API: Error exporting audit entries', e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    });
+
+    return router;
+};
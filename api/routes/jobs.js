@@ -7,23 +7,40 @@
 "use strict";
 
 const express = require('express');
+const AuditLog = require('../../scheduler/audit');
 const router = express.Router();
 
-module.exports = function(scheduler, db) {
+module.exports = function(scheduler, db, access, audit) {
+    
+    // Jobs on nodes outside the user's meshes are not found
+    router.param('id', async (req, res, next, id) => {
+        try {
+            const job = await db.scriptFile.findOne({ _id: db.formatId(id), type: 'job' });
+            if (job && !(await access.canNode(req.user, job.node))) {
+                return res.status(404).json({ success: false, error: 'Job not found' });
+            }
+            next();
+        } catch (e) {
+            next(e);
+        }
+    });
+    
+    // Jobs are named after their script in the audit log
+    const jobTarget = (job) => ({ type: 'job', id: job._id, name: job.scriptName || null });
     
     // GET /api/jobs - List jobs with filters
     router.get('/', async (req, res) => {
         try {
-            const query = {};
+            const query = { type: 'job' };
             
-            if (req.query.status) {
-                query.status = req.query.status;
+            if (req.query.state) {
+                query.state = req.query.state;
             }
             if (req.query.priority) {
                 query.priority = req.query.priority;
             }
             if (req.query.node) {
-                query['target.nodeId'] = req.query.node;
+                query.node = req.query.node;
             }
             if (req.query.scriptId) {
                 query.scriptId = req.query.scriptId;
@@ -33,9 +50,11 @@ module.exports = function(scheduler, db) {
                 query.tags = { $in: tags };
             }
             
-            const jobs = await db.taskResults.find(query)
-                .sort({ createdAt: -1 })
+            const found = await db.scriptFile.find(query)
+                .sort({ queueTime: -1 })
+                .limit(500)
                 .toArray();
+            const jobs = await access.filterByNode(req.user, found, job => job.node);
             
             res.json({ success: true, jobs });
         } catch (e) {
@@ -47,8 +66,9 @@ module.exports = function(scheduler, db) {
     // GET /api/jobs/:id - Job details
     router.get('/:id', async (req, res) => {
         try {
-            const job = await db.taskResults.findOne({
-                _id: db.formatId(req.params.id)
+            const job = await db.scriptFile.findOne({
+                _id: db.formatId(req.params.id),
+                type: 'job'
             });
             
             if (!job) {
@@ -65,15 +85,20 @@ module.exports = function(scheduler, db) {
     // POST /api/jobs/:id/cancel - Cancel running job
     router.post('/:id/cancel', async (req, res) => {
         try {
-            const job = await db.taskResults.findOne({
-                _id: db.formatId(req.params.id)
+            const job = await db.scriptFile.findOne({
+                _id: db.formatId(req.params.id),
+                type: 'job'
             });
             
             if (!job) {
                 return res.status(404).json({ success: false, error: 'Job not found' });
             }
             
-            if (job.status !== 'running' && job.status !== 'pending') {
+            if (!(await access.canNode(req.user, job.node, 'run'))) {
+                return res.status(403).json({ success: false, error: 'No permission to run commands on this node' });
+            }
+            
+            if (!['pending', 'dispatched', 'running'].includes(job.state)) {
                 return res.status(400).json({ 
                     success: false, 
                     error: 'Job is not running or pending' 
@@ -83,6 +108,7 @@ module.exports = function(scheduler, db) {
             const result = await scheduler.cancelJob(req.params.id, req.user.username);
             
             if (result.success) {
+                await audit.record({ ...AuditLog.fromRequest(req), action: 'job.cancel', target: jobTarget(job), nodeId: job.node });
                 res.json({ success: true });
             } else {
                 res.status(400).json({ success: false, error: result.error });
@@ -93,18 +119,39 @@ module.exports = function(scheduler, db) {
         }
     });
     
+    // GET /api/jobs/:id/attempts - All attempts of a job, oldest first
+    router.get('/:id/attempts', async (req, res) => {
+        try {
+            const attempts = await db.getJobAttempts(req.params.id);
+            
+            if (attempts.length === 0) {
+                return res.status(404).json({ success: false, error: 'Job not found' });
+            }
+            
+            res.json({ success: true, attempts });
+        } catch (e) {
+            console.error('ScriptTask API: Error getting job attempts', e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    });
+    
     // POST /api/jobs/:id/retry - Retry failed job
     router.post('/:id/retry', async (req, res) => {
         try {
-            const job = await db.taskResults.findOne({
-                _id: db.formatId(req.params.id)
+            const job = await db.scriptFile.findOne({
+                _id: db.formatId(req.params.id),
+                type: 'job'
             });
             
             if (!job) {
                 return res.status(404).json({ success: false, error: 'Job not found' });
             }
             
-            if (job.status !== 'failed' && job.status !== 'cancelled') {
+            if (!(await access.canNode(req.user, job.node, 'run'))) {
+                return res.status(403).json({ success: false, error: 'No permission to run commands on this node' });
+            }
+            
+            if (!['error', 'timeout', 'cancelled'].includes(job.state)) {
                 return res.status(400).json({ 
                     success: false, 
                     error: 'Job is not failed or cancelled' 
@@ -114,6 +161,13 @@ module.exports = function(scheduler, db) {
             const result = await scheduler.retryJob(req.params.id, req.user.username);
             
             if (result.success) {
+                await audit.record({
+                    ...AuditLog.fromRequest(req),
+                    action: 'job.retry',
+                    target: jobTarget(job),
+                    nodeId: job.node,
+                    details: { newJobId: result.newJobId }
+                });
                 res.json({ success: true, newJobId: result.newJobId });
             } else {
                 res.status(400).json({ success: false, error: result.error });
@@ -0,0 +1,80 @@
+/**
+ * @description API key routes for MeshCentral-ScriptTask API
+ * @author Enhanced by Copilot
+ * @license Apache-2.0
+ */
+
+"use strict";
+
+const express = require('express');
+const AuditLog = require('../../scheduler/audit');
+const router = express.Router();
+
+module.exports = function(auth, audit) {
+
+    // Keys are managed by users, a key can't create or revoke keys
+    router.use((req, res, next) => {
+        if (req.user.apiKey) {
+            return res.status(403).json({ success: false, error: 'API keys cannot manage API keys' });
+        }
+        next();
+    });
+
+    // GET /api/auth/keys - List your API keys, ?all=true lists every user's keys for site administrators
+    router.get('/', async (req, res) => {
+        try {
+            const all = req.query.all === 'true';
+            if (all && !req.user.siteAdmin) {
+                return res.status(403).json({ success: false, error: 'Admin access required' });
+            }
+
+            const keys = await auth.listAPIKeys(req.user, all);
+
+            res.json({ success: true, keys });
+        } catch (e) {
+            console.error('ScriptTask API: Error listing API keys', e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    });
+
+    // POST /api/auth/keys - Create an API key, the key is only returned in this response
+    router.post('/', async (req, res) => {
+        try {
+            const { name, scopes, expiresAt, allowedIps } = req.body;
+            const result = await auth.createAPIKey(req.user, { name, scopes, expiresAt, allowedIps });
+
+            if (result.success) {
+                await audit.record({ ...AuditLog.fromRequest(req), action: 'api_key.create', after: result.apiKey });
+                res.status(201).json({ success: true, key: result.key, apiKey: result.apiKey });
+            } else {
+                res.status(400).json({ success: false, error: result.error });
+            }
+        } catch (e) {
+            console.error('ScriptTask API: Error creating API key', e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    });
+
+    // DELETE /api/auth/keys/:id - Revoke an API key
+    router.delete('/:id', async (req, res) => {
+        try {
+            const result = await auth.revokeAPIKey(req.params.id, req.user);
+
+            if (result.success) {
+                await audit.record({
+                    ...AuditLog.fromRequest(req),
+                    action: 'api_key.revoke',
+                    target: { type: 'api_key', id: req.params.id }
+                });
+                res.json({ success: true, message: 'API key revoked' });
+            } else {
+                res.status(result.code || 400).json({ success: false, error: result.error });
+            }
+        } catch (e) {
+            console.error('ScriptTask API: Error revoking API key', e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    });
+
+    return router;
+};
@@ -7,9 +7,38 @@
 "use strict";
 
 const express = require('express');
+const NodeQuarantine = require('../../scheduler/quarantine');
+const AuditLog = require('../../scheduler/audit');
 const router = express.Router();
 
-module.exports = function(scheduler, db, meshServer) {
+module.exports = function(scheduler, db, meshServer, access, audit) {
+    
+    // Same quarantine the dispatcher enforces
+    const quarantine = (scheduler && scheduler.dispatcher) ? scheduler.dispatcher.quarantine : new NodeQuarantine(db, audit);
+    
+    // Nodes outside the user's meshes are not found
+    router.param('id', async (req, res, next, id) => {
+        try {
+            if (!(await access.canNode(req.user, id))) {
+                return res.status(404).json({ success: false, error: 'Node not found' });
+            }
+            next();
+        } catch (e) {
+            next(e);
+        }
+    });
+    
+    // GET /api/nodes/quarantined - Nodes currently quarantined
+    router.get('/quarantined', async (req, res) => {
+        try {
+            const quarantines = await access.filterByNode(req.user, await quarantine.list(), q => q.nodeId);
+            
+            res.json({ success: true, quarantines });
+        } catch (e) {
+            console.error('ScriptTask API: Error listing quarantined nodes', e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    });
     
     // GET /api/nodes - List nodes/agents
     router.get('/', async (req, res) => {
@@ -18,10 +47,11 @@ module.exports = function(scheduler, db, meshServer) {
             
             if (meshServer && meshServer.webserver && meshServer.webserver.wsagents) {
                 for (const [nodeId, agent] of Object.entries(meshServer.webserver.wsagents)) {
+                    if (!(await access.canNode(req.user, nodeId))) continue;
                     agents.push({
                         nodeId: nodeId,
                         name: agent.name || 'Unknown',
-                        meshId: agent.meshid || 'Unknown',
+                        meshId: agent.dbMeshKey || 'Unknown',
                         state: agent.authenticated ? 'online' : 'offline',
                         platform: agent.agentInfo ? agent.agentInfo.platform : 'unknown',
                         lastSeen: agent.connectTime || new Date()
@@ -52,7 +82,7 @@ module.exports = function(scheduler, db, meshServer) {
             const nodeDetails = {
                 nodeId: req.params.id,
                 name: agent.name || 'Unknown',
-                meshId: agent.meshid || 'Unknown',
+                meshId: agent.dbMeshKey || 'Unknown',
                 state: agent.authenticated ? 'online' : 'offline',
                 platform: agent.agentInfo ? agent.agentInfo.platform : 'unknown',
                 agentInfo: agent.agentInfo || {},
@@ -120,23 +150,40 @@ module.exports = function(scheduler, db, meshServer) {
         }
     });
     
+    // GET /api/nodes/:id/quarantine - Current quarantine and quarantine history
+    router.get('/:id/quarantine', async (req, res) => {
+        try {
+            const current = await quarantine.getActive(req.params.id);
+            const history = await quarantine.getHistory(req.params.id);
+            
+            res.json({ success: true, quarantine: current, history });
+        } catch (e) {
+            console.error('ScriptTask API: Error getting node quarantine', e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    });
+    
     // POST /api/nodes/:id/quarantine - Quarantine node
     router.post('/:id/quarantine', async (req, res) => {
         try {
-            const reason = req.body.reason || 'Manual quarantine';
-            
-            const quarantineData = {
-                type: 'node_quarantine',
-                nodeId: req.params.id,
-                reason: reason,
-                quarantinedBy: req.user.username,
-                quarantinedAt: new Date(),
-                active: true
-            };
+            if (!(await access.canNode(req.user, req.params.id, 'manage'))) {
+                return res.status(403).json({ success: false, error: 'No permission to manage this node' });
+            }
             
-            await db.scriptFile.insertOne(quarantineData);
+            const result = await quarantine.quarantine(req.params.id, {
+                reason: req.body.reason || 'Manual quarantine',
+                mode: req.body.mode,
+                duration: req.body.duration,
+                expiresAt: req.body.expiresAt,
+                by: req.user.username,
+                origin: AuditLog.fromRequest(req)
+            });
+            
+            if (!result.success) {
+                return res.status(400).json(result);
+            }
             
-            res.json({ success: true, message: 'Node quarantined' });
+            res.json(result);
         } catch (e) {
             console.error('ScriptTask API: Error quarantining node', e);
             res.status(500).json({ success: false, error: e.message });
@@ -146,22 +193,17 @@ module.exports = function(scheduler, db, meshServer) {
     // POST /api/nodes/:id/unquarantine - Remove quarantine
     router.post('/:id/unquarantine', async (req, res) => {
         try {
-            await db.scriptFile.updateMany(
-                { 
-                    type: 'node_quarantine',
-                    nodeId: req.params.id,
-                    active: true
-                },
-                { 
-                    $set: { 
-                        active: false,
-                        releasedBy: req.user.username,
-                        releasedAt: new Date()
-                    }
-                }
-            );
+            if (!(await access.canNode(req.user, req.params.id, 'manage'))) {
+                return res.status(403).json({ success: false, error: 'No permission to manage this node' });
+            }
+            
+            const result = await quarantine.release(req.params.id, req.user.username, req.body.reason, AuditLog.fromRequest(req));
+            
+            if (!result.success) {
+                return res.status(404).json(result);
+            }
             
-            res.json({ success: true, message: 'Node quarantine removed' });
+            res.json(result);
         } catch (e) {
             console.error('ScriptTask API: Error removing quarantine', e);
             res.status(500).json({ success: false, error: e.message });
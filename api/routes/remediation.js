@@ -7,37 +7,120 @@
 "use strict";
 
 const express = require('express');
+const AuditLog = require('../../scheduler/audit');
+const MeshAccess = require('../middleware/access');
 const router = express.Router();
 
-module.exports = function(remediationEngine, db, meshServer) {
+module.exports = function(remediationEngine, db, meshServer, access, audit) {
+    
+    // Load a workflow the user may see
+    const findWorkflow = async (req) => {
+        const workflow = await db.scriptFile.findOne({
+            _id: db.formatId(req.params.id),
+            type: 'remediation_workflow'
+        });
+        return (workflow && access.canRead(req.user, workflow)) ? workflow : null;
+    };
+    
+    // Load an execution on a node the user may see
+    const findExecution = async (req) => {
+        const execution = await db.scriptFile.findOne({
+            _id: db.formatId(req.params.id),
+            type: 'remediation_execution'
+        });
+        return (execution && await access.canNode(req.user, execution.nodeId)) ? execution : null;
+    };
+    
+    // Check the scripts and workflows the steps of a workflow the user saves use: the user has to
+    // see them, and they have to be allowed on every device group the workflow is limited to
+    const checkReferences = async (req, workflow) => {
+        for (const step of workflow.steps || []) {
+            const references = [
+                { id: step.scriptId, type: 'script', name: 'script' },
+                { id: step.rollbackScriptId, type: 'script', name: 'rollback script' },
+                { id: step.type === 'workflow' ? step.workflowId : null, type: 'remediation_workflow', name: 'workflow' }
+            ];
+            for (const reference of references) {
+                if (!reference.id) continue;
+                let found = null;
+                try {
+                    found = await db.scriptFile.findOne({ _id: db.formatId(reference.id), type: reference.type });
+                } catch (e) {
+                    // not a valid id
+                }
+                if (!found || !access.canRead(req.user, found)) {
+                    return { success: false, code: 400, error: `Step ${step.id}: ${reference.name} ${reference.id} not found` };
+                }
+                if (!MeshAccess.coversScope(found, workflow.scopeMeshes)) {
+                    return { success: false, code: 403, error: `Step ${step.id}: ${reference.name} ${found.name} is limited to other device groups` };
+                }
+            }
+        }
+        return { success: true };
+    };
+    
+    // Record a change of a workflow in the audit log, id is null for a deleted workflow
+    const recordChange = async (req, action, before, id) => {
+        const after = id ? await db.scriptFile.findOne({ _id: db.formatId(id), type: 'remediation_workflow' }) : null;
+        await audit.record({ ...AuditLog.fromRequest(req), action: action, before: before, after: after });
+    };
+    
+    // Record a decision on an execution in the audit log
+    const recordExecution = async (req, action, execution, details) => {
+        await audit.record({
+            ...AuditLog.fromRequest(req),
+            action: action,
+            target: { type: 'remediation_execution', id: execution._id, name: execution.workflowName },
+            nodeId: execution.nodeId,
+            details: details
+        });
+    };
     
     // POST /api/remediation/workflows - Create workflow
     router.post('/workflows', async (req, res) => {
         try {
+            const steps = Array.isArray(req.body.steps) ? req.body.steps : [];
             const workflowData = {
                 name: req.body.name,
                 description: req.body.description || '',
-                trigger: req.body.trigger,
-                conditions: req.body.conditions || [],
-                actions: req.body.actions || [],
-                rollback: req.body.rollback || [],
+                trigger: req.body.trigger || null,
+                steps: steps,
+                startStep: req.body.startStep || (steps.length ? steps[0].id : null),
+                throttle: req.body.throttle || null,
+                escalationPolicyId: req.body.escalationPolicyId || null,
+                escalationEnabled: req.body.escalationEnabled === true,
+                rollbackEnabled: req.body.rollbackEnabled === true,
                 enabled: req.body.enabled !== false,
                 priority: req.body.priority || 'normal',
                 timeout: req.body.timeout || 300000,
+                owner: req.user.userId,
                 createdBy: req.user.username
             };
             
             // Validate required fields
-            if (!workflowData.name || !workflowData.trigger || !workflowData.actions.length) {
+            if (!workflowData.name || !workflowData.steps.length) {
                 return res.status(400).json({ 
                     success: false, 
-                    error: 'Missing required fields: name, trigger, actions' 
+                    error: 'Missing required fields: name, steps' 
                 });
             }
             
+            // Triggers start workflows on any node, so workflows for all meshes are for site administrators
+            const scope = access.checkScope(req.user, req.body.scopeMeshes, true);
+            if (!scope.success) {
+                return res.status(400).json({ success: false, error: scope.error });
+            }
+            workflowData.scopeMeshes = scope.scopeMeshes;
+            
+            const references = await checkReferences(req, workflowData);
+            if (!references.success) {
+                return res.status(references.code).json({ success: false, error: references.error });
+            }
+            
             const result = await remediationEngine.createWorkflow(workflowData);
             
             if (result.success) {
+                await recordChange(req, 'workflow.create', null, result.id);
                 res.status(201).json({ success: true, id: result.id });
             } else {
                 res.status(400).json({ success: false, error: result.error });
@@ -51,9 +134,10 @@ module.exports = function(remediationEngine, db, meshServer) {
     // GET /api/remediation/workflows - List workflows
     router.get('/workflows', async (req, res) => {
         try {
-            const workflows = await db.scriptFile.find({
+            const found = await db.scriptFile.find({
                 type: 'remediation_workflow'
             }).sort({ name: 1 }).toArray();
+            const workflows = found.filter(workflow => access.canRead(req.user, workflow));
             
             res.json({ success: true, workflows });
         } catch (e) {
@@ -65,10 +149,7 @@ module.exports = function(remediationEngine, db, meshServer) {
     // GET /api/remediation/workflows/:id - Get workflow
     router.get('/workflows/:id', async (req, res) => {
         try {
-            const workflow = await db.scriptFile.findOne({
-                _id: db.formatId(req.params.id),
-                type: 'remediation_workflow'
-            });
+            const workflow = await findWorkflow(req);
             
             if (!workflow) {
                 return res.status(404).json({ success: false, error: 'Workflow not found' });
@@ -84,18 +165,45 @@ module.exports = function(remediationEngine, db, meshServer) {
     // PUT /api/remediation/workflows/:id - Update workflow
     router.put('/workflows/:id', async (req, res) => {
         try {
+            const workflow = await findWorkflow(req);
+            
+            if (!workflow) {
+                return res.status(404).json({ success: false, error: 'Workflow not found' });
+            }
+            
+            if (!access.canWrite(req.user, workflow)) {
+                return res.status(403).json({ success: false, error: 'Only the owner or a site administrator can change this workflow' });
+            }
+            
             const workflowData = {
                 _id: req.params.id,
                 ...req.body,
                 updatedBy: req.user.username
             };
+            delete workflowData.owner;
+            
+            if (workflowData.scopeMeshes !== undefined) {
+                const scope = access.checkScope(req.user, workflowData.scopeMeshes, true);
+                if (!scope.success) {
+                    return res.status(400).json({ success: false, error: scope.error });
+                }
+                workflowData.scopeMeshes = scope.scopeMeshes;
+            }
+            
+            if (workflowData.steps !== undefined || workflowData.scopeMeshes !== undefined) {
+                const references = await checkReferences(req, { ...workflow, ...workflowData });
+                if (!references.success) {
+                    return res.status(references.code).json({ success: false, error: references.error });
+                }
+            }
             
             const result = await remediationEngine.updateWorkflow(workflowData);
             
             if (result.success) {
+                await recordChange(req, 'workflow.update', workflow, req.params.id);
                 res.json({ success: true, id: result.id });
             } else {
-                res.status(404).json({ success: false, error: result.error });
+                res.status(result.code || 400).json({ success: false, error: result.error });
             }
         } catch (e) {
             console.error('ScriptTask API: Error updating workflow', e);
@@ -106,9 +214,20 @@ module.exports = function(remediationEngine, db, meshServer) {
     // DELETE /api/remediation/workflows/:id - Delete workflow
     router.delete('/workflows/:id', async (req, res) => {
         try {
+            const workflow = await findWorkflow(req);
+            
+            if (!workflow) {
+                return res.status(404).json({ success: false, error: 'Workflow not found' });
+            }
+            
+            if (!access.canWrite(req.user, workflow)) {
+                return res.status(403).json({ success: false, error: 'Only the owner or a site administrator can delete this workflow' });
+            }
+            
             const result = await remediationEngine.deleteWorkflow(req.params.id);
             
             if (result.success) {
+                await recordChange(req, 'workflow.delete', workflow, null);
                 res.json({ success: true });
             } else {
                 res.status(404).json({ success: false, error: 'Workflow not found' });
@@ -122,10 +241,7 @@ module.exports = function(remediationEngine, db, meshServer) {
     // POST /api/remediation/workflows/:id/test - Test workflow (dry-run)
     router.post('/workflows/:id/test', async (req, res) => {
         try {
-            const workflow = await db.scriptFile.findOne({
-                _id: db.formatId(req.params.id),
-                type: 'remediation_workflow'
-            });
+            const workflow = await findWorkflow(req);
             
             if (!workflow) {
                 return res.status(404).json({ success: false, error: 'Workflow not found' });
@@ -141,6 +257,45 @@ module.exports = function(remediationEngine, db, meshServer) {
         }
     });
     
+    // POST /api/remediation/workflows/:id/run - Run workflow on a node
+    router.post('/workflows/:id/run', async (req, res) => {
+        try {
+            const { nodeId } = req.body;
+            if (!nodeId || typeof nodeId !== 'string') {
+                return res.status(400).json({ success: false, error: 'nodeId is required' });
+            }
+            
+            const workflow = await findWorkflow(req);
+            
+            if (!workflow) {
+                return res.status(404).json({ success: false, error: 'Workflow not found' });
+            }
+            
+            if (!(await access.canNode(req.user, nodeId, 'run'))) {
+                return res.status(403).json({ success: false, error: 'No permission to run commands on this node' });
+            }
+            
+            let execution;
+            try {
+                execution = await remediationEngine.triggerWorkflow(req.params.id, nodeId, req.user.username, {
+                    triggerType: 'manual',
+                    origin: AuditLog.fromRequest(req) // the engine records the run
+                });
+            } catch (e) {
+                return res.status(400).json({ success: false, error: e.message });
+            }
+            
+            if (!execution) {
+                return res.status(429).json({ success: false, error: 'Workflow suppressed by its cooldown, execution limit or flap detection' });
+            }
+            
+            res.json({ success: true, executionId: execution._id.toString() });
+        } catch (e) {
+            console.error('ScriptTask API: Error running workflow', e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    });
+    
     // GET /api/remediation/executions - List executions with filters
     router.get('/executions', async (req, res) => {
         try {
@@ -155,10 +310,14 @@ module.exports = function(remediationEngine, db, meshServer) {
             if (req.query.nodeId) {
                 query.nodeId = req.query.nodeId;
             }
+            if (req.query.parentExecutionId) {
+                query.parentExecutionId = req.query.parentExecutionId;
+            }
             
-            const executions = await db.scriptFile.find(query)
+            const found = await db.scriptFile.find(query)
                 .sort({ createdAt: -1 })
                 .toArray();
+            const executions = await access.filterByNode(req.user, found, execution => execution.nodeId);
             
             res.json({ success: true, executions });
         } catch (e) {
@@ -167,13 +326,38 @@ module.exports = function(remediationEngine, db, meshServer) {
         }
     });
     
+    // GET /api/remediation/suppressed - Triggers suppressed by cooldowns, execution limits and flap detection
+    router.get('/suppressed', async (req, res) => {
+        try {
+            const query = { type: 'remediation_suppressed' };
+            
+            if (req.query.workflowId) {
+                query.workflowId = req.query.workflowId;
+            }
+            if (req.query.nodeId) {
+                query.nodeId = req.query.nodeId;
+            }
+            if (req.query.reason) {
+                query.reason = req.query.reason;
+            }
+            
+            const found = await db.scriptFile.find(query)
+                .sort({ suppressedAt: -1 })
+                .limit(parseInt(req.query.limit) || 100)
+                .toArray();
+            const suppressed = await access.filterByNode(req.user, found, record => record.nodeId);
+            
+            res.json({ success: true, suppressed });
+        } catch (e) {
+            console.error('ScriptTask API: Error listing suppressed triggers', e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    });
+    
     // GET /api/remediation/executions/:id - Execution details
     router.get('/executions/:id', async (req, res) => {
         try {
-            const execution = await db.scriptFile.findOne({
-                _id: db.formatId(req.params.id),
-                type: 'remediation_execution'
-            });
+            const execution = await findExecution(req);
             
             if (!execution) {
                 return res.status(404).json({ success: false, error: 'Execution not found' });
@@ -186,21 +370,68 @@ module.exports = function(remediationEngine, db, meshServer) {
         }
     });
     
+    // POST /api/remediation/executions/:id/approve - Approve a pending approval step
+    router.post('/executions/:id/approve', async (req, res) => {
+        await decide(req, res, 'approved');
+    });
+    
+    // POST /api/remediation/executions/:id/reject - Reject a pending approval step
+    router.post('/executions/:id/reject', async (req, res) => {
+        await decide(req, res, 'rejected');
+    });
+    
+    async function decide(req, res, decision) {
+        try {
+            const execution = await findExecution(req);
+            
+            if (!execution) {
+                return res.status(404).json({ success: false, error: 'Execution not found' });
+            }
+            
+            if (!(await access.canNode(req.user, execution.nodeId, 'run'))) {
+                return res.status(403).json({ success: false, error: 'No permission to run commands on this node' });
+            }
+            
+            const result = await remediationEngine.decideApproval(
+                req.params.id,
+                req.body.stepId || null,
+                decision,
+                req.user,
+                req.body.comment
+            );
+            
+            if (result.success) {
+                await recordExecution(req, decision === 'approved' ? 'execution.approve' : 'execution.reject', execution, {
+                    stepId: req.body.stepId || null,
+                    comment: req.body.comment || null
+                });
+                res.json({ success: true, decision: result.decision });
+            } else {
+                res.status(result.code || 400).json({ success: false, error: result.error });
+            }
+        } catch (e) {
+            console.error('ScriptTask API: Error recording approval decision', e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    }
+    
     // POST /api/remediation/rollback/:id - Rollback execution
     router.post('/rollback/:id', async (req, res) => {
         try {
-            const execution = await db.scriptFile.findOne({
-                _id: db.formatId(req.params.id),
-                type: 'remediation_execution'
-            });
+            const execution = await findExecution(req);
             
             if (!execution) {
                 return res.status(404).json({ success: false, error: 'Execution not found' });
             }
             
+            if (!(await access.canNode(req.user, execution.nodeId, 'run'))) {
+                return res.status(403).json({ success: false, error: 'No permission to run commands on this node' });
+            }
+            
             const result = await remediationEngine.rollbackExecution(execution, req.user.username);
             
             if (result.success) {
+                await recordExecution(req, 'execution.rollback', execution, { rollbackId: result.rollbackId });
                 res.json({ success: true, rollbackId: result.rollbackId });
             } else {
                 res.status(400).json({ success: false, error: result.error });
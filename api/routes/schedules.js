@@ -7,16 +7,50 @@
 "use strict";
 
 const express = require('express');
+const AuditLog = require('../../scheduler/audit');
+const ScriptVersions = require('../../scheduler/versions');
 const router = express.Router();
 
-module.exports = function(scheduler, db) {
+module.exports = function(scheduler, db, access, audit) {
+    
+    const versions = (scheduler && scheduler.dispatcher) ? scheduler.dispatcher.versions : new ScriptVersions(db);
+    
+    // Load a schedule the user may see
+    const findSchedule = async (req) => {
+        const schedule = await db.scriptFile.findOne({
+            _id: db.formatId(req.params.id),
+            type: 'schedule_v2'
+        });
+        return (schedule && access.canRead(req.user, schedule)) ? schedule : null;
+    };
+    
+    // Check the script and the targets of a schedule the user saves or runs
+    const checkTargets = async (req, schedule) => {
+        const script = schedule.scriptId ? await db.scriptFile.findOne({
+            _id: db.formatId(schedule.scriptId),
+            type: 'script'
+        }) : null;
+        if (!script || !access.canRead(req.user, script)) {
+            return { success: false, code: 400, error: 'Script not found' };
+        }
+        
+        const allowed = await access.checkTargets(req.user, { nodes: schedule.nodes, meshes: schedule.meshes }, script);
+        return allowed.success ? allowed : { ...allowed, code: 403 };
+    };
+    
+    // Record a change of a schedule in the audit log, id is null for a deleted schedule
+    const recordChange = async (req, action, before, id) => {
+        const after = id ? await db.scriptFile.findOne({ _id: db.formatId(id), type: 'schedule_v2' }) : null;
+        await audit.record({ ...AuditLog.fromRequest(req), action: action, before: before, after: after });
+    };
     
     // GET /api/schedules - List all schedules
     router.get('/', async (req, res) => {
         try {
-            const schedules = await db.scriptFile.find({
+            const found = await db.scriptFile.find({
                 type: 'schedule_v2'
             }).sort({ name: 1 }).toArray();
+            const schedules = found.filter(schedule => access.canRead(req.user, schedule));
             
             res.json({ success: true, schedules });
         } catch (e) {
@@ -28,10 +62,7 @@ module.exports = function(scheduler, db) {
     // GET /api/schedules/:id - Get schedule details
     router.get('/:id', async (req, res) => {
         try {
-            const schedule = await db.scriptFile.findOne({
-                _id: db.formatId(req.params.id),
-                type: 'schedule_v2'
-            });
+            const schedule = await findSchedule(req);
             
             if (!schedule) {
                 return res.status(404).json({ success: false, error: 'Schedule not found' });
@@ -65,6 +96,10 @@ module.exports = function(scheduler, db) {
                 dependsOn: req.body.dependsOn || [],
                 jitter: req.body.jitter || 0,
                 missedJobPolicy: req.body.missedJobPolicy || 'skip',
+                retryPolicy: req.body.retryPolicy || null,
+                timeout: req.body.timeout || null,
+                parameters: req.body.parameters || null, // name -> value, checked against the script for each node
+                scriptVersion: req.body.scriptVersion, // version to run, null or 'latest' for the current one
                 enabled: req.body.enabled !== false,
                 createdBy: req.user.username
             };
@@ -77,9 +112,41 @@ module.exports = function(scheduler, db) {
                 });
             }
             
+            if (scheduleData.retryPolicy && scheduleData.retryPolicy.backoffType
+                && !['fixed', 'linear', 'exponential'].includes(scheduleData.retryPolicy.backoffType)) {
+                return res.status(400).json({ 
+                    success: false, 
+                    error: 'retryPolicy.backoffType must be fixed, linear or exponential' 
+                });
+            }
+            
+            if (scheduleData.parameters !== null
+                && (typeof scheduleData.parameters !== 'object' || Array.isArray(scheduleData.parameters))) {
+                return res.status(400).json({ 
+                    success: false, 
+                    error: 'parameters must be an object of name/value pairs' 
+                });
+            }
+            
+            const allowed = await checkTargets(req, scheduleData);
+            if (!allowed.success) {
+                return res.status(allowed.code).json({ success: false, error: allowed.error });
+            }
+            
+            const pin = await versions.checkPin(scheduleData.scriptId, scheduleData.scriptVersion);
+            if (!pin.success) {
+                return res.status(400).json({ success: false, error: pin.error });
+            }
+            scheduleData.scriptVersion = pin.version;
+            
+            // Users with access to all the target meshes see the schedule
+            scheduleData.scopeMeshes = await access.getTargetMeshes(scheduleData);
+            scheduleData.owner = req.user.userId;
+            
             const result = await scheduler.addOrUpdateSchedule(scheduleData);
             
             if (result.success) {
+                await recordChange(req, 'schedule.create', null, result.id);
                 res.status(201).json({ success: true, id: result.id });
             } else {
                 res.status(400).json({ success: false, error: result.error });
@@ -93,15 +160,48 @@ module.exports = function(scheduler, db) {
     // PUT /api/schedules/:id - Update schedule
     router.put('/:id', async (req, res) => {
         try {
+            const schedule = await findSchedule(req);
+            
+            if (!schedule) {
+                return res.status(404).json({ success: false, error: 'Schedule not found' });
+            }
+            
+            if (!access.canWrite(req.user, schedule)) {
+                return res.status(403).json({ success: false, error: 'Only the owner or a site administrator can change this schedule' });
+            }
+            
             const scheduleData = {
                 _id: req.params.id,
                 ...req.body,
                 updatedBy: req.user.username
             };
+            delete scheduleData.type;
+            delete scheduleData.owner;
+            delete scheduleData.scopeMeshes;
+            
+            if (['scriptId', 'nodes', 'meshes'].some(field => req.body[field] !== undefined)) {
+                const updated = { ...schedule, ...scheduleData };
+                const allowed = await checkTargets(req, updated);
+                if (!allowed.success) {
+                    return res.status(allowed.code).json({ success: false, error: allowed.error });
+                }
+                scheduleData.scopeMeshes = await access.getTargetMeshes(updated);
+            }
+            
+            // A pinned version has to be one of the schedule's script
+            if (req.body.scriptVersion !== undefined || req.body.scriptId !== undefined) {
+                const updated = { ...schedule, ...scheduleData };
+                const pin = await versions.checkPin(updated.scriptId, updated.scriptVersion);
+                if (!pin.success) {
+                    return res.status(400).json({ success: false, error: pin.error });
+                }
+                scheduleData.scriptVersion = pin.version;
+            }
             
             const result = await scheduler.addOrUpdateSchedule(scheduleData);
             
             if (result.success) {
+                await recordChange(req, 'schedule.update', schedule, result.id);
                 res.json({ success: true, id: result.id });
             } else {
                 res.status(400).json({ success: false, error: result.error });
@@ -115,9 +215,20 @@ module.exports = function(scheduler, db) {
     // DELETE /api/schedules/:id - Delete schedule
     router.delete('/:id', async (req, res) => {
         try {
+            const schedule = await findSchedule(req);
+            
+            if (!schedule) {
+                return res.status(404).json({ success: false, error: 'Schedule not found' });
+            }
+            
+            if (!access.canWrite(req.user, schedule)) {
+                return res.status(403).json({ success: false, error: 'Only the owner or a site administrator can delete this schedule' });
+            }
+            
             const result = await scheduler.deleteSchedule(req.params.id);
             
             if (result.success) {
+                await recordChange(req, 'schedule.delete', schedule, null);
                 res.json({ success: true });
             } else {
                 res.status(404).json({ success: false, error: 'Schedule not found' });
@@ -131,9 +242,20 @@ module.exports = function(scheduler, db) {
     // POST /api/schedules/:id/pause - Pause schedule
     router.post('/:id/pause', async (req, res) => {
         try {
+            const schedule = await findSchedule(req);
+            
+            if (!schedule) {
+                return res.status(404).json({ success: false, error: 'Schedule not found' });
+            }
+            
+            if (!access.canWrite(req.user, schedule)) {
+                return res.status(403).json({ success: false, error: 'Only the owner or a site administrator can pause this schedule' });
+            }
+            
             const result = await scheduler.pauseSchedule(req.params.id);
             
             if (result.success) {
+                await recordChange(req, 'schedule.pause', schedule, req.params.id);
                 res.json({ success: true });
             } else {
                 res.status(400).json({ success: false, error: result.error });
@@ -147,9 +269,20 @@ module.exports = function(scheduler, db) {
     // POST /api/schedules/:id/resume - Resume schedule
     router.post('/:id/resume', async (req, res) => {
         try {
+            const schedule = await findSchedule(req);
+            
+            if (!schedule) {
+                return res.status(404).json({ success: false, error: 'Schedule not found' });
+            }
+            
+            if (!access.canWrite(req.user, schedule)) {
+                return res.status(403).json({ success: false, error: 'Only the owner or a site administrator can resume this schedule' });
+            }
+            
             const result = await scheduler.resumeSchedule(req.params.id);
             
             if (result.success) {
+                await recordChange(req, 'schedule.resume', schedule, req.params.id);
                 res.json({ success: true });
             } else {
                 res.status(400).json({ success: false, error: result.error });
@@ -163,6 +296,10 @@ module.exports = function(scheduler, db) {
     // GET /api/schedules/:id/next-runs - Preview next runs
     router.get('/:id/next-runs', async (req, res) => {
         try {
+            if (!(await findSchedule(req))) {
+                return res.status(404).json({ success: false, error: 'Schedule not found' });
+            }
+            
             const count = parseInt(req.query.count) || 10;
             const nextRuns = await scheduler.getNextRuns(req.params.id, count);
             
@@ -176,17 +313,21 @@ module.exports = function(scheduler, db) {
     // POST /api/schedules/:id/run-now - Trigger immediate run
     router.post('/:id/run-now', async (req, res) => {
         try {
-            const schedule = await db.scriptFile.findOne({
-                _id: db.formatId(req.params.id),
-                type: 'schedule_v2'
-            });
+            const schedule = await findSchedule(req);
             
             if (!schedule) {
                 return res.status(404).json({ success: false, error: 'Schedule not found' });
             }
             
+            // Anyone who may run the script on all of the schedule's targets
+            const allowed = await checkTargets(req, schedule);
+            if (!allowed.success) {
+                return res.status(allowed.code).json({ success: false, error: allowed.error });
+            }
+            
             // Trigger schedule immediately
             await scheduler.handleScheduleTrigger(schedule);
+            await audit.record({ ...AuditLog.fromRequest(req), action: 'schedule.run', target: { type: 'schedule_v2', id: schedule._id, name: schedule.name } });
             
             res.json({ success: true, message: 'Schedule triggered' });
         } catch (e) {
@@ -7,16 +7,37 @@
 "use strict";
 
 const express = require('express');
+const ScriptParameters = require('../../scheduler/parameters');
+const ScriptVersions = require('../../scheduler/versions');
+const AuditLog = require('../../scheduler/audit');
 const router = express.Router();
 
-module.exports = function(scheduler, db, meshServer) {
+const SCRIPT_TYPES = ['ps1', 'bat', 'bash', 'py', 'js'];
+const DIAGNOSTIC_DENIED = 'Only site administrators and users who can manage every device group of the script can change diagnostic scripts';
+
+module.exports = function(scheduler, db, meshServer, access, audit) {
+    
+    const versions = (scheduler && scheduler.dispatcher) ? scheduler.dispatcher.versions : new ScriptVersions(db);
+    
+    // Author of the versions a request saves
+    const author = (req, note) => ({ author: req.user.username, authorId: req.user.userId, note: note || '' });
+    
+    // Load a script the user may see
+    const findScript = async (req) => {
+        const script = await db.scriptFile.findOne({
+            _id: db.formatId(req.params.id),
+            type: 'script'
+        });
+        return (script && access.canRead(req.user, script)) ? script : null;
+    };
     
     // GET /api/scripts - List scripts
     router.get('/', async (req, res) => {
         try {
-            const scripts = await db.scriptFile.find({
+            const found = await db.scriptFile.find({
                 type: 'script'
             }).sort({ name: 1 }).toArray();
+            const scripts = found.filter(script => access.canRead(req.user, script));
             
             res.json({ success: true, scripts });
         } catch (e) {
@@ -28,27 +49,61 @@ module.exports = function(scheduler, db, meshServer) {
     // POST /api/scripts - Create/upload script
     router.post('/', async (req, res) => {
         try {
-            const scriptData = {
-                name: req.body.name,
-                description: req.body.description || '',
-                content: req.body.content,
-                scriptType: req.body.scriptType || 'powershell',
-                tags: req.body.tags || [],
-                timeout: req.body.timeout || 300000,
-                type: 'script',
-                createdBy: req.user.username,
-                createdAt: new Date()
-            };
+            const name = req.body.name;
+            const content = req.body.content;
+            const filetype = req.body.filetype;
             
             // Validate required fields
-            if (!scriptData.name || !scriptData.content) {
+            if (!name || !content || !filetype) {
                 return res.status(400).json({ 
                     success: false, 
-                    error: 'Missing required fields: name, content' 
+                    error: 'Missing required fields: name, content, filetype' 
                 });
             }
             
-            const result = await db.scriptFile.insertOne(scriptData);
+            if (!SCRIPT_TYPES.includes(filetype)) {
+                return res.status(400).json({ 
+                    success: false, 
+                    error: `Invalid filetype, must be one of: ${SCRIPT_TYPES.join(', ')}` 
+                });
+            }
+            
+            const schema = ScriptParameters.validateSchema(req.body.parameters);
+            if (!schema.success) {
+                return res.status(400).json({ success: false, error: schema.error });
+            }
+            
+            const scope = access.checkScope(req.user, req.body.scopeMeshes);
+            if (!scope.success) {
+                return res.status(400).json({ success: false, error: scope.error });
+            }
+            
+            if (req.body.diagnostic === true && !access.canManageDiagnostic(req.user, scope.scopeMeshes)) {
+                return res.status(403).json({ success: false, error: DIAGNOSTIC_DENIED });
+            }
+            
+            // Same document shape as scripts added from the plugin UI
+            const result = await db.addScript(name, content, req.body.path || 'Shared', filetype);
+            await db.scriptFile.updateOne(
+                { _id: result.insertedId },
+                {
+                    $set: {
+                        description: req.body.description || '',
+                        tags: req.body.tags || [],
+                        timeout: req.body.timeout || null, // seconds, null for no limit
+                        parameters: schema.parameters,
+                        diagnostic: req.body.diagnostic === true, // may run on nodes quarantined in diagnostic mode
+                        scopeMeshes: scope.scopeMeshes, // only runs on nodes of these meshes, empty for all
+                        owner: req.user.userId,
+                        createdBy: req.user.username,
+                        createdAt: new Date()
+                    }
+                }
+            );
+            
+            const created = await db.scriptFile.findOne({ _id: result.insertedId });
+            await versions.ensureInitial(created, author(req, req.body.note || 'Created'));
+            await audit.record({ ...AuditLog.fromRequest(req), action: 'script.create', after: created });
             
             res.status(201).json({ success: true, id: result.insertedId });
         } catch (e) {
@@ -60,10 +115,7 @@ module.exports = function(scheduler, db, meshServer) {
     // GET /api/scripts/:id - Get script content
     router.get('/:id', async (req, res) => {
         try {
-            const script = await db.scriptFile.findOne({
-                _id: db.formatId(req.params.id),
-                type: 'script'
-            });
+            const script = await findScript(req);
             
             if (!script) {
                 return res.status(404).json({ success: false, error: 'Script not found' });
@@ -79,15 +131,16 @@ module.exports = function(scheduler, db, meshServer) {
     // PUT /api/scripts/:id - Update script
     router.put('/:id', async (req, res) => {
         try {
-            const script = await db.scriptFile.findOne({
-                _id: db.formatId(req.params.id),
-                type: 'script'
-            });
+            const script = await findScript(req);
             
             if (!script) {
                 return res.status(404).json({ success: false, error: 'Script not found' });
             }
             
+            if (!access.canWrite(req.user, script)) {
+                return res.status(403).json({ success: false, error: 'Only the owner or a site administrator can change this script' });
+            }
+            
             const updateData = {
                 ...req.body,
                 updatedBy: req.user.username,
@@ -96,13 +149,71 @@ module.exports = function(scheduler, db, meshServer) {
             
             delete updateData._id;
             delete updateData.type;
+            delete updateData.contentHash;
+            delete updateData.version;
+            delete updateData.note; // change note of the new version
+            delete updateData.owner;
             
-            await db.scriptFile.updateOne(
-                { _id: db.formatId(req.params.id) },
-                { $set: updateData }
-            );
+            if (updateData.filetype !== undefined && !SCRIPT_TYPES.includes(updateData.filetype)) {
+                return res.status(400).json({ 
+                    success: false, 
+                    error: `Invalid filetype, must be one of: ${SCRIPT_TYPES.join(', ')}` 
+                });
+            }
+            
+            if (updateData.diagnostic !== undefined && typeof updateData.diagnostic !== 'boolean') {
+                return res.status(400).json({ success: false, error: 'diagnostic must be true or false' });
+            }
+            
+            if (updateData.scopeMeshes !== undefined) {
+                const scope = access.checkScope(req.user, updateData.scopeMeshes);
+                if (!scope.success) {
+                    return res.status(400).json({ success: false, error: scope.error });
+                }
+                updateData.scopeMeshes = scope.scopeMeshes;
+            }
+            
+            if (updateData.parameters !== undefined) {
+                const schema = ScriptParameters.validateSchema(updateData.parameters);
+                if (!schema.success) {
+                    return res.status(400).json({ success: false, error: schema.error });
+                }
+                updateData.parameters = schema.parameters;
+            }
+            
+            if (updateData.content !== undefined && typeof updateData.content !== 'string') {
+                return res.status(400).json({ success: false, error: 'content must be a string' });
+            }
+            
+            // Diagnostic scripts run on quarantined nodes: setting or clearing the flag, and changing
+            // what such a script runs or where, needs the manage right on the meshes it is limited to
+            const diagnostic = updateData.diagnostic !== undefined ? updateData.diagnostic : script.diagnostic === true;
+            const changesDiagnostic = diagnostic !== (script.diagnostic === true);
+            const changesRun = ['scopeMeshes', ...ScriptVersions.VERSIONED_FIELDS].some(field => updateData[field] !== undefined);
+            if (changesDiagnostic || (diagnostic && changesRun)) {
+                const scopeMeshes = diagnostic
+                    ? (updateData.scopeMeshes !== undefined ? updateData.scopeMeshes : script.scopeMeshes)
+                    : script.scopeMeshes;
+                if (!access.canManageDiagnostic(req.user, scopeMeshes)) {
+                    return res.status(403).json({ success: false, error: DIAGNOSTIC_DENIED });
+                }
+            }
+            
+            // Content, file type and parameter changes are saved as a new version
+            const result = await versions.save(script._id, updateData, author(req, req.body.note));
+            if (!result.success) {
+                return res.status(result.code || 400).json({ success: false, error: result.error });
+            }
+            
+            await audit.record({
+                ...AuditLog.fromRequest(req),
+                action: 'script.update',
+                before: script,
+                after: result.script,
+                details: result.version ? { version: result.version.version, note: result.version.note } : null
+            });
             
-            res.json({ success: true, id: req.params.id });
+            res.json({ success: true, id: req.params.id, version: result.script.version });
         } catch (e) {
             console.error('ScriptTask API: Error updating script', e);
             res.status(500).json({ success: false, error: e.message });
@@ -112,15 +223,19 @@ module.exports = function(scheduler, db, meshServer) {
     // DELETE /api/scripts/:id - Delete script
     router.delete('/:id', async (req, res) => {
         try {
-            const result = await db.scriptFile.deleteOne({
-                _id: db.formatId(req.params.id),
-                type: 'script'
-            });
+            const script = await findScript(req);
             
-            if (result.deletedCount === 0) {
+            if (!script) {
                 return res.status(404).json({ success: false, error: 'Script not found' });
             }
             
+            if (!access.canWrite(req.user, script)) {
+                return res.status(403).json({ success: false, error: 'Only the owner or a site administrator can delete this script' });
+            }
+            
+            await db.scriptFile.deleteOne({ _id: script._id, type: 'script' });
+            await audit.record({ ...AuditLog.fromRequest(req), action: 'script.delete', before: script });
+            
             res.json({ success: true });
         } catch (e) {
             console.error('ScriptTask API: Error deleting script', e);
@@ -131,10 +246,7 @@ module.exports = function(scheduler, db, meshServer) {
     // POST /api/scripts/:id/run - Run script immediately on nodes
     router.post('/:id/run', async (req, res) => {
         try {
-            const script = await db.scriptFile.findOne({
-                _id: db.formatId(req.params.id),
-                type: 'script'
-            });
+            const script = await findScript(req);
             
             if (!script) {
                 return res.status(404).json({ success: false, error: 'Script not found' });
@@ -150,11 +262,23 @@ module.exports = function(scheduler, db, meshServer) {
                 });
             }
             
+            const allowed = await access.checkTargets(req.user, { nodes, meshes }, script);
+            if (!allowed.success) {
+                return res.status(403).json({ success: false, error: allowed.error });
+            }
+            
+            const pin = await versions.checkPin(req.params.id, req.body.version);
+            if (!pin.success) {
+                return res.status(400).json({ success: false, error: pin.error.replace('scriptVersion', 'version') });
+            }
+            
             const jobData = {
                 scriptId: req.params.id,
+                version: pin.version,
                 nodes: nodes,
                 meshes: meshes,
                 priority: req.body.priority || 'normal',
+                parameters: req.body.parameters || null,
                 runNow: true,
                 triggeredBy: req.user.username
             };
@@ -162,6 +286,19 @@ module.exports = function(scheduler, db, meshServer) {
             const result = await scheduler.runScriptNow(jobData);
             
             if (result.success) {
+                // One entry per target, so runs show in the history of each node and mesh.
+                // Parameter values can be secrets, only their names are logged.
+                const details = { jobIds: result.jobIds, version: pin.version, parameters: Object.keys(jobData.parameters || {}) };
+                const targets = [...nodes.map(nodeId => ({ nodeId })), ...meshes.map(meshId => ({ meshId }))];
+                for (const target of targets) {
+                    await audit.record({
+                        ...AuditLog.fromRequest(req),
+                        action: 'script.run',
+                        target: { type: 'script', id: script._id, name: script.name },
+                        ...target,
+                        details: details
+                    });
+                }
                 res.json({ success: true, jobIds: result.jobIds });
             } else {
                 res.status(400).json({ success: false, error: result.error });
@@ -172,5 +309,109 @@ module.exports = function(scheduler, db, meshServer) {
         }
     });
     
+    // GET /api/scripts/:id/versions - Version history, newest first, without content
+    router.get('/:id/versions', async (req, res) => {
+        try {
+            const script = await findScript(req);
+            
+            if (!script) {
+                return res.status(404).json({ success: false, error: 'Script not found' });
+            }
+            
+            const list = await versions.list(script);
+            
+            res.json({ success: true, current: script.version, versions: list });
+        } catch (e) {
+            console.error('ScriptTask API: Error listing script versions', e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    });
+    
+    // GET /api/scripts/:id/versions/:version - A version with its content
+    router.get('/:id/versions/:version', async (req, res) => {
+        try {
+            if (!(await findScript(req))) {
+                return res.status(404).json({ success: false, error: 'Script not found' });
+            }
+            
+            const version = await versions.get(req.params.id, req.params.version);
+            
+            if (!version) {
+                return res.status(404).json({ success: false, error: 'Version not found' });
+            }
+            
+            res.json({ success: true, version });
+        } catch (e) {
+            console.error('ScriptTask API: Error getting script version', e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    });
+    
+    // GET /api/scripts/:id/diff?from=1&to=3 - Unified diff between versions, by default the current one and the one before
+    router.get('/:id/diff', async (req, res) => {
+        try {
+            const script = await findScript(req);
+            
+            if (!script) {
+                return res.status(404).json({ success: false, error: 'Script not found' });
+            }
+            
+            const to = req.query.to !== undefined ? Number(req.query.to) : script.version;
+            const from = req.query.from !== undefined ? Number(req.query.from) : to - 1;
+            if (!Number.isInteger(from) || !Number.isInteger(to)) {
+                return res.status(400).json({ success: false, error: 'from and to must be version numbers' });
+            }
+            
+            const result = await versions.diff(req.params.id, from, to);
+            
+            if (result.success) {
+                res.json(result);
+            } else {
+                res.status(result.code || 400).json({ success: false, error: result.error });
+            }
+        } catch (e) {
+            console.error('ScriptTask API: Error comparing script versions', e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    });
+    
+    // POST /api/scripts/:id/versions/:version/restore - Save a version's content as a new version
+    router.post('/:id/versions/:version/restore', async (req, res) => {
+        try {
+            const script = await findScript(req);
+            
+            if (!script) {
+                return res.status(404).json({ success: false, error: 'Script not found' });
+            }
+            
+            if (!access.canWrite(req.user, script)) {
+                return res.status(403).json({ success: false, error: 'Only the owner or a site administrator can change this script' });
+            }
+            
+            if (script.diagnostic === true && !access.canManageDiagnostic(req.user, script.scopeMeshes)) {
+                return res.status(403).json({ success: false, error: DIAGNOSTIC_DENIED });
+            }
+            
+            const result = await versions.restore(req.params.id, req.params.version, author(req, req.body.note));
+            
+            if (!result.success) {
+                return res.status(result.code || 400).json({ success: false, error: result.error });
+            }
+            
+            await audit.record({
+                ...AuditLog.fromRequest(req),
+                action: 'script.restore',
+                before: script,
+                after: result.script,
+                details: { version: result.version.version, restoredFrom: result.version.restoredFrom }
+            });
+            
+            res.json({ success: true, version: result.version.version });
+        } catch (e) {
+            console.error('ScriptTask API: Error restoring script version', e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    });
+    
     return router;
 };
@@ -7,6 +7,8 @@ const { Server } = require('socket.io');
 const path = require('path');
 const winston = require('winston');
 const AuthMiddleware = require('./middleware/auth');
+const MeshAccess = require('./middleware/access');
+const AuditLog = require('../scheduler/audit');
 
 class APIServer {
     constructor(meshServer, db, scheduler, remediationEngine, config) {
@@ -19,6 +21,7 @@ class APIServer {
         this.httpServer = null;
         this.io = null;
         this.auth = null;
+        this.jobOutputBuffers = new Map(); // jobId -> recent output chunks, replayed to late subscribers
         this.logger = this.createLogger();
         
         this.setupMiddleware();
@@ -99,7 +102,10 @@ class APIServer {
             }
         });
 
-        this.auth = new AuthMiddleware(this.db, this.config);
+        this.auth = new AuthMiddleware(this.meshServer, this.db, this.config.apiServer);
+        this.access = new MeshAccess(this.meshServer);
+        this.audit = (this.scheduler && this.scheduler.dispatcher && this.scheduler.dispatcher.audit)
+            || new AuditLog(this.meshServer, this.db);
         
         this.setupRoutes();
         this.setupWebSocket();
@@ -115,6 +121,8 @@ class APIServer {
         const jobs = require('./routes/jobs');
         const scripts = require('./routes/scripts');
         const nodes = require('./routes/nodes');
+        const keys = require('./routes/keys');
+        const audit = require('./routes/audit');
 
         this.app.get('/api/health', (req, res) => {
             res.json({ 
@@ -124,11 +132,21 @@ class APIServer {
             });
         });
 
-        this.app.post('/api/auth/login', async (req, res, next) => {
+        // Failed logins only, so password guessing is slowed down but busy clients are not
+        const loginLimiter = rateLimit({
+            windowMs: 15 * 60 * 1000,
+            max: 10,
+            skipSuccessfulRequests: true
+        });
+
+        // Log in with MeshCentral credentials, or exchange the MeshCentral session cookie for a token
+        this.app.post('/api/auth/login', loginLimiter, async (req, res, next) => {
             try {
-                const { username, password } = req.body;
-                const result = await this.auth.login(username, password);
-                res.json(result);
+                const { username, password, token, domain } = req.body;
+                const result = (username == null && password == null)
+                    ? await this.auth.loginWithSession(req)
+                    : await this.auth.login(username, password, token, domain);
+                res.status(result.success ? 200 : 401).json(result);
             } catch (error) {
                 next(error);
             }
@@ -137,18 +155,31 @@ class APIServer {
         this.app.post('/api/auth/token', async (req, res, next) => {
             try {
                 const { token } = req.body;
-                const result = await this.auth.verifyToken(token);
-                res.json(result);
+                const user = await this.auth.verifyToken(token);
+                res.json({ success: true, user });
             } catch (error) {
                 next(error);
             }
         });
 
-        this.app.use('/api/schedules', this.auth.authenticate(), schedules(this.scheduler, this.db));
-        this.app.use('/api/remediation', this.auth.authenticate(), remediation(this.remediationEngine, this.db));
-        this.app.use('/api/jobs', this.auth.authenticate(), jobs(this.scheduler, this.db));
-        this.app.use('/api/scripts', this.auth.authenticate(), scripts(this.db));
-        this.app.use('/api/nodes', this.auth.authenticate(), nodes(this.meshServer, this.db));
+        this.app.use('/api/auth/keys', this.auth.authenticate(), keys(this.auth, this.audit));
+
+        // API keys are limited to their scopes, GET requests need <resource>:read, the others <resource>:write
+        const scope = (resource, routes) => [this.auth.authenticate(), this.auth.requireScope(resource, routes)];
+        this.app.use('/api/schedules', scope('schedules', {
+            'POST /:id/run-now': 'scripts:run'
+        }), schedules(this.scheduler, this.db, this.access, this.audit));
+        this.app.use('/api/remediation', scope('remediation', {
+            'POST /workflows/:id/test': 'remediation:read',
+            'POST /workflows/:id/run': 'remediation:trigger',
+            'POST /rollback/:id': 'remediation:trigger'
+        }), remediation(this.remediationEngine, this.db, this.meshServer, this.access, this.audit));
+        this.app.use('/api/jobs', scope('jobs'), jobs(this.scheduler, this.db, this.access, this.audit));
+        this.app.use('/api/scripts', scope('scripts', {
+            'POST /:id/run': 'scripts:run'
+        }), scripts(this.scheduler, this.db, this.meshServer, this.access, this.audit));
+        this.app.use('/api/nodes', scope('nodes'), nodes(this.scheduler, this.db, this.meshServer, this.access, this.audit));
+        this.app.use('/api/audit', scope('audit'), this.auth.requireAdmin(), audit(this.audit));
 
         const webappDistPath = path.join(__dirname, '../webapp/dist');
         const fs = require('fs');
@@ -192,7 +223,13 @@ class APIServer {
             try {
                 const token = socket.handshake.auth.token || socket.handshake.headers.authorization?.replace('Bearer ', '');
                 if (!token) {
-                    return next(new Error('Authentication required'));
+                    // Browsers on the MeshCentral host send its session cookie with the handshake
+                    const sessionUser = await this.auth.verifyMeshCentralSession(socket.handshake);
+                    if (!sessionUser) {
+                        return next(new Error('Authentication required'));
+                    }
+                    socket.user = sessionUser;
+                    return next();
                 }
                 
                 const user = await this.auth.verifyToken(token);
@@ -206,6 +243,30 @@ class APIServer {
         this.io.on('connection', (socket) => {
             this.logger.info(`WebSocket client connected: ${socket.id} (user: ${socket.user?.username || 'unknown'})`);
 
+            // Live job output is sent to the job's room only, for jobs on nodes the user can see
+            socket.on('job:subscribe', async (jobId) => {
+                try {
+                    const id = String(jobId);
+                    const job = await this.db.scriptFile.findOne({ _id: this.db.formatId(id), type: 'job' });
+                    if (!job || !(await this.access.canNode(socket.user, job.node))) {
+                        socket.emit('job:error', { jobId: id, error: 'Job not found' });
+                        return;
+                    }
+                    
+                    socket.join(`job:${id}`);
+                    const buffer = this.jobOutputBuffers.get(id);
+                    if (buffer) {
+                        buffer.chunks.forEach(chunk => socket.emit('job:output', { jobId: id, ...chunk }));
+                    }
+                } catch (error) {
+                    this.logger.error(`Error subscribing ${socket.id} to job ${jobId}: ${error.message}`);
+                }
+            });
+
+            socket.on('job:unsubscribe', (jobId) => {
+                socket.leave(`job:${String(jobId)}`);
+            });
+
             socket.on('disconnect', () => {
                 this.logger.info(`WebSocket client disconnected: ${socket.id}`);
             });
@@ -225,6 +286,37 @@ class APIServer {
         }
     }
 
+    publishJobOutput(jobId, chunk) {
+        if (!this.io) return;
+        const id = String(jobId);
+        const maxBuffered = this.config.api?.jobOutputBufferSize || 65536;
+
+        let buffer = this.jobOutputBuffers.get(id);
+        if (!buffer) {
+            buffer = { chunks: [], size: 0 };
+            this.jobOutputBuffers.set(id, buffer);
+        }
+        buffer.chunks.push(chunk);
+        buffer.size += (chunk.data || '').length;
+        while (buffer.size > maxBuffered && buffer.chunks.length > 1) {
+            buffer.size -= (buffer.chunks.shift().data || '').length;
+        }
+
+        this.io.to(`job:${id}`).emit('job:output', { jobId: id, ...chunk });
+    }
+
+    publishJobUpdate(job) {
+        if (!this.io) return;
+        const id = String(job._id);
+        this.jobOutputBuffers.delete(id);
+        this.io.to(`job:${id}`).emit('job:updated', {
+            jobId: id,
+            state: job.state,
+            exitCode: job.exitCode,
+            completeTime: job.completeTime
+        });
+    }
+
     async start() {
         const port = this.config.api?.port || 3000;
         const host = this.config.api?.host || '0.0.0.0';
@@ -22,12 +22,30 @@ module.exports.applyMigrations = async function(db, formatId) {
         await db.scriptFile.createIndex({ type: 1, workflowId: 1, status: 1 });
         await db.scriptFile.createIndex({ type: 1, nodeId: 1, startedAt: -1 });
         
+        // Index for remediation_suppressed, counted when a workflow is triggered
+        await db.scriptFile.createIndex({ type: 1, workflowId: 1, nodeId: 1, suppressedAt: -1 });
+        
         // Index for maintenance_window
         await db.scriptFile.createIndex({ type: 1, enabled: 1, cronExpression: 1 });
         
         // Index for job_v2
         await db.scriptFile.createIndex({ type: 1, priority: 1, queueTime: 1 });
         
+        // Index for node_quarantine, checked for every job created and dispatched
+        await db.scriptFile.createIndex({ type: 1, nodeId: 1, active: 1 });
+        
+        // Index for api_key, looked up by hash on every request made with a key
+        await db.scriptFile.createIndex({ type: 1, keyHash: 1 });
+        
+        // Indexes for audit_entry, listed newest first and filtered by node or target
+        await db.scriptFile.createIndex({ type: 1, time: -1 });
+        await db.scriptFile.createIndex({ type: 1, nodeId: 1, time: -1 });
+        await db.scriptFile.createIndex({ type: 1, targetType: 1, targetId: 1 });
+        
+        // Indexes for script_version, listed newest first and looked up by hash when an agent downloads a pinned version
+        await db.scriptFile.createIndex({ type: 1, scriptId: 1, version: -1 });
+        await db.scriptFile.createIndex({ type: 1, scriptId: 1, contentHash: 1 });
+        
         console.log('ScriptTask: v2 schema indexes created successfully');
     } catch (e) {
         console.log('ScriptTask: Warning - some indexes may already exist:', e.message);
@@ -153,6 +171,7 @@ module.exports.schema = {
         name: "String",
         description: "String",
         scriptId: "String",
+        scriptVersion: "Number", // version the schedule runs, null follows the latest
         cronExpression: "String",
         timezone: "String",
         nodes: "Array<String>",
@@ -167,7 +186,17 @@ module.exports.schema = {
         dependsOn: "Array<String>",
         jitter: "Number",
         missedJobPolicy: "String", // skip, immediate, queue
+        retryPolicy: {
+            maxRetries: "Number",
+            backoffType: "String", // fixed, linear, exponential
+            delaySeconds: "Number",
+            maxDelaySeconds: "Number"
+        },
+        timeout: "Number", // seconds, overrides the script's timeout
+        parameters: "Object", // name -> value for the script's parameters
         enabled: "Boolean",
+        owner: "String", // MeshCentral user id, may change the schedule
+        scopeMeshes: "Array<String>", // meshes of the targets, users with access to all of them see the schedule
         createdBy: "String",
         createdAt: "Number",
         updatedAt: "Number",
@@ -183,12 +212,16 @@ module.exports.schema = {
         description: "String",
         trigger: {
             type: "String", // script_result, threshold, manual, schedule
-            condition: "Object"
+            condition: "Object",
+            scriptId: "String" // only evaluate jobs of this script
         },
         steps: "Array<Object>",
         escalationPolicyId: "String",
+        throttle: "Object", // cooldownSeconds, maxExecutions, windowSeconds, flapThreshold, flapWindowSeconds
         rollbackEnabled: "Boolean",
         enabled: "Boolean",
+        owner: "String", // MeshCentral user id, may change the workflow
+        scopeMeshes: "Array<String>", // only runs on nodes of these meshes, empty for all
         createdBy: "String",
         createdAt: "Number",
         updatedAt: "Number"
@@ -198,13 +231,40 @@ module.exports.schema = {
         type: "remediation_execution",
         workflowId: "String",
         nodeId: "String",
-        status: "String", // running, success, failed, rolled_back
+        status: "String", // running, success, failed, cancelled, rolled_back, rollback_failed
         currentStepId: "String",
+        stepState: "Object", // current step: stepId, startTime, retryCount, waitingFor, resumeAt, jobId
+        branchStates: "Object", // parallel branches by first step: currentStep, stepState, status
+        pendingApprovals: "Array<Object>", // approval steps waiting for a decision
         stepResults: "Array<Object>",
+        stepOutputs: "Object", // stepId -> { status, output (parsed JSON or text), exitCode }, for templates
         alerts: "Array<Object>",
         startedAt: "Number",
         completedAt: "Number",
-        triggeredBy: "String"
+        triggeredBy: "String",
+        triggerJobId: "String", // job whose result started the execution
+        parentExecutionId: "String", // execution whose workflow step started this one
+        parentStepId: "String",
+        callStack: "Array<String>", // workflows that called this one, to stop circular calls
+        rollbackOf: "String", // set on a rollback: the execution it rolls back
+        rollbackSteps: "Array<Object>", // set on a rollback: its generated script steps
+        rollbackExecutionId: "String", // latest rollback of this execution
+        rollbackResults: "Array<Object>" // stepId, scriptId, status of each rollback script
+    },
+    
+    remediation_suppressed: {
+        type: "remediation_suppressed",
+        workflowId: "String",
+        workflowName: "String",
+        nodeId: "String",
+        reason: "String", // flapping, cooldown, rate_limit
+        message: "String",
+        triggeredBy: "String",
+        triggerType: "String",
+        triggerJobId: "String",
+        escalated: "Boolean", // flapping: the last execution was escalated
+        escalationResult: "Object",
+        suppressedAt: "Number"
     },
     
     maintenance_window: {
@@ -220,14 +280,95 @@ module.exports.schema = {
         createdAt: "Number"
     },
     
+    node_quarantine: {
+        type: "node_quarantine",
+        nodeId: "String",
+        mode: "String", // full, diagnostic (only scripts with diagnostic: true run)
+        reason: "String",
+        quarantinedBy: "String",
+        quarantinedAt: "Number",
+        expiresAt: "Number", // null for no expiry
+        active: "Boolean", // records are kept after release as the node's quarantine history
+        releasedBy: "String",
+        releasedAt: "Number",
+        releaseReason: "String" // e.g. Expired, Replaced by a new quarantine
+    },
+    
+    api_key: {
+        type: "api_key",
+        name: "String",
+        keyHash: "String", // sha256 of the key, the key itself is not stored
+        prefix: "String", // first characters of the key, to recognise it
+        userId: "String", // MeshCentral user the key acts as
+        username: "String",
+        scopes: "Array<String>", // e.g. jobs:read, scripts:run, remediation:trigger
+        allowedIps: "Array<String>", // addresses or IPv4 CIDR ranges, empty for any
+        expiresAt: "Number", // null for no expiry
+        createdAt: "Number",
+        lastUsedAt: "Number",
+        lastUsedIp: "String",
+        revoked: "Boolean",
+        revokedAt: "Number",
+        revokedBy: "String"
+    },
+    
+    audit_entry: {
+        type: "audit_entry", // only inserted, never changed or deleted
+        time: "Number",
+        action: "String", // <target>.<verb>, e.g. script.update, node.quarantine, workflow.trigger
+        source: "String", // ui, rest, api_key, remediation, system
+        actor: "String", // username
+        actorId: "String", // MeshCentral user id, null for the remediation engine
+        apiKeyId: "String", // key used for the request, source api_key
+        targetType: "String", // script, folder, schedule_v2, jobSchedule, variable, job, node, remediation_workflow, ...
+        targetId: "String",
+        targetName: "String",
+        nodeId: "String",
+        meshId: "String",
+        changes: "Object", // field -> { from, to }, secret values are redacted
+        details: "Object"
+    },
+    
+    script_version: {
+        type: "script_version", // only inserted, restoring a version saves it as a new one
+        scriptId: "String",
+        version: "Number", // 1, 2, ... per script, the script's version field is the current one
+        name: "String",
+        filetype: "String",
+        content: "String",
+        contentHash: "String", // sha384 of the content, agents cache scripts by it
+        parameters: "Array<Object>",
+        author: "String",
+        authorId: "String",
+        note: "String", // change note
+        restoredFrom: "Number", // version whose content was restored
+        createdAt: "Number"
+    },
+    
     job_v2: {
         type: "job",
+        state: "String", // pending, dispatched, running, complete, error, timeout, cancelled
         priority: "String",
         retryCount: "Number",
         maxRetries: "Number",
+        retryPolicy: "Object", // copied from the schedule when the job is created
+        retryOf: "String", // previous attempt
+        rootJobId: "String", // first attempt
+        retriedBy: "String", // next attempt
+        timeout: "Number", // seconds, the agent kills the job after this
+        parameters: "Object", // name -> value given for the job, secrets are never stored
+        cancelledReason: "String",
         dependsOn: "Array<String>",
         remediationExecutionId: "String",
+        pinnedVersion: "Number", // version the job must run, null for the current one
+        scriptVersion: "Number", // version sent to the agent
         tags: "Array<String>",
-        metadata: "Object"
+        metadata: "Object",
+        dispatchTime: "Number",
+        startTime: "Number",
+        completeTime: "Number",
+        exitCode: "Number",
+        stdout: "String",
+        stderr: "String"
     }
 };
@@ -16,6 +16,10 @@ module.exports.CreateDB = function(meshserver) {
     obj.dbVersion = 1;
     
     obj.initFunctions = function () {
+        obj.formatId = function(id) {
+            return formatId(id);
+        };
+
         obj.updateDBVersion = function(new_version) {
           return obj.scriptFile.updateOne({type: "db_version"}, { $set: {version: new_version} }, {upsert: true});
         };
@@ -95,8 +99,10 @@ module.exports.CreateDB = function(meshserver) {
         };
         obj.addJob = function(passedObj) {
           var nowTime = Math.floor(new Date() / 1000);
-          var defaultObj = { 
+          var defaultObj = {
               type: 'job',
+              state: 'pending',
+              priority: 'normal',
               queueTime: nowTime,
               dontQueueUntil: nowTime,
               dispatchTime: null,
@@ -180,6 +186,21 @@ module.exports.CreateDB = function(meshserver) {
                 scriptId: scriptId,
             }).sort({ completeTime: -1, queueTime: -1 }).limit(200).toArray();
         };
+        obj.getJobAttempts = function(jobId) {
+            // every retry of a job points back at the first attempt through rootJobId
+            return obj.scriptFile.find( { _id: formatId(jobId), type: 'job' } ).toArray()
+            .then(found => {
+                if (found.length == 0) return [];
+                var rootJobId = found[0].rootJobId || String(found[0]._id);
+                return obj.scriptFile.find( {
+                    type: 'job',
+                    $or: [
+                        { _id: formatId(rootJobId) },
+                        { rootJobId: rootJobId }
+                    ]
+                }).sort({ retryCount: 1 }).toArray();
+            });
+        };
         obj.updateScriptJobName = function(scriptId, scriptName) {
             return obj.scriptFile.updateMany({ type: 'job', scriptId: scriptId }, { $set: { scriptName: scriptName } });    
         };
@@ -200,14 +221,20 @@ module.exports.CreateDB = function(meshserver) {
             var oldTime = nowTime - (86400 * 90); // 90 days
             return obj.scriptFile.deleteMany( { type: 'job', completeTime: { $lte: oldTime } } );
         };
-        obj.addVariable = function(name, scope, scopeTarget, value) {
+        obj.addVariable = function(name, scope, scopeTarget, value, encryptedValue) {
             var vObj = { 
                 type: 'variable',
                 name: name,
                 scope: scope,
                 scopeTarget: scopeTarget,
-                value: value
+                value: value,
+                secret: false
             };
+            if (encryptedValue != null) { // secret variables only keep the encrypted value
+                vObj.value = null;
+                vObj.secret = true;
+                vObj.encryptedValue = encryptedValue;
+            }
             return obj.scriptFile.insertOne(vObj);
         };
         obj.getVariables = function(limiters) {
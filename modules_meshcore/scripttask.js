@@ -16,6 +16,16 @@ var pendingDownload = [];
 var debug_flag = false;
 var runningJobs = [];
 var runningJobPIDs = {};
+var runningJobTimers = {};
+var killedJobs = {}; // jobId -> 'timeout' | 'cancelled'
+var outputStreams = {}; // jobId -> live output state while a job runs
+
+// Script types run through an interpreter. The interpreter can be set per mesh/node/script
+// with the named variable, otherwise it is looked up in the PATH.
+var interpreters = {
+    'py': { name: 'Python', variable: 'pythonPath', ext: '.py', args: '-u', candidates: { win32: ['py', 'python'], other: ['python3', 'python'] } },
+    'js': { name: 'Node.js', variable: 'nodePath', ext: '.js', args: '', candidates: { win32: ['node'], other: ['node', 'nodejs'] } }
+};
 
 var dbg = function(str) {
     if (debug_flag !== true) return;
@@ -54,8 +64,12 @@ function consoleaction(args, rights, sessionid, parent) {
                 jobId: args.jobId,
                 scriptId: args.scriptId,
                 replaceVars: args.replaceVars,
+                params: args.params,
+                hasSecrets: args.hasSecrets,
                 scriptHash: args.scriptHash,
-                dispatchTime: args.dispatchTime
+                dispatchTime: args.dispatchTime,
+                timeout: args.timeout,
+                interpreter: args.interpreter
             };
             //dbg('jObj args is ' + JSON.stringify(jObj));
             var sObj = getScriptFromCache(jObj.scriptId);
@@ -68,6 +82,7 @@ function consoleaction(args, rights, sessionid, parent) {
                     "plugin": "scripttask",
                     "pluginaction": "getScript",
                     "scriptId": jObj.scriptId, 
+                    "scriptHash": jObj.scriptHash,
                     "sessionid": _sessionid,
                     "tag": "console"
                 });
@@ -93,6 +108,12 @@ function consoleaction(args, rights, sessionid, parent) {
                 });
             }
         break;
+        case 'cancelJob':
+            for (var i = pendingDownload.length - 1; i >= 0; i--) {
+                if (pendingDownload[i].jobId == args.jobId) pendingDownload.remove(i);
+            }
+            killJob(args.jobId, 'cancelled');
+        break;
         case 'clearAll':
             clearCache();
             mesh.SendCommand({ 
@@ -127,10 +148,19 @@ function consoleaction(args, rights, sessionid, parent) {
     }
 }
 
-function finalizeJob(job, retVal, errVal) {
+function finalizeJob(job, retVal, errVal, result) {
     if (errVal != null && errVal.stack != null) errVal = errVal.stack;
-    runningJobs.remove(runningJobs.indexOf(job.jobId));
+    if (result == null) result = {};
+    stopOutputStream(job);
+    var status = (killedJobs[job.jobId] != null) ? killedJobs[job.jobId] : null;
+    var idx = runningJobs.indexOf(job.jobId);
+    if (idx !== -1) runningJobs.remove(idx);
     if (typeof runningJobPIDs[job.jobId] != 'undefined') delete runningJobPIDs[job.jobId];
+    if (typeof runningJobTimers[job.jobId] != 'undefined') {
+        clearTimeout(runningJobTimers[job.jobId]);
+        delete runningJobTimers[job.jobId];
+    }
+    delete killedJobs[job.jobId];
     mesh.SendCommand({ 
         "action": "plugin", 
         "plugin": "scripttask",
@@ -139,11 +169,253 @@ function finalizeJob(job, retVal, errVal) {
         "scriptId": job.scriptId,
         "retVal": retVal,
         "errVal": errVal,
+        "status": status,
+        "exitCode": (result.exitCode != null) ? result.exitCode : null,
+        "stdout": (result.stdout != null) ? result.stdout : null,
+        "stderr": (result.stderr != null) ? result.stderr : null,
         "dispatchTime": job.dispatchTime, // include original run time (long running tasks could have tried a re-send)
         "sessionid": _sessionid,
         "tag": "console"
     });
 }
+function jobStarted(job) {
+    mesh.SendCommand({ 
+        "action": "plugin", 
+        "plugin": "scripttask",
+        "pluginaction": "jobStarted",
+        "jobId": job.jobId,
+        "scriptId": job.scriptId,
+        "sessionid": _sessionid,
+        "tag": "console"
+    });
+}
+// Read the redirected stdout, clean up the temp files and report the job.
+// The exit code decides success; stderr is passed along as-is (warnings don't fail a job).
+function completeRun(jObj, outFile, errstr, procRetVal, procRetSignal, tempFiles) {
+    const fs = require('fs');
+    stopOutputStream(jObj); // send whatever is left before the output file goes away
+    var stdout = '';
+    try {
+        stdout = fs.readFileSync(outFile, 'utf8').toString();
+    } catch (e) { dbg('Could not read output file, error was: ' + e + ' for file ' + outFile); }
+    tempFiles.forEach(function(f) {
+        try { fs.unlinkSync(f); } catch (e) { dbg('Could not unlink file, error was: ' + e + ' for file ' + f); }
+    });
+    
+    var result = { exitCode: (procRetVal != null) ? procRetVal : null, stdout: stdout, stderr: errstr };
+    dbg('Exited with ' + procRetVal + ', Signal: ' + procRetSignal);
+    
+    if (killedJobs[jObj.jobId] == 'timeout') {
+        finalizeJob(jObj, null, 'Job timed out after ' + jObj.timeout + ' seconds', result);
+        return;
+    }
+    if (killedJobs[jObj.jobId] == 'cancelled') {
+        finalizeJob(jObj, null, 'Job cancelled', result);
+        return;
+    }
+    if (result.exitCode == null) {
+        finalizeJob(jObj, null, 'Process terminated by signal ' + procRetSignal, result);
+        return;
+    }
+    if (result.exitCode !== 0) {
+        var errVal = errstr.trim();
+        if (errVal == '') errVal = 'Process exited with code ' + result.exitCode;
+        finalizeJob(jObj, null, errVal, result);
+        return;
+    }
+    
+    var outstr = stdout;
+    try { outstr = outstr.trim(); } catch (e) { }
+    if (!outstr) outstr = 'Success';
+    if (!jObj.hasSecrets) dbg('Output is: ' + outstr); // the server redacts secrets, the debug log can't
+    finalizeJob(jObj, outstr, null, result);
+}
+
+// While a job runs, new stdout (tailed from the redirect file) and stderr are sent to the server as jobOutput chunks
+function startOutputStream(jObj, outFile) {
+    var st = { file: outFile, offset: 0, seq: 0, errBuf: '' };
+    st.timer = setInterval(function() { flushOutputStream(jObj); }, 2000);
+    outputStreams[jObj.jobId] = st;
+}
+
+function queueStderr(jObj, chunk) {
+    var st = outputStreams[jObj.jobId];
+    if (st != null) st.errBuf += chunk;
+}
+
+function flushOutputStream(jObj) {
+    var st = outputStreams[jObj.jobId];
+    if (st == null) return;
+    var out = '';
+    try {
+        var content = require('fs').readFileSync(st.file, 'utf8').toString().replace(/^\uFEFF/, '');
+        if (content.length > st.offset) {
+            out = content.substring(st.offset);
+            st.offset = content.length;
+        }
+    } catch (e) { } // nothing written yet
+    if (out != '') sendJobOutput(jObj, st, 'stdout', out);
+    if (st.errBuf != '') {
+        sendJobOutput(jObj, st, 'stderr', st.errBuf);
+        st.errBuf = '';
+    }
+}
+
+function sendJobOutput(jObj, st, stream, data) {
+    mesh.SendCommand({ 
+        "action": "plugin", 
+        "plugin": "scripttask",
+        "pluginaction": "jobOutput",
+        "jobId": jObj.jobId,
+        "stream": stream,
+        "seq": st.seq++,
+        "data": data,
+        "sessionid": _sessionid,
+        "tag": "console"
+    });
+}
+
+function stopOutputStream(jObj) {
+    var st = outputStreams[jObj.jobId];
+    if (st == null) return;
+    clearInterval(st.timer);
+    flushOutputStream(jObj);
+    delete outputStreams[jObj.jobId];
+}
+
+function killJob(jobId, reason) {
+    var pid = runningJobPIDs[jobId];
+    if (runningJobs.indexOf(jobId) === -1 || pid == null) {
+        dbg('Job ' + jobId + ' is not running, nothing to kill');
+        return false;
+    }
+    dbg('Killing job ' + jobId + ' (PID ' + pid + '), reason: ' + reason);
+    killedJobs[jobId] = reason;
+    killProcessTree(pid);
+    return true; // the runner's exit handler reports the job
+}
+
+function killProcessTree(pid) {
+    try {
+        var child;
+        if (process.platform == 'win32') {
+            child = require('child_process').execFile(process.env['windir'] + '\\system32\\taskkill.exe', ['taskkill', '/F', '/T', '/PID', pid.toString()]);
+            child.stderr.on('data', function (chunk) { });
+            child.stdout.on('data', function (chunk) { });
+        } else {
+            // kill children before their parent so nothing gets re-parented and left behind
+            child = require('child_process').execFile('/bin/sh', ['sh']);
+            child.stderr.on('data', function (chunk) { });
+            child.stdout.on('data', function (chunk) { });
+            child.stdin.write('killtree() { for c in $(pgrep -P $1); do killtree $c; done; kill -9 $1; }\n');
+            child.stdin.write('killtree ' + pid + '\n');
+            child.stdin.write('exit\n');
+        }
+    } catch (e) { dbg('Could not kill process tree for PID ' + pid + ', error was: ' + e); }
+}
+
+// Script parameters are passed as environment variables on top of the agent's own
+function getExecOptions(jObj) {
+    if (jObj.params == null) return {};
+    var env = {};
+    Object.getOwnPropertyNames(process.env).forEach(function(k) { env[k] = process.env[k]; });
+    Object.getOwnPropertyNames(jObj.params).forEach(function(k) { env[k] = jObj.params[k]; });
+    dbg('Passing parameters: ' + Object.getOwnPropertyNames(jObj.params).join(', '));
+    return { env: env };
+}
+
+// Writable directory for temp script/output files on non-Windows platforms
+function getTempPath() {
+    const fs = require('fs');
+    var path = '';
+    var pathTests = [
+        '/usr/local/mesh',
+        '/tmp',
+        '/usr/local/mesh_services/meshagent', 
+        '/var/tmp'
+    ];
+    pathTests.forEach(function(p) {
+        if (path == '' && fs.existsSync(p)) { path = p; }
+    });
+    dbg('Path chosen is: ' + path);
+    return path + '/';
+}
+
+function findInterpreter(candidates) {
+    var found = '';
+    candidates.forEach(function(c) {
+        if (found != '') return;
+        try {
+            var out = '';
+            var child;
+            if (process.platform == 'win32') {
+                child = require('child_process').execFile(process.env['windir'] + '\\system32\\where.exe', ['where', c]);
+                child.stderr.on('data', function (chunk) { });
+                child.stdout.on('data', function (chunk) { out += chunk; });
+            } else {
+                child = require('child_process').execFile('/bin/sh', ['sh']);
+                child.stderr.on('data', function (chunk) { });
+                child.stdout.on('data', function (chunk) { out += chunk; });
+                child.stdin.write('which ' + c + '\n');
+                child.stdin.write('exit\n');
+            }
+            child.waitExit();
+            out = out.split('\n')[0].trim(); // where.exe lists every match
+            if (out != '') found = out;
+        } catch (e) { dbg('Could not look up interpreter ' + c + ', error was: ' + e); }
+    });
+    return found;
+}
+
+function runInterpreted(sObj, jObj) {
+    const fs = require('fs');
+    var it = interpreters[sObj.filetype];
+    var interp = jObj.interpreter;
+    if (interp != null && interp != '') {
+        if (!fs.existsSync(interp)) {
+            finalizeJob(jObj, null, it.name + ' interpreter not found at ' + interp + ' (set by the ' + it.variable + ' variable)');
+            return;
+        }
+    } else {
+        interp = findInterpreter((process.platform == 'win32') ? it.candidates.win32 : it.candidates.other);
+        if (interp == '') {
+            finalizeJob(jObj, null, it.name + ' is not installed or not in the PATH. Set the ' + it.variable + ' variable to the interpreter location.');
+            return;
+        }
+    }
+    dbg('Interpreter chosen is: ' + interp);
+    
+    var isWin = (process.platform == 'win32');
+    var path = isWin ? '' : getTempPath();
+    var rand =  Math.random().toString(32).replace('0.', '');
+    var oName = 'st' + rand + '.txt';
+    var pName = 'st' + rand + it.ext;
+    try {
+        var content = isWin ? sObj.content : sObj.content.split('\r\n').join('\n').split('\r').join('\n');
+        fs.writeFileSync(path + pName, content);
+        var errstr = '';
+        var child = isWin ? require('child_process').execFile(process.env['windir'] + '\\system32\\cmd.exe', ['cmd'], getExecOptions(jObj)) : require('child_process').execFile('/bin/sh', ['sh'], getExecOptions(jObj));
+        child.stderr.on('data', function (chunk) { errstr += chunk; queueStderr(jObj, chunk); });
+        child.stdout.on('data', function (chunk) { });
+        runningJobPIDs[jObj.jobId] = child.pid;
+        startOutputStream(jObj, path + oName);
+        child.on('exit', function(procRetVal, procRetSignal) {
+            completeRun(jObj, path + oName, errstr, procRetVal, procRetSignal, [path + oName, path + pName]);
+        });
+        if (isWin) {
+            child.stdin.write('"' + interp + '" ' + it.args + ' ' + pName + ' > ' + oName + '\r\n');
+            child.stdin.write('exit %ERRORLEVEL%\r\n');
+        } else {
+            child.stdin.write('cd ' + path + '\n');
+            child.stdin.write('"' + interp + '" ' + it.args + ' ' + pName + ' > ' + oName + '\n');
+            child.stdin.write('exit\n');
+        }
+    } catch (e) { 
+        dbg('Error block was (' + it.name + '): ' + e);
+        finalizeJob(jObj, null, e);
+    }
+}
+
 //@TODO Test powershell on *nix devices with and without powershell installed
 function runPowerShell(sObj, jObj) {
     if (process.platform != 'win32') return runPowerShellNonWin(sObj, jObj);
@@ -155,47 +427,17 @@ function runPowerShell(sObj, jObj) {
     var pwshout = '', pwsherr = '', cancontinue = false;
     try {
         fs.writeFileSync(pName, sObj.content);
-        var outstr = '', errstr = '';
-        var child = require('child_process').execFile(process.env['windir'] + '\\system32\\WindowsPowerShell\\v1.0\\powershell.exe', ['-NoLogo', '-NoProfile', '-ExecutionPolicy Bypass'] );
-        child.stderr.on('data', function (chunk) { errstr += chunk; });
+        var errstr = '';
+        var child = require('child_process').execFile(process.env['windir'] + '\\system32\\WindowsPowerShell\\v1.0\\powershell.exe', ['-NoLogo', '-NoProfile', '-ExecutionPolicy Bypass'], getExecOptions(jObj));
+        child.stderr.on('data', function (chunk) { errstr += chunk; queueStderr(jObj, chunk); });
         child.stdout.on('data', function (chunk) { });
         runningJobPIDs[jObj.jobId] = child.pid;
+        startOutputStream(jObj, oName);
         child.stdin.write('.\\' + pName + ' | Out-File ' + oName + ' -Encoding UTF8\r\n');
         child.on('exit', function(procRetVal, procRetSignal) {
-            dbg('Exiting with '+procRetVal + ', Signal: ' + procRetSignal); 
-            if (errstr != '') {
-                finalizeJob(jObj, null, errstr);
-                try { 
-                    fs.unlinkSync(oName);
-                    fs.unlinkSync(pName);
-                } catch (e) { dbg('Could not unlink files, error was: ' + e); }
-                return;
-            }
-            if (procRetVal == 1) {
-                finalizeJob(jObj, null, 'Process terminated unexpectedly.');
-                try { 
-                    fs.unlinkSync(oName);
-                    fs.unlinkSync(pName);
-                } catch (e) { dbg('Could not unlink files, error was: ' + e); }
-                return;
-            }
-            try { 
-                outstr = fs.readFileSync(oName, 'utf8').toString();
-            } catch (e) { outstr = (procRetVal) ? 'Failure' : 'Success'; }
-            if (outstr) {
-                //outstr = outstr.replace(/[^\x20-\x7E]/g, ''); 
-                try { outstr = outstr.trim(); } catch (e) { }
-            } else {
-                outstr = (procRetVal) ? 'Failure' : 'Success';
-            }
-            dbg('Output is: ' + outstr);
-            finalizeJob(jObj, outstr);
-            try { 
-                fs.unlinkSync(oName);
-                fs.unlinkSync(pName);
-            } catch (e) { }
+            completeRun(jObj, oName, errstr, procRetVal, procRetSignal, [oName, pName]);
         });
-        child.stdin.write('exit\r\n');
+        child.stdin.write('exit $LASTEXITCODE\r\n');
         //child.waitExit(); // this was causing the event loop to stall on long-running scripts, switched to '.on exit'
 
     } catch (e) { 
@@ -208,18 +450,7 @@ function runPowerShellNonWin(sObj, jObj) {
     const fs = require('fs');
     var rand =  Math.random().toString(32).replace('0.', '');
     
-    var path = '';
-    var pathTests = [
-        '/usr/local/mesh',
-        '/tmp',
-        '/usr/local/mesh_services/meshagent', 
-        '/var/tmp'
-    ];
-    pathTests.forEach(function(p) {
-        if (path == '' && fs.existsSync(p)) { path = p; }
-    });
-    dbg('Path chosen is: ' + path);
-    path = path + '/';
+    var path = getTempPath();
     
     var oName = 'st' + rand + '.txt';
     var pName = 'st' + rand + '.ps1';
@@ -242,47 +473,18 @@ function runPowerShellNonWin(sObj, jObj) {
     if (cancontinue === false) { finalizeJob(jObj, null, "PowerShell is not installed"); return; }
     try {
         fs.writeFileSync(path + pName, '#!' + pwshout + '\n' + sObj.content.split('\r\n').join('\n').split('\r').join('\n'));
-        var outstr = '', errstr = '';
-        var child = require('child_process').execFile('/bin/sh', ['sh']);
-        child.stderr.on('data', function (chunk) { errstr += chunk; });
+        var errstr = '';
+        var child = require('child_process').execFile('/bin/sh', ['sh'], getExecOptions(jObj));
+        child.stderr.on('data', function (chunk) { errstr += chunk; queueStderr(jObj, chunk); });
         child.stdout.on('data', function (chunk) { });
         runningJobPIDs[jObj.jobId] = child.pid;
+        startOutputStream(jObj, path + oName);
         
         child.stdin.write('cd ' + path + '\n');                                                                                                                                                
         child.stdin.write('chmod a+x ' + pName + '\n');                                                                                                                                        
         child.stdin.write('./' + pName + ' > ' + oName + '\n');
         child.on('exit', function(procRetVal, procRetSignal) {
-            if (errstr != '') {
-                finalizeJob(jObj, null, errstr);
-                try {
-                    fs.unlinkSync(path + oName);
-                    fs.unlinkSync(path + pName);
-                } catch (e) { dbg('Could not unlink files, error was: ' + e + ' for path ' + path); }
-                return;
-            }
-            if (procRetVal == 1) {
-                finalizeJob(jObj, null, 'Process terminated unexpectedly.');
-                try {
-                    fs.unlinkSync(path + oName);
-                    fs.unlinkSync(path + pName);
-                } catch (e) { dbg('Could not unlink files1, error was: ' + e + ' for path ' + path); }
-                return;
-            }
-            try { 
-                outstr = fs.readFileSync(path + oName, 'utf8').toString();
-            } catch (e) { outstr = (procRetVal) ? 'Failure' : 'Success'; }
-            if (outstr) {
-                //outstr = outstr.replace(/[^\x20-\x7E]/g, ''); 
-                try { outstr = outstr.trim(); } catch (e) { }
-            } else {
-                outstr = (procRetVal) ? 'Failure' : 'Success';
-            }
-            dbg('Output is: ' + outstr);
-            finalizeJob(jObj, outstr);
-            try {
-                fs.unlinkSync(path + oName);
-                fs.unlinkSync(path + pName);
-            } catch (e) { dbg('Could not unlink files2, error was: ' + e + ' for path ' + path); }
+            completeRun(jObj, path + oName, errstr, procRetVal, procRetSignal, [path + oName, path + pName]);
         });
         child.stdin.write('exit\n');
     } catch (e) { 
@@ -302,46 +504,17 @@ function runBat(sObj, jObj) {
     var pName = 'st' + rand + '.bat';
     try {
         fs.writeFileSync(pName, sObj.content);
-        var outstr = '', errstr = '';
-        var child = require('child_process').execFile(process.env['windir'] + '\\system32\\cmd.exe');
-        child.stderr.on('data', function (chunk) { errstr += chunk; });
+        var errstr = '';
+        var child = require('child_process').execFile(process.env['windir'] + '\\system32\\cmd.exe', ['cmd'], getExecOptions(jObj));
+        child.stderr.on('data', function (chunk) { errstr += chunk; queueStderr(jObj, chunk); });
         child.stdout.on('data', function (chunk) { });
         runningJobPIDs[jObj.jobId] = child.pid;
+        startOutputStream(jObj, oName);
         child.stdin.write(pName + ' > ' + oName + '\r\n');
-        child.stdin.write('exit\r\n');
+        child.stdin.write('exit %ERRORLEVEL%\r\n');
 
         child.on('exit', function(procRetVal, procRetSignal) {
-            if (errstr != '') {
-                try { 
-                    fs.unlinkSync(oName);
-                    fs.unlinkSync(pName);
-                } catch (e) { dbg('Could not unlink files, error was: ' + e); }
-                finalizeJob(jObj, null, errstr);
-                return;
-            }
-            if (procRetVal == 1) {
-                try { 
-                    fs.unlinkSync(oName);
-                    fs.unlinkSync(pName);
-                } catch (e) { dbg('Could not unlink files, error was: ' + e); }
-                finalizeJob(jObj, null, 'Process terminated unexpectedly.');
-                return;
-            }
-            try { 
-                outstr = fs.readFileSync(oName, 'utf8').toString();
-            } catch (e) { outstr = (procRetVal) ? 'Failure' : 'Success'; }
-            if (outstr) {
-                //outstr = outstr.replace(/[^\x20-\x7E]/g, ''); 
-                try { outstr = outstr.trim(); } catch (e) { }
-            } else {
-                outstr = (procRetVal) ? 'Failure' : 'Success';
-            }
-            dbg('Output is: ' + outstr);
-            try {
-                fs.unlinkSync(oName);
-                fs.unlinkSync(pName);
-            } catch (e) { dbg('Could not unlink files, error was: ' + e); }
-            finalizeJob(jObj, outstr);
+            completeRun(jObj, oName, errstr, procRetVal, procRetSignal, [oName, pName]);
         });
     } catch (e) { 
         dbg('Error block was (BAT): ' + e);
@@ -356,18 +529,7 @@ function runBash(sObj, jObj) {
     }
     //dbg('proc is ' + JSON.stringify(process));
     const fs = require('fs');
-    var path = '';
-    var pathTests = [
-        '/usr/local/mesh',
-        '/tmp',
-        '/usr/local/mesh_services/meshagent', 
-        '/var/tmp'
-    ];
-    pathTests.forEach(function(p) {
-        if (path == '' && fs.existsSync(p)) { path = p; }
-    });
-    dbg('Path chosen is: ' + path);
-    path = path + '/';
+    var path = getTempPath();
     //var child = require('child_process');
     //child.execFile(process.env['windir'] + '\\system32\\cmd.exe', ['/c', 'RunDll32.exe user32.dll,LockWorkStation'], { type: 1 });
     
@@ -376,48 +538,19 @@ function runBash(sObj, jObj) {
     var pName = 'st' + rand + '.sh';
     try {
         fs.writeFileSync(path + pName, sObj.content);
-        var outstr = '', errstr = '';
-        var child = require('child_process').execFile('/bin/sh', ['sh']);
-        child.stderr.on('data', function (chunk) { errstr += chunk; });
+        var errstr = '';
+        var child = require('child_process').execFile('/bin/sh', ['sh'], getExecOptions(jObj));
+        child.stderr.on('data', function (chunk) { errstr += chunk; queueStderr(jObj, chunk); });
         child.stdout.on('data', function (chunk) { });
         runningJobPIDs[jObj.jobId] = child.pid;
+        startOutputStream(jObj, path + oName);
         child.stdin.write('cd ' + path + '\n');
         child.stdin.write('chmod a+x ' + pName + '\n');
         child.stdin.write('./' + pName + ' > ' + oName + '\n');
         child.stdin.write('exit\n');
         
         child.on('exit', function(procRetVal, procRetSignal) {
-            if (errstr != '') {
-                try {
-                    fs.unlinkSync(path + oName);
-                    fs.unlinkSync(path + pName);
-                } catch (e) { dbg('Could not unlink files, error was: ' + e + ' for path ' + path); }
-                finalizeJob(jObj, null, errstr);
-                return;
-            }
-            if (procRetVal == 1) {
-                try {
-                    fs.unlinkSync(path + oName);
-                    fs.unlinkSync(path + pName);
-                } catch (e) { dbg('Could not unlink files1, error was: ' + e + ' for path ' + path); }
-                finalizeJob(jObj, null, 'Process terminated unexpectedly.');
-                return;
-            }
-            try { 
-                outstr = fs.readFileSync(path + oName, 'utf8').toString();
-            } catch (e) { outstr = (procRetVal) ? 'Failure' : 'Success'; }
-            if (outstr) {
-                //outstr = outstr.replace(/[^\x20-\x7E]/g, ''); 
-                try { outstr = outstr.trim(); } catch (e) { }
-            } else {
-                outstr = (procRetVal) ? 'Failure' : 'Success';
-            }
-            dbg('Output is: ' + outstr);
-            try {
-                fs.unlinkSync(path + oName);
-                fs.unlinkSync(path + pName);
-            } catch (e) { dbg('Could not unlink files2, error was: ' + e + ' for path ' + path); }
-            finalizeJob(jObj, outstr);
+            completeRun(jObj, path + oName, errstr, procRetVal, procRetSignal, [path + oName, path + pName]);
         });
     } catch (e) { 
         dbg('Error block was (bash): ' + e);
@@ -455,11 +588,12 @@ function runScript(sObj, jObj) {
         Object.getOwnPropertyNames(jObj.replaceVars).forEach(function(key) {
           var val = jObj.replaceVars[key];
           sObj.content = sObj.content.replace(new RegExp('#'+key+'#', 'g'), val);
-          dbg('replacing var '+ key + ' with ' + val);
+          dbg('replacing var '+ key); // values are never logged, they may be secrets
         });
         sObj.content = sObj.content.replace(new RegExp('#(.*?)#', 'g'), 'VAR_NOT_FOUND');
     }
     runningJobs.push(jObj.jobId);
+    jobStarted(jObj);
     dbg('Running Script '+ sObj._id);
     switch (sObj.filetype) {
         case 'ps1':
@@ -471,9 +605,20 @@ function runScript(sObj, jObj) {
         case 'bash':
             runBash(sObj, jObj);
         break;
+        case 'py':
+        case 'js':
+            runInterpreted(sObj, jObj);
+        break;
         default:
             dbg('Unknown filetype: '+ sObj.filetype);
-        break;
+            finalizeJob(jObj, null, 'Unknown script type: ' + sObj.filetype);
+            return;
+    }
+    if (jObj.timeout && jobIsRunning(jObj)) {
+        runningJobTimers[jObj.jobId] = setTimeout(function() {
+            dbg('Job ' + jObj.jobId + ' timed out after ' + jObj.timeout + ' seconds');
+            killJob(jObj.jobId, 'timeout');
+        }, jObj.timeout * 1000);
     }
 }
 function getScriptFromCache(id) {
@@ -22,9 +22,21 @@ class NEMongo {
     find(args, proj) {
         this._find = args;
         this._proj = proj;
+        this._limit = null; // don't let a previous query's sort/limit leak into this one
+        this._sort = null;
         return this;
     }
-    
+
+    findOne(filter) {
+        var self = this;
+        return new Promise(function(resolve, reject) {
+            self.nedb.findOne(filter, function(err, doc) {
+                if (err) return reject(err);
+                resolve(doc);
+            });
+        });
+    }
+
     project(args) {
         this._proj = args;
         
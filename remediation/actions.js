@@ -7,12 +7,31 @@
 "use strict";
 
 const axios = require('axios');
+const Mailer = require('./mailer');
+const templates = require('./templates');
+
+const DEFAULT_EMAIL_SUBJECT = '[ScriptTask] {{workflow.name}} on {{node.name}}: {{execution.status}}';
+const DEFAULT_EMAIL_BODY = [
+    'Remediation workflow "{{workflow.name}}" on {{node.name}} ({{node.meshName}})',
+    'Status: {{execution.status}}',
+    'Started: {{execution.startedAt}}',
+    '',
+    'Steps:',
+    '{{stepSummary}}',
+    '',
+    'Last output:',
+    '{{output}}'
+].join('\n');
+
+const DEFAULT_APPROVAL_MESSAGE = 'Approval needed: step "{{approval.stepName}}" of workflow "{{workflow.name}}" on {{node.name}} ({{node.meshName}})';
 
 class ActionHandler {
-    constructor(meshServer, db) {
+    constructor(meshServer, db, config = {}, quarantine = null) {
         this.meshServer = meshServer;
         this.db = db;
-        this.quarantinedNodes = new Set();
+        this.config = config || {};
+        this.quarantine = quarantine; // NodeQuarantine shared with the dispatcher
+        this.mailer = new Mailer(meshServer, this.config.email);
     }
     
     /**
@@ -29,7 +48,7 @@ class ActionHandler {
             const headers = config.headers || { 'Content-Type': 'application/json' };
             
             // Build payload
-            const payload = this.buildWebhookPayload(config, execution, workflow);
+            const payload = config.payload || this.buildWebhookPayload(config, execution, workflow);
             
             console.log(`ScriptTask Actions: Sending webhook to ${url}`);
             
@@ -157,169 +176,242 @@ class ActionHandler {
     }
     
     /**
-     * Send email notification
-     * @param {Object} config - Email configuration
-     * @param {Object} execution - Remediation execution
-     * @param {Object} workflow - Workflow definition
-     * @returns {Promise<Object>}
+     * Notify approvers that an approval step is waiting for them, through a MeshCentral
+     * event and, if the step has one, a webhook
+     * @param {Object} request - { stepId, stepName, message, approvers, requestedAt, expiresAt }
+     * @param {Object} step - Approval step
+     * @param {Object} execution
+     * @param {Object} workflow
+     * @returns {Promise<Object>} - { success, message }
      */
-    async sendEmail(config, execution, workflow) {
+    async sendApprovalRequest(request, step, execution, workflow) {
         try {
-            console.log('ScriptTask Actions: Email notifications not yet implemented');
+            const executionId = execution._id.toString();
+            const context = await this.buildTemplateContext(execution, workflow);
+            context.approval = {
+                stepId: request.stepId,
+                stepName: request.stepName,
+                approvers: request.approvers.join(', ') || 'any user',
+                expiresAt: new Date(request.expiresAt).toISOString(),
+                approveUrl: `/api/remediation/executions/${executionId}/approve`,
+                rejectUrl: `/api/remediation/executions/${executionId}/reject`
+            };
+            const message = templates.render(step.message || DEFAULT_APPROVAL_MESSAGE, context);
             
-            // Placeholder - would need SMTP configuration
-            // In a real implementation, this would use nodemailer or similar
+            if (this.meshServer && this.meshServer.DispatchEvent) {
+                // Approvers given as MeshCentral user ids are notified directly
+                const targets = ['*', 'server-admins'].concat(request.approvers.filter(a => a.startsWith('user/')));
+                this.meshServer.DispatchEvent(targets, this, {
+                    action: 'plugin',
+                    plugin: 'scripttask',
+                    pluginaction: 'approvalRequested',
+                    approval: {
+                        ...request,
+                        message: message,
+                        executionId: executionId,
+                        workflowId: context.workflow.id,
+                        workflowName: workflow.name,
+                        nodeId: execution.nodeId,
+                        nodeName: context.node.name
+                    }
+                });
+            }
             
-            return { success: false, reason: 'Email not implemented' };
+            if (step.webhook && step.webhook.url) {
+                const text = `${message}\nApprove: POST ${context.approval.approveUrl}\nReject: POST ${context.approval.rejectUrl}\nExpires: ${context.approval.expiresAt}`;
+                await this.sendWebhook({
+                    ...step.webhook,
+                    payload: this.buildApprovalPayload(step.webhook.webhookType, text, request, executionId, context)
+                }, execution, workflow);
+            }
+            
+            return { success: true, message: message };
         } catch (e) {
-            console.error('ScriptTask Actions: Error sending email', e);
+            console.error('ScriptTask Actions: Error sending approval request', e);
             return { success: false, error: e.message };
         }
     }
     
     /**
-     * Quarantine a node (prevent it from running jobs)
-     * @param {String} nodeId
-     * @returns {Promise<Object>}
+     * Build approval request webhook payload
+     * @param {String} type - slack, teams, discord or generic
+     * @param {String} text - Message for chat webhooks
+     * @param {Object} request
+     * @param {String} executionId
+     * @param {Object} context - Notification context
+     * @returns {Object}
      */
-    async quarantineNode(nodeId) {
-        try {
-            console.log(`ScriptTask Actions: Quarantining node ${nodeId}`);
-            
-            this.quarantinedNodes.add(nodeId);
-            
-            // Store quarantine status in database
-            await this.db.scriptFile.insertOne({
-                type: 'node_quarantine',
-                nodeId: nodeId,
-                quarantinedAt: Date.now(),
-                reason: 'Remediation failure',
-                active: true
-            });
+    buildApprovalPayload(type, text, request, executionId, context) {
+        switch (type) {
+            case 'slack':
+            case 'teams':
+                return { text: text };
             
-            // Cancel any pending jobs for this node
-            await this.db.scriptFile.updateMany(
-                { type: 'job', node: nodeId, state: 'pending' },
-                { $set: { state: 'cancelled', cancelledReason: 'Node quarantined' } }
-            );
+            case 'discord':
+                return { content: text };
             
-            console.log(`ScriptTask Actions: Node ${nodeId} quarantined successfully`);
-            return { success: true, message: 'Node quarantined' };
-        } catch (e) {
-            console.error('ScriptTask Actions: Error quarantining node', e);
-            return { success: false, error: e.message };
+            default:
+                return {
+                    event: 'approvalRequested',
+                    executionId: executionId,
+                    workflowId: context.workflow.id,
+                    workflowName: context.workflow.name,
+                    nodeId: context.node.id,
+                    nodeName: context.node.name,
+                    stepId: request.stepId,
+                    message: text,
+                    approvers: request.approvers,
+                    expiresAt: request.expiresAt,
+                    approveUrl: context.approval.approveUrl,
+                    rejectUrl: context.approval.rejectUrl
+                };
         }
     }
     
     /**
-     * Remove node from quarantine
-     * @param {String} nodeId
+     * Send email notification
+     * @param {Object} config - { to, subject, body, template }, without a body the default template is sent
+     * @param {Object} execution - Remediation execution
+     * @param {Object} workflow - Workflow definition
      * @returns {Promise<Object>}
      */
-    async unquarantineNode(nodeId) {
+    async sendEmail(config, execution, workflow) {
         try {
-            console.log(`ScriptTask Actions: Removing quarantine from node ${nodeId}`);
+            const context = await this.buildTemplateContext(execution, workflow);
             
-            this.quarantinedNodes.delete(nodeId);
-            
-            // Update quarantine status in database
-            await this.db.scriptFile.updateMany(
-                { type: 'node_quarantine', nodeId: nodeId, active: true },
-                { $set: { active: false, unquarantinedAt: Date.now() } }
-            );
-            
-            console.log(`ScriptTask Actions: Node ${nodeId} unquarantined successfully`);
-            return { success: true, message: 'Node unquarantined' };
+            return await this.mailer.send({
+                to: templates.renderValue(config.to, context),
+                subject: templates.render(config.subject || DEFAULT_EMAIL_SUBJECT, context),
+                text: templates.render(config.body || DEFAULT_EMAIL_BODY, context)
+            });
         } catch (e) {
-            console.error('ScriptTask Actions: Error unquarantining node', e);
+            console.error('ScriptTask Actions: Error sending email', e);
             return { success: false, error: e.message };
         }
     }
     
     /**
-     * Check if node is quarantined
-     * @param {String} nodeId
-     * @returns {Boolean}
+     * Build the values available to templates in notifications and step inputs, e.g. {{node.name}},
+     * {{steps.cleanup.status}}, {{steps.check-disk.output.freeGb}} or {{output}}
+     * @param {Object} execution
+     * @param {Object} workflow
+     * @returns {Promise<Object>}
      */
-    isNodeQuarantined(nodeId) {
-        return this.quarantinedNodes.has(nodeId);
+    async buildTemplateContext(execution, workflow) {
+        const node = await this.getNodeInfo(execution.nodeId);
+        const stepResults = execution.stepResults || [];
+        const stepOutputs = execution.stepOutputs || {};
+        
+        const steps = {};
+        let lastOutput = null;
+        for (const result of stepResults) {
+            // Outputs parsed from JSON keep their fields, text is shortened
+            const stored = stepOutputs[result.stepId];
+            const parsed = stored ? stored.output : null;
+            steps[result.stepId] = {
+                name: result.stepName || result.stepId,
+                type: result.stepType,
+                status: result.status,
+                duration: result.duration,
+                exitCode: stored && stored.exitCode !== undefined ? stored.exitCode : null,
+                error: result.error || '',
+                output: (parsed && typeof parsed === 'object') ? parsed : this.getOutputExcerpt(result.output)
+            };
+            if (result.output != null && result.output !== '') lastOutput = result.output;
+        }
+        
+        const stepSummary = stepResults.map(r => {
+            return `- ${r.stepName || r.stepId}: ${r.status}` + (r.error ? ` (${r.error})` : '');
+        }).join('\n');
+        
+        return {
+            workflow: {
+                id: workflow._id ? workflow._id.toString() : null,
+                name: workflow.name,
+                description: workflow.description || ''
+            },
+            execution: {
+                id: execution._id ? execution._id.toString() : null,
+                status: execution.status,
+                startedAt: execution.startTime ? new Date(execution.startTime).toISOString() : '',
+                triggeredBy: execution.triggeredBy || '',
+                triggerJobId: execution.triggerJobId || '',
+                error: execution.completionReason || ''
+            },
+            node: node,
+            trigger: execution.context || {},
+            steps: steps,
+            stepSummary: stepSummary || '(no steps run yet)',
+            output: this.getOutputExcerpt(lastOutput) || '(no output)',
+            timestamp: new Date().toISOString()
+        };
     }
     
     /**
-     * Perform automatic rollback
-     * @param {String} executionId
-     * @returns {Promise<Object>}
+     * Shorten script output for notifications, keeping the end where errors usually are
+     * @param {*} output
+     * @returns {String}
      */
-    async performRollback(executionId) {
-        try {
-            console.log(`ScriptTask Actions: Performing rollback for execution ${executionId}`);
-            
-            const execution = await this.db.scriptFile.findOne({
-                _id: this.db.formatId(executionId),
-                type: 'remediation_execution'
-            });
-            
-            if (!execution) {
-                return { success: false, reason: 'Execution not found' };
-            }
-            
-            const workflow = await this.db.scriptFile.findOne({
-                _id: this.db.formatId(execution.workflowId),
-                type: 'remediation_workflow'
-            });
-            
-            if (!workflow || !workflow.rollbackEnabled) {
-                return { success: false, reason: 'Rollback not enabled for this workflow' };
-            }
-            
-            // Execute rollback steps (in reverse order)
-            const rollbackSteps = [];
-            for (let i = execution.stepResults.length - 1; i >= 0; i--) {
-                const stepResult = execution.stepResults[i];
-                if (stepResult.status === 'success') {
-                    const step = workflow.steps.find(s => s.id === stepResult.stepId);
-                    if (step && step.rollbackScriptId) {
-                        rollbackSteps.push({
-                            stepId: step.id,
-                            scriptId: step.rollbackScriptId
-                        });
-                    }
-                }
-            }
-            
-            // Queue rollback jobs
-            for (const rollbackStep of rollbackSteps) {
-                const nowTime = Math.floor(Date.now() / 1000);
-                const jobData = {
-                    type: 'job',
-                    scriptId: rollbackStep.scriptId,
-                    node: execution.nodeId,
-                    state: 'pending',
-                    queueTime: nowTime,
-                    priority: 'high',
-                    remediationExecutionId: execution._id.toString(),
-                    tags: ['rollback', 'remediation'],
-                    metadata: {
-                        reason: 'Rollback from failed remediation',
-                        originalStepId: rollbackStep.stepId
+    getOutputExcerpt(output) {
+        if (output == null) return '';
+        const text = (typeof output === 'string') ? output : JSON.stringify(output);
+        const maxLength = (this.config.email && this.config.email.outputExcerptLength) || 2000;
+        if (text.length <= maxLength) return text.trim();
+        return '...' + text.slice(-maxLength).trim();
+    }
+    
+    /**
+     * Get a node's name and mesh for notifications
+     * @param {String} nodeId
+     * @returns {Promise<Object>} - { id, name, meshId, meshName }
+     */
+    getNodeInfo(nodeId) {
+        const info = { id: nodeId, name: nodeId, meshId: '', meshName: '' };
+        const meshes = (this.meshServer.webserver && this.meshServer.webserver.meshes) || {};
+        
+        return new Promise(resolve => {
+            try {
+                this.meshServer.db.Get(nodeId, (err, nodes) => {
+                    if (!err && nodes && nodes.length) {
+                        info.name = nodes[0].name || nodeId;
+                        info.meshId = nodes[0].meshid || '';
+                        info.meshName = (meshes[info.meshId] && meshes[info.meshId].name) || info.meshId;
                     }
-                };
-                
-                await this.db.scriptFile.insertOne(jobData);
+                    resolve(info);
+                });
+            } catch (e) {
+                resolve(info);
             }
-            
-            // Update execution status
-            await this.db.scriptFile.updateOne(
-                { _id: execution._id },
-                { $set: { status: 'rolled_back', completedAt: Date.now() } }
-            );
-            
-            console.log(`ScriptTask Actions: Rollback initiated for execution ${executionId}`);
-            return { success: true, rollbackSteps: rollbackSteps.length };
-        } catch (e) {
-            console.error('ScriptTask Actions: Error performing rollback', e);
-            return { success: false, error: e.message };
-        }
+        });
+    }
+    
+    /**
+     * Quarantine a node (prevent it from running jobs)
+     * @param {String} nodeId
+     * @param {Object} options - { reason, mode, duration, expiresAt, by }
+     * @returns {Promise<Object>}
+     */
+    async quarantineNode(nodeId, options = {}) {
+        return this.quarantine.quarantine(nodeId, { reason: 'Remediation failure', by: 'system', ...options });
+    }
+    
+    /**
+     * Remove node from quarantine
+     * @param {String} nodeId
+     * @param {String} by
+     * @returns {Promise<Object>}
+     */
+    async unquarantineNode(nodeId, by = 'system') {
+        return this.quarantine.release(nodeId, by);
+    }
+    
+    /**
+     * Check if node is quarantined
+     * @param {String} nodeId
+     * @returns {Promise<Boolean>}
+     */
+    async isNodeQuarantined(nodeId) {
+        return (await this.quarantine.getActive(nodeId)) !== null;
     }
     
     /**
@@ -382,26 +474,6 @@ class ActionHandler {
             console.error('ScriptTask Actions: Error sending admin notification', e);
         }
     }
-    
-    /**
-     * Load quarantined nodes from database on startup
-     */
-    async loadQuarantinedNodes() {
-        try {
-            const quarantined = await this.db.scriptFile.find({
-                type: 'node_quarantine',
-                active: true
-            }).toArray();
-            
-            quarantined.forEach(q => {
-                this.quarantinedNodes.add(q.nodeId);
-            });
-            
-            console.log(`ScriptTask Actions: Loaded ${quarantined.length} quarantined nodes`);
-        } catch (e) {
-            console.error('ScriptTask Actions: Error loading quarantined nodes', e);
-        }
-    }
 }
 
 module.exports = ActionHandler;
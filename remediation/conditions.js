@@ -82,12 +82,14 @@ class ConditionEvaluator {
     
     /**
      * Evaluate output pattern condition
-     * @param {Object} condition - { pattern: string, matchType: 'contains'|'regex', caseSensitive: boolean }
+     * @param {Object} condition - { pattern: string, matchType: 'contains'|'regex', caseSensitive: boolean, stream: 'stdout'|'stderr' }
      * @param {Object} jobResult
      * @returns {Boolean}
      */
     evaluateOutputPattern(condition, jobResult) {
-        const output = jobResult.output || jobResult.stdout || '';
+        const output = (condition.stream === 'stderr')
+            ? (jobResult.stderr || '')
+            : (jobResult.output || jobResult.stdout || '');
         const pattern = condition.pattern;
         const matchType = condition.matchType || 'contains';
         const caseSensitive = condition.caseSensitive !== false;
@@ -8,21 +8,37 @@
 
 const WorkflowBuilder = require('./workflow-builder');
 const ConditionEvaluator = require('./conditions');
+const templates = require('./templates');
 const EscalationManager = require('./escalation');
 const ActionHandler = require('./actions');
+const TriggerManager = require('./triggers');
+const TriggerThrottle = require('./throttle');
+const NodeQuarantine = require('../scheduler/quarantine');
+const AuditLog = require('../scheduler/audit');
+
+const DEFAULT_APPROVAL_TIMEOUT = 24 * 60 * 60; // seconds
+const MAX_TIMER_DELAY = 2147483647; // longest setTimeout, in ms
 
 class RemediationEngine {
-    constructor(meshServer, db, config) {
+    constructor(meshServer, db, config, dispatcher = null) {
         this.meshServer = meshServer;
         this.db = db;
         this.config = config || {};
+        this.dispatcher = dispatcher;
+        
+        // The dispatcher's quarantine and audit log are shared with the scheduler and the API
+        this.audit = dispatcher ? dispatcher.audit : new AuditLog(meshServer, db);
+        this.quarantine = dispatcher ? dispatcher.quarantine : new NodeQuarantine(db, this.audit);
         
-        this.actionHandler = new ActionHandler(meshServer, db);
+        this.actionHandler = new ActionHandler(meshServer, db, this.config, this.quarantine);
         this.conditionEvaluator = new ConditionEvaluator();
         this.escalationManager = new EscalationManager(db, this.actionHandler);
+        this.triggerManager = new TriggerManager(this, db);
+        this.throttle = new TriggerThrottle(db, this.config.throttle);
         
         this.activeExecutions = new Map(); // executionId -> execution data
         this.stepTimers = new Map(); // executionId -> { stepId -> timer }
+        this.pendingApprovals = new Map(); // executionId:stepId -> { state, resolve, timer }
     }
     
     /**
@@ -33,18 +49,6 @@ class RemediationEngine {
         try {
             console.log('ScriptTask RemediationEngine: Initializing engine');
             
-            // Load quarantined nodes from database
-            const quarantined = await this.db.scriptFile.find({
-                type: 'node_quarantine',
-                active: true
-            }).toArray();
-            
-            for (const record of quarantined) {
-                this.actionHandler.quarantinedNodes.add(record.nodeId);
-            }
-            
-            console.log(`ScriptTask RemediationEngine: Loaded ${quarantined.length} quarantined nodes`);
-            
             // Resume any in-progress executions
             const inProgress = await this.db.scriptFile.find({
                 type: 'remediation_execution',
@@ -54,8 +58,7 @@ class RemediationEngine {
             console.log(`ScriptTask RemediationEngine: Found ${inProgress.length} in-progress executions`);
             
             for (const execution of inProgress) {
-                // Mark as failed if they were interrupted
-                await this.completeExecution(execution, 'failed', 'Engine restart - execution interrupted');
+                await this.resumeExecution(execution);
             }
             
             console.log('ScriptTask RemediationEngine: Initialization complete');
@@ -65,13 +68,115 @@ class RemediationEngine {
         }
     }
     
+    /**
+     * Continue an execution that was running when the server stopped, from the step it was on
+     * @param {Object} execution - Execution record
+     * @returns {Promise<void>}
+     */
+    async resumeExecution(execution) {
+        try {
+            const workflow = execution.rollbackOf
+                ? this.getRollbackWorkflow(execution)
+                : await this.db.scriptFile.findOne({
+                    _id: this.db.formatId(execution.workflowId),
+                    type: 'remediation_workflow'
+                });
+            
+            if (!workflow) {
+                await this.completeExecution(execution, 'failed', 'Engine restart - workflow no longer exists');
+                return;
+            }
+            
+            execution.stepResults = execution.stepResults || [];
+            execution.stepOutputs = execution.stepOutputs || {};
+            
+            // Steps of parallel branches were in progress too
+            const states = [execution.stepState];
+            for (const branch of Object.values(execution.branchStates || {})) {
+                if (branch.status === 'running') states.push(branch.stepState);
+            }
+            
+            for (const state of states) {
+                if (!state) continue;
+                const step = (workflow.steps || []).find(s => s.id === state.stepId);
+                if (step && !(await this.isStepResumable(execution, step, state))) {
+                    // The step may or may not have taken effect, so it is failed rather than repeated
+                    state.interrupted = true;
+                }
+            }
+            
+            console.log(`ScriptTask RemediationEngine: Resuming execution ${execution._id} at step ${execution.currentStep}`);
+            
+            this.activeExecutions.set(execution._id.toString(), execution);
+            
+            this.executeWorkflow(execution, workflow).catch(e => {
+                console.error('ScriptTask RemediationEngine: Unhandled error in workflow execution', e);
+                this.completeExecution(execution, 'failed', e.message);
+            });
+        } catch (e) {
+            console.error(`ScriptTask RemediationEngine: Error resuming execution ${execution._id}`, e);
+            await this.completeExecution(execution, 'failed', 'Engine restart - execution could not be resumed');
+        }
+    }
+    
+    /**
+     * Check whether a step that was in progress when the server stopped can be continued.
+     * Waits (delays and retry backoff) and script jobs can be, a webhook or email that was
+     * being sent can't: there's no telling whether it went out.
+     * @param {Object} execution
+     * @param {Object} step
+     * @param {Object} state - Persisted step state
+     * @returns {Promise<Boolean>}
+     */
+    async isStepResumable(execution, step, state) {
+        if (state.waitingFor) return true;
+        
+        switch (step.type) {
+            case 'delay':
+            case 'condition':
+            case 'parallel':
+            case 'join':
+            case 'approval':
+                return true;
+            
+            case 'script':
+                // Either the job is still known, or it was never queued and the step can start over
+                if (!state.jobId) {
+                    const job = await this.db.scriptFile.findOne({
+                        type: 'job',
+                        remediationExecutionId: execution._id.toString(),
+                        remediationStepId: step.id,
+                        queueTime: { $gte: Math.floor(state.startTime / 1000) }
+                    });
+                    if (job) state.jobId = job._id.toString();
+                }
+                return true;
+            
+            case 'workflow':
+                // Same for the called workflow's execution, which resumes on its own
+                if (!state.childExecutionId) {
+                    const child = await this.db.scriptFile.findOne({
+                        type: 'remediation_execution',
+                        parentExecutionId: execution._id.toString(),
+                        parentStepId: step.id,
+                        startTime: { $gte: state.startTime }
+                    });
+                    if (child) state.childExecutionId = child._id.toString();
+                }
+                return true;
+            
+            default:
+                return false;
+        }
+    }
+    
     /**
      * Trigger workflow execution
      * @param {String} workflowId - Workflow ID to execute
      * @param {String} nodeId - Target node ID
      * @param {String} triggeredBy - User/system that triggered workflow
-     * @param {Object} context - Additional context data
-     * @returns {Promise<Object>} - Execution record
+     * @param {Object} context - Additional context data, origin: { actor, source } for the audit log
+     * @returns {Promise<Object|null>} - Execution record, null if the workflow's throttle suppressed the trigger
      */
     async triggerWorkflow(workflowId, nodeId, triggeredBy, context = {}) {
         try {
@@ -91,12 +196,21 @@ class RemediationEngine {
                 throw new Error(`Workflow ${workflowId} is disabled`);
             }
             
+            // Workflows limited to device groups don't run on other nodes
+            if (workflow.scopeMeshes && workflow.scopeMeshes.length) {
+                const node = await this.actionHandler.getNodeInfo(nodeId);
+                if (!workflow.scopeMeshes.includes(node.meshId)) {
+                    throw new Error(`Node ${nodeId} is not in the device groups workflow ${workflow.name} is limited to`);
+                }
+            }
+            
             // Check if node is already being remediated
             const existing = await this.db.scriptFile.findOne({
                 type: 'remediation_execution',
                 workflowId: workflowId,
                 nodeId: nodeId,
-                status: 'running'
+                status: 'running',
+                triggerType: { $ne: 'rollback' }
             });
             
             if (existing) {
@@ -112,6 +226,24 @@ class RemediationEngine {
                 throw new Error(`Workflow validation failed: ${validation.errors.join(', ')}`);
             }
             
+            const calls = await this.checkWorkflowCalls(workflow);
+            if (!calls.valid) {
+                throw new Error(`Workflow validation failed: ${calls.errors.join(', ')}`);
+            }
+            
+            // Calls from another workflow are part of that workflow's execution, which was already let through
+            if (!context.parentExecutionId) {
+                const decision = await this.throttle.check(workflow, nodeId);
+                if (!decision.allowed) {
+                    await this.suppressTrigger(workflow, nodeId, decision, { ...context, triggeredBy: triggeredBy });
+                    await this.auditTrigger('workflow.suppress', workflow, nodeId, triggeredBy, context, {
+                        reason: decision.reason,
+                        message: decision.message
+                    });
+                    return null;
+                }
+            }
+            
             // Create execution record
             const execution = {
                 type: 'remediation_execution',
@@ -120,11 +252,17 @@ class RemediationEngine {
                 nodeId: nodeId,
                 status: 'running',
                 currentStep: workflow.startStep,
+                stepState: null, // progress of the current step, to resume it after a restart
                 triggeredBy: triggeredBy,
                 triggerType: context.triggerType || 'manual',
+                triggerJobId: context.triggerJobId || null,
+                parentExecutionId: context.parentExecutionId || null, // set when called by a workflow step
+                parentStepId: context.parentStepId || null,
+                callStack: context.callStack || [], // ids of the workflows that called this one
                 startTime: Date.now(),
                 endTime: null,
                 stepResults: [],
+                stepOutputs: {}, // stepId -> { status, output, exitCode }, for templates
                 context: context,
                 alerts: []
             };
@@ -133,6 +271,9 @@ class RemediationEngine {
             execution._id = result.insertedId;
             
             console.log(`ScriptTask RemediationEngine: Created execution ${execution._id}`);
+            await this.auditTrigger('workflow.trigger', workflow, nodeId, triggeredBy, context, {
+                executionId: execution._id.toString()
+            });
             
             // Store in active executions
             this.activeExecutions.set(execution._id.toString(), execution);
@@ -150,6 +291,349 @@ class RemediationEngine {
         }
     }
     
+    /**
+     * Record a workflow start or a suppressed trigger in the audit log. Triggers from
+     * the API pass the user in context.origin, the others are the engine's own.
+     * @param {String} action
+     * @param {Object} workflow
+     * @param {String} nodeId
+     * @param {String} triggeredBy
+     * @param {Object} context - Trigger context of triggerWorkflow()
+     * @param {Object} details
+     * @returns {Promise<void>}
+     */
+    async auditTrigger(action, workflow, nodeId, triggeredBy, context, details) {
+        await this.audit.record({
+            actor: { username: triggeredBy },
+            source: 'remediation',
+            ...(context.origin || {}),
+            action: action,
+            target: { type: 'remediation_workflow', id: workflow._id, name: workflow.name },
+            nodeId: nodeId,
+            details: {
+                triggerType: context.triggerType || 'manual',
+                triggerJobId: context.triggerJobId || null,
+                parentExecutionId: context.parentExecutionId || null,
+                ...details
+            }
+        });
+    }
+    
+    /**
+     * Record a trigger the throttle suppressed. A flapping node is escalated with the
+     * workflow's escalation policy, as the last execution did not fix it.
+     * @param {Object} workflow
+     * @param {String} nodeId
+     * @param {Object} decision - { reason, message, escalate }
+     * @param {Object} trigger - { triggeredBy, triggerType, triggerJobId }
+     * @returns {Promise<void>}
+     */
+    async suppressTrigger(workflow, nodeId, decision, trigger) {
+        const record = await this.throttle.record(workflow, nodeId, decision, trigger);
+        if (!decision.escalate) return;
+        
+        const executions = await this.throttle.getExecutions(workflow._id.toString(), nodeId, {});
+        if (executions.length === 0) {
+            console.log(`ScriptTask RemediationEngine: Workflow ${workflow.name} is flapping on node ${nodeId}, no execution to escalate`);
+            return;
+        }
+        const last = executions.reduce((a, b) => (b.startTime > a.startTime ? b : a));
+        
+        console.log(`ScriptTask RemediationEngine: Workflow ${workflow.name} is flapping on node ${nodeId}, escalating execution ${last._id}`);
+        const result = await this.escalationManager.escalate(last, workflow);
+        await this.throttle.markEscalated(record, result);
+    }
+    
+    /**
+     * Check the workflows a workflow calls through workflow steps, and the ones they call:
+     * they must exist and must not call back into a workflow already in the chain
+     * @param {Object} workflow - Workflow definition
+     * @returns {Promise<Object>} - { valid, errors }
+     */
+    async checkWorkflowCalls(workflow) {
+        const errors = [];
+        const loaded = new Map(); // workflowId -> workflow, null if not found
+        const checked = new Set(); // workflows whose calls were all checked
+        
+        const load = async (workflowId) => {
+            if (!loaded.has(workflowId)) {
+                let found = null;
+                try {
+                    found = await this.db.scriptFile.findOne({
+                        _id: this.db.formatId(workflowId),
+                        type: 'remediation_workflow'
+                    });
+                } catch (e) {
+                    // not a valid id
+                }
+                loaded.set(workflowId, found);
+            }
+            return loaded.get(workflowId);
+        };
+        
+        const visit = async (current, chain) => {
+            for (const step of current.steps || []) {
+                if (step.type !== 'workflow' || !step.workflowId) continue;
+                
+                const calledId = step.workflowId;
+                const loop = chain.findIndex(c => c.id === calledId);
+                if (loop !== -1) {
+                    const names = chain.slice(loop).map(c => c.name).concat(chain[loop].name);
+                    errors.push(`Circular workflow calls: ${names.join(' -> ')}`);
+                    continue;
+                }
+                if (checked.has(calledId)) continue;
+                
+                const called = await load(calledId);
+                if (!called) {
+                    errors.push(`Step ${step.id} of workflow ${current.name}: calls non-existent workflow ${calledId}`);
+                    continue;
+                }
+                
+                await visit(called, chain.concat({ id: calledId, name: called.name }));
+                checked.add(calledId);
+            }
+        };
+        
+        await visit(workflow, [{ id: workflow._id ? workflow._id.toString() : null, name: workflow.name }]);
+        
+        return { valid: errors.length === 0, errors: errors };
+    }
+    
+    /**
+     * Validate a workflow definition before it is saved
+     * @param {Object} workflow
+     * @returns {Promise<Object>} - { valid, errors }
+     */
+    async validateWorkflowDefinition(workflow) {
+        const validation = new WorkflowBuilder(workflow).validateWorkflow();
+        if (!validation.valid) return validation;
+        return this.checkWorkflowCalls(workflow);
+    }
+    
+    /**
+     * Create a workflow
+     * @param {Object} workflowData
+     * @returns {Promise<Object>} - { success, id, error }
+     */
+    async createWorkflow(workflowData) {
+        try {
+            const workflow = {
+                ...workflowData,
+                type: 'remediation_workflow',
+                createdAt: Date.now(),
+                updatedAt: Date.now()
+            };
+            
+            const validation = await this.validateWorkflowDefinition(workflow);
+            if (!validation.valid) {
+                return { success: false, error: `Workflow validation failed: ${validation.errors.join(', ')}` };
+            }
+            
+            const result = await this.db.scriptFile.insertOne(workflow);
+            
+            console.log(`ScriptTask RemediationEngine: Created workflow ${workflow.name}`);
+            return { success: true, id: result.insertedId.toString() };
+        } catch (e) {
+            console.error('ScriptTask RemediationEngine: Error creating workflow', e);
+            return { success: false, error: e.message };
+        }
+    }
+    
+    /**
+     * Update a workflow. Running executions keep the definition they started with.
+     * @param {Object} workflowData - Changed fields and the workflow's _id
+     * @returns {Promise<Object>} - { success, id, error, code }
+     */
+    async updateWorkflow(workflowData) {
+        try {
+            const id = this.db.formatId(workflowData._id);
+            const existing = await this.db.scriptFile.findOne({ _id: id, type: 'remediation_workflow' });
+            if (!existing) {
+                return { success: false, error: 'Workflow not found', code: 404 };
+            }
+            
+            const changes = { ...workflowData, updatedAt: Date.now() };
+            delete changes._id;
+            delete changes.type;
+            delete changes.createdAt;
+            
+            const validation = await this.validateWorkflowDefinition({ ...existing, ...changes });
+            if (!validation.valid) {
+                return { success: false, error: `Workflow validation failed: ${validation.errors.join(', ')}`, code: 400 };
+            }
+            
+            await this.db.scriptFile.updateOne({ _id: id }, { $set: changes });
+            
+            console.log(`ScriptTask RemediationEngine: Updated workflow ${existing.name}`);
+            return { success: true, id: id.toString() };
+        } catch (e) {
+            console.error('ScriptTask RemediationEngine: Error updating workflow', e);
+            return { success: false, error: e.message, code: 500 };
+        }
+    }
+    
+    /**
+     * Delete a workflow. Its executions are kept.
+     * @param {String} workflowId
+     * @returns {Promise<Object>} - { success, error }
+     */
+    async deleteWorkflow(workflowId) {
+        try {
+            const result = await this.db.scriptFile.deleteOne({
+                _id: this.db.formatId(workflowId),
+                type: 'remediation_workflow'
+            });
+            
+            if (result.deletedCount === 0) {
+                return { success: false, error: 'Workflow not found' };
+            }
+            
+            console.log(`ScriptTask RemediationEngine: Deleted workflow ${workflowId}`);
+            return { success: true };
+        } catch (e) {
+            console.error('ScriptTask RemediationEngine: Error deleting workflow', e);
+            return { success: false, error: e.message };
+        }
+    }
+    
+    /**
+     * Dry-run a workflow: walk its state machine with simulated step results. No jobs are
+     * queued, no webhooks or emails sent and no other workflows started.
+     * @param {Object} workflow - Workflow definition
+     * @param {Object} testData - { steps: { stepId: { status, exitCode, output, decision } } }.
+     *   Steps without a result succeed (scripts with exit code 0, approvals are approved),
+     *   condition and join steps are evaluated like in a real execution.
+     * @returns {Promise<Object>} - { valid, errors, warnings, status, path, unreachableSteps, deadEnds }
+     */
+    async testWorkflow(workflow, testData = {}) {
+        const report = { valid: false, errors: [], warnings: [], status: null, path: [], unreachableSteps: [], deadEnds: [] };
+        
+        const builder = new WorkflowBuilder(workflow);
+        const validation = builder.validateWorkflow();
+        report.errors.push(...validation.errors);
+        if (validation.valid) {
+            report.errors.push(...(await this.checkWorkflowCalls(workflow)).errors);
+        }
+        
+        const results = (testData && testData.steps) || {};
+        for (const stepId of Object.keys(results)) {
+            const fake = results[stepId] || {};
+            if (!builder.getStep(stepId)) {
+                report.warnings.push(`Test result for non-existent step ${stepId}`);
+            }
+            if (fake.status !== undefined && !['success', 'failed'].includes(fake.status)) {
+                report.errors.push(`Test result for step ${stepId}: status must be success or failed`);
+            }
+            if (fake.exitCode !== undefined && !Number.isInteger(fake.exitCode)) {
+                report.errors.push(`Test result for step ${stepId}: exitCode must be a whole number`);
+            }
+            if (fake.decision !== undefined && !['approved', 'rejected', 'timeout'].includes(fake.decision)) {
+                report.errors.push(`Test result for step ${stepId}: decision must be approved, rejected or timeout`);
+            }
+        }
+        
+        if (report.errors.length > 0) return report;
+        
+        builder.buildStateMachine();
+        report.valid = true;
+        report.unreachableSteps = builder.getUnreachableSteps();
+        report.deadEnds = builder.getDeadEnds();
+        
+        // Results are recorded like in a real execution, so conditions and joins see the same data
+        const execution = { stepResults: [], stepOutputs: {}, branchStates: {} };
+        
+        const simulateStep = async (step) => {
+            const fake = results[step.id] || {};
+            switch (step.type) {
+                case 'script': {
+                    const exitCode = fake.exitCode !== undefined ? fake.exitCode : (fake.status === 'failed' ? 1 : 0);
+                    return {
+                        status: fake.status || (exitCode === 0 ? 'success' : 'failed'),
+                        exitCode: exitCode,
+                        output: fake.output !== undefined ? fake.output : ''
+                    };
+                }
+                case 'condition':
+                    return { status: 'success', conditionResult: this.evaluateConditionStep(execution, step) };
+                case 'parallel': {
+                    // Branches run one after the other, each until it reaches the join
+                    const outcomes = {};
+                    for (const branch of step.branches) {
+                        const last = await walk(branch, step.join, branch);
+                        outcomes[branch] = last && last.status === 'failed' ? 'failed' : 'success';
+                        execution.branchStates[branch] = { status: outcomes[branch] };
+                    }
+                    return { status: 'success', output: outcomes };
+                }
+                case 'join':
+                    return this.executeJoinStep(execution, workflow, step);
+                case 'approval': {
+                    const decision = fake.decision || 'approved';
+                    return { status: decision === 'approved' ? 'success' : 'failed', decision: decision };
+                }
+                default:
+                    return { status: fake.status || 'success', output: fake.output !== undefined ? fake.output : null };
+            }
+        };
+        
+        const walk = async (stepId, stopAt, branch) => {
+            let last = null;
+            while (stepId && stepId !== stopAt) {
+                const step = builder.getStep(stepId);
+                const entry = { stepId: step.id, stepName: step.name || step.id, type: step.type };
+                if (branch) entry.branch = branch;
+                report.path.push(entry);
+                
+                const result = await simulateStep(step);
+                execution.stepResults.push({
+                    stepId: step.id,
+                    stepName: step.name || step.id,
+                    stepType: step.type,
+                    status: result.status,
+                    output: result.output,
+                    error: result.error,
+                    branch: branch || undefined
+                });
+                execution.stepOutputs[step.id] = this.getStepOutput(result);
+                
+                const next = builder.getNextStep(step.id, { ...result, success: result.status === 'success' });
+                
+                Object.assign(entry, {
+                    status: result.status,
+                    conditionResult: result.conditionResult,
+                    decision: result.decision,
+                    output: result.output,
+                    error: result.error,
+                    next: next
+                });
+                // The step continues after other outcomes, but not after this one
+                if (!next && step.type !== 'parallel' && builder.getNextStepIds(step).length > 0) {
+                    entry.deadEnd = true;
+                }
+                
+                last = result;
+                stepId = next;
+            }
+            return last;
+        };
+        
+        const last = await walk(workflow.startStep, null, null);
+        report.status = last && last.status === 'failed' ? 'failed' : 'success';
+        
+        console.log(`ScriptTask RemediationEngine: Dry run of workflow ${workflow.name}: ${report.path.length} steps, ${report.status}`);
+        return report;
+    }
+    
+    /**
+     * Start the workflows whose trigger matches a completed job
+     * @param {Object} job - Completed job
+     * @returns {Promise<Array>} - Executions started for the job
+     */
+    async handleJobComplete(job) {
+        return this.triggerManager.handleJobComplete(job);
+    }
+    
     /**
      * Execute workflow steps
      * @param {Object} execution - Execution record
@@ -161,6 +645,8 @@ class RemediationEngine {
             console.log(`ScriptTask RemediationEngine: Starting workflow execution ${execution._id}`);
             
             let currentStepId = execution.currentStep;
+            let lastResult = null;
+            let lastStep = null;
             
             while (currentStepId) {
                 // Check if execution was cancelled
@@ -191,19 +677,46 @@ class RemediationEngine {
                 
                 // Update current step
                 currentStepId = nextStepId;
+                lastResult = stepResult;
+                lastStep = step;
                 
-                // Update execution in database
+                // Update execution in database, the step is done so there is nothing left to resume
+                execution.currentStep = currentStepId;
+                execution.stepState = null;
                 await this.db.scriptFile.updateOne(
                     { _id: execution._id },
                     { 
                         $set: { 
                             currentStep: currentStepId,
-                            stepResults: execution.stepResults
+                            stepResults: execution.stepResults,
+                            stepOutputs: execution.stepOutputs,
+                            stepState: null
                         } 
                     }
                 );
             }
             
+            // Cancelled while its last step was running
+            const finalExecution = await this.db.scriptFile.findOne({
+                _id: execution._id,
+                type: 'remediation_execution'
+            });
+            if (!finalExecution || finalExecution.status === 'cancelled') {
+                console.log(`ScriptTask RemediationEngine: Execution ${execution._id} was cancelled`);
+                return;
+            }
+            
+            // A workflow ending on a failed step, without a path to handle it, has failed.
+            // A rollback runs all its steps and fails if any of them did.
+            const failed = execution.rollbackOf
+                ? execution.stepResults.find(r => r.status === 'failed')
+                : (lastResult && lastResult.status === 'failed' ? { stepId: lastStep.id, error: lastResult.error } : null);
+            if (failed) {
+                console.log(`ScriptTask RemediationEngine: Step ${failed.stepId} failed for execution ${execution._id}`);
+                await this.completeExecution(execution, 'failed', `Step ${failed.stepId} failed` + (failed.error ? `: ${failed.error}` : ''));
+                return;
+            }
+            
             // Workflow completed successfully
             console.log(`ScriptTask RemediationEngine: Workflow completed successfully for execution ${execution._id}`);
             await this.completeExecution(execution, 'success');
@@ -221,15 +734,38 @@ class RemediationEngine {
      * @returns {Promise<Object>} - Step result
      */
     async executeStep(execution, workflow, step) {
-        const startTime = Date.now();
+        let state = await this.startStepState(execution, step);
+        
+        if (state.waitingFor === 'retry') {
+            await this.waitUntil(state.resumeAt);
+            state = await this.saveStepState(execution, {
+                ...state,
+                startTime: Date.now(),
+                waitingFor: null,
+                resumeAt: null,
+                jobId: null,
+                childExecutionId: null
+            });
+        }
+        
+        const startTime = state.startTime;
         
         try {
-            // Set timeout for step
-            const timeout = step.timeout || 300;
+            if (state.interrupted) {
+                throw new Error('Step interrupted by server restart');
+            }
+            
+            // Inputs may use outputs of earlier steps, rendered for each attempt
+            const input = await this.renderStepInputs(execution, workflow, step);
+            
+            // Set timeout for step, counted from the start of the attempt so it survives a restart.
+            // Delays only time out when a timeout is set, their duration is the point of the step.
+            const timeout = this.getStepTimeout(step);
             const timeoutPromise = new Promise((_, reject) => {
+                if (timeout === null) return;
                 const timer = setTimeout(() => {
                     reject(new Error(`Step ${step.id} timed out after ${timeout}s`));
-                }, timeout * 1000);
+                }, Math.max(0, startTime + timeout * 1000 - Date.now()));
                 
                 // Store timer for cleanup
                 if (!this.stepTimers.has(execution._id.toString())) {
@@ -243,23 +779,39 @@ class RemediationEngine {
             
             switch (step.type) {
                 case 'script':
-                    executionPromise = this.executeScriptStep(execution, workflow, step);
+                    executionPromise = this.executeScriptStep(execution, workflow, input);
                     break;
                 
                 case 'webhook':
-                    executionPromise = this.executeWebhookStep(execution, workflow, step);
+                    executionPromise = this.executeWebhookStep(execution, workflow, input);
                     break;
                 
                 case 'email':
-                    executionPromise = this.executeEmailStep(execution, workflow, step);
+                    executionPromise = this.executeEmailStep(execution, workflow, input);
                     break;
                 
                 case 'delay':
-                    executionPromise = this.executeDelayStep(execution, workflow, step);
+                    executionPromise = this.executeDelayStep(execution, workflow, input);
                     break;
                 
                 case 'condition':
-                    executionPromise = this.executeConditionStep(execution, workflow, step);
+                    executionPromise = this.executeConditionStep(execution, workflow, input);
+                    break;
+                
+                case 'parallel':
+                    executionPromise = this.executeParallelStep(execution, workflow, input);
+                    break;
+                
+                case 'join':
+                    executionPromise = this.executeJoinStep(execution, workflow, input);
+                    break;
+                
+                case 'approval':
+                    executionPromise = this.executeApprovalStep(execution, workflow, input);
+                    break;
+                
+                case 'workflow':
+                    executionPromise = this.executeSubWorkflowStep(execution, workflow, input);
                     break;
                 
                 default:
@@ -281,7 +833,8 @@ class RemediationEngine {
                 ...result,
                 startTime: startTime,
                 endTime: endTime,
-                duration: duration
+                duration: duration,
+                retryCount: state.retryCount
             };
         } catch (e) {
             // Clear timeout on error
@@ -302,6 +855,143 @@ class RemediationEngine {
         }
     }
     
+    /**
+     * Render the {{...}} templates in a step's inputs. Email and approval steps render
+     * theirs when the message is sent.
+     * @param {Object} execution
+     * @param {Object} workflow
+     * @param {Object} step
+     * @returns {Promise<Object>} - Copy of the step with rendered inputs
+     */
+    async renderStepInputs(execution, workflow, step) {
+        const fields = (WorkflowBuilder.TEMPLATE_FIELDS[step.type] || []).filter(f => {
+            return step[f] !== undefined && templates.findPlaceholders(step[f]).paths.length > 0;
+        });
+        if (fields.length === 0) return step;
+        
+        const context = await this.actionHandler.buildTemplateContext(execution, workflow);
+        const rendered = { ...step };
+        for (const field of fields) {
+            rendered[field] = templates.renderValue(step[field], context);
+        }
+        return rendered;
+    }
+    
+    /**
+     * Get the part of a step result kept in the execution context for templates.
+     * JSON printed by a script is parsed, so its fields can be used.
+     * @param {Object} result
+     * @returns {Object} - { status, output, exitCode, conditionResult, error }
+     */
+    getStepOutput(result) {
+        const output = {
+            status: result.status,
+            output: this.parseOutput(result.output)
+        };
+        if (result.exitCode !== undefined) output.exitCode = result.exitCode;
+        if (result.conditionResult !== undefined) output.conditionResult = result.conditionResult;
+        if (result.error) output.error = result.error;
+        return output;
+    }
+    
+    /**
+     * Parse step output as JSON: the whole output, or else its last line
+     * @param {*} output
+     * @returns {*} - Parsed object, or the output unchanged
+     */
+    parseOutput(output) {
+        if (typeof output !== 'string') return output === undefined ? null : output;
+        
+        const text = output.trim();
+        const lines = text.split(/\r?\n/);
+        for (const candidate of [text, lines[lines.length - 1]]) {
+            try {
+                const parsed = JSON.parse(candidate);
+                if (parsed && typeof parsed === 'object') return parsed;
+            } catch (e) {
+                // not JSON
+            }
+        }
+        return output;
+    }
+    
+    /**
+     * Get the persisted state of a step, starting it if the execution isn't already on it
+     * (it is when resuming after a restart, or when retrying)
+     * @param {Object} execution
+     * @param {Object} step
+     * @returns {Promise<Object>} - { stepId, startTime, retryCount, waitingFor, resumeAt, jobId, childExecutionId }
+     */
+    async startStepState(execution, step) {
+        if (execution.stepState && execution.stepState.stepId === step.id) {
+            return execution.stepState;
+        }
+        
+        return this.saveStepState(execution, {
+            stepId: step.id,
+            startTime: Date.now(),
+            retryCount: 0,
+            waitingFor: null, // 'delay' or 'retry'
+            resumeAt: null,
+            jobId: null,
+            childExecutionId: null // execution started by a workflow step
+        });
+    }
+    
+    /**
+     * Persist the state of the current step, so the execution can be resumed from it
+     * @param {Object} execution
+     * @param {Object} state
+     * @returns {Promise<Object>} - The saved state
+     */
+    async saveStepState(execution, state) {
+        const saved = { ...state };
+        delete saved.interrupted;
+        
+        execution.stepState = saved;
+        if (execution.branch) {
+            const branchState = execution.branchStates[execution.branch];
+            branchState.currentStep = saved.stepId;
+            branchState.stepState = saved;
+            await this.db.scriptFile.updateOne(
+                { _id: execution._id },
+                { $set: { branchStates: execution.branchStates } }
+            );
+        } else {
+            await this.db.scriptFile.updateOne(
+                { _id: execution._id },
+                { $set: { currentStep: saved.stepId, stepState: saved } }
+            );
+        }
+        
+        return saved;
+    }
+    
+    /**
+     * Get a step's timeout in seconds. Delays, parallel and workflow steps only have one when
+     * it is set, their steps (or duration) decide how long they take. An approval step's timeout is how
+     * long it waits for a decision, it branches on it rather than failing.
+     * @param {Object} step
+     * @returns {Number|null} - null if the step has none
+     */
+    getStepTimeout(step) {
+        if (step.type === 'approval') return null;
+        if (['delay', 'parallel', 'workflow'].includes(step.type) && step.timeout === undefined) return null;
+        return step.timeout || 300;
+    }
+    
+    /**
+     * Wait until a point in time
+     * @param {Number} time - Timestamp in ms
+     * @returns {Promise<void>}
+     */
+    async waitUntil(time) {
+        const remaining = time - Date.now();
+        if (remaining > 0) {
+            await new Promise(resolve => setTimeout(resolve, remaining));
+        }
+    }
+    
     /**
      * Execute script step
      * @param {Object} execution
@@ -317,6 +1007,37 @@ class RemediationEngine {
                 throw new Error('Script step missing scriptId');
             }
             
+            // Resumed after a restart with the job already queued, keep waiting for it
+            const state = execution.stepState;
+            if (state && state.jobId) {
+                return await this.getScriptStepResult(state.jobId, step, state);
+            }
+            
+            // A step on a quarantined node or with missing or invalid parameters fails without queuing a job
+            let parameters = null;
+            if (this.dispatcher) {
+                const script = await this.db.scriptFile.findOne({ _id: this.db.formatId(scriptId), type: 'script' });
+                if (!script) {
+                    throw new Error(`Script ${scriptId} not found`);
+                }
+                // The script may have been limited to other device groups since the workflow was saved
+                if (script.scopeMeshes && script.scopeMeshes.length) {
+                    const node = await this.actionHandler.getNodeInfo(execution.nodeId);
+                    if (!script.scopeMeshes.includes(node.meshId)) {
+                        throw new Error(`Node ${execution.nodeId} is not in the device groups script ${script.name} is limited to`);
+                    }
+                }
+                const allowed = await this.quarantine.checkNode(execution.nodeId, script);
+                if (!allowed.success) {
+                    throw new Error(allowed.error);
+                }
+                const checked = await this.dispatcher.checkJobParameters(script, execution.nodeId, step.parameters);
+                if (!checked.success) {
+                    throw new Error(checked.error);
+                }
+                parameters = checked.parameters;
+            }
+            
             // Create job in database
             const nowTime = Math.floor(Date.now() / 1000);
             const jobData = {
@@ -328,6 +1049,8 @@ class RemediationEngine {
                 priority: step.priority || 'normal',
                 remediationExecutionId: execution._id.toString(),
                 remediationStepId: step.id,
+                timeout: step.timeout || 300,
+                parameters: parameters,
                 tags: ['remediation'],
                 metadata: {
                     workflowId: workflow._id.toString(),
@@ -341,176 +1064,681 @@ class RemediationEngine {
             
             console.log(`ScriptTask RemediationEngine: Created job ${jobId} for script step ${step.id}`);
             
-            // Wait for job completion
-            const jobResult = await this.waitForJobCompletion(jobId, step.timeout || 300);
+            const stepState = await this.saveStepState(execution, { ...execution.stepState, jobId: jobId.toString() });
+            
+            // Send it now rather than waiting for the next dispatch interval
+            if (this.dispatcher) {
+                await this.dispatcher.dispatchPending();
+            }
+            
+            return await this.getScriptStepResult(jobId, step, stepState);
+        } catch (e) {
+            console.error('ScriptTask RemediationEngine: Error executing script step', e);
+            throw e;
+        }
+    }
+    
+    /**
+     * Wait for a script step's job and convert it to a step result
+     * @param {String} jobId
+     * @param {Object} step
+     * @param {Object} state - Step state, the timeout counts from its start
+     * @returns {Promise<Object>}
+     */
+    async getScriptStepResult(jobId, step, state) {
+        const timeout = step.timeout || 300;
+        const remaining = Math.max(0, (state.startTime + timeout * 1000 - Date.now()) / 1000);
+        
+        const jobResult = await this.waitForJobCompletion(this.db.formatId(jobId), remaining);
+        
+        return {
+            status: jobResult.state === 'complete' ? 'success' : 'failed',
+            jobId: jobId.toString(),
+            exitCode: jobResult.exitCode,
+            output: jobResult.stdout != null ? jobResult.stdout : jobResult.returnVal,
+            stdout: jobResult.stdout,
+            stderr: jobResult.stderr
+        };
+    }
+    
+    /**
+     * Wait for job completion
+     * @param {String} jobId
+     * @param {Number} timeout - Timeout in seconds
+     * @returns {Promise<Object>}
+     */
+    async waitForJobCompletion(jobId, timeout) {
+        const startTime = Date.now();
+        const timeoutMs = timeout * 1000;
+        
+        while (true) {
+            const job = await this.db.scriptFile.findOne({
+                _id: jobId,
+                type: 'job'
+            });
+            
+            if (!job) {
+                throw new Error(`Job ${jobId} not found`);
+            }
+            
+            if (['complete', 'error', 'timeout', 'cancelled'].includes(job.state)) {
+                return job;
+            }
+            
+            // Check timeout
+            if (Date.now() - startTime > timeoutMs) {
+                // Don't leave the script running on the node after the step gave up on it
+                if (this.dispatcher) {
+                    await this.dispatcher.cancelJob(jobId, 'Remediation step timed out');
+                }
+                throw new Error(`Job ${jobId} timed out`);
+            }
+            
+            // Wait before checking again
+            await new Promise(resolve => setTimeout(resolve, 2000));
+        }
+    }
+    
+    /**
+     * Execute webhook step
+     * @param {Object} execution
+     * @param {Object} workflow
+     * @param {Object} step
+     * @returns {Promise<Object>}
+     */
+    async executeWebhookStep(execution, workflow, step) {
+        try {
+            const config = {
+                url: step.url,
+                method: step.method,
+                headers: step.headers,
+                type: step.webhookType,
+                payload: step.body
+            };
+            
+            const result = await this.actionHandler.sendWebhook(config, execution, workflow);
             
             return {
-                status: jobResult.state === 'complete' ? 'success' : 'failed',
-                jobId: jobId.toString(),
-                exitCode: jobResult.exitCode,
-                output: jobResult.result,
-                stdout: jobResult.stdout,
-                stderr: jobResult.stderr
+                status: result.success ? 'success' : 'failed',
+                webhookStatus: result.status,
+                error: result.error
             };
         } catch (e) {
-            console.error('ScriptTask RemediationEngine: Error executing script step', e);
+            console.error('ScriptTask RemediationEngine: Error executing webhook step', e);
+            throw e;
+        }
+    }
+    
+    /**
+     * Execute email step
+     * @param {Object} execution
+     * @param {Object} workflow
+     * @param {Object} step
+     * @returns {Promise<Object>}
+     */
+    async executeEmailStep(execution, workflow, step) {
+        try {
+            const config = {
+                to: step.to,
+                subject: step.subject,
+                body: step.body,
+                template: step.template
+            };
+            
+            const result = await this.actionHandler.sendEmail(config, execution, workflow);
+            
+            return {
+                status: result.success ? 'success' : 'failed',
+                messageId: result.messageId,
+                error: result.error
+            };
+        } catch (e) {
+            console.error('ScriptTask RemediationEngine: Error executing email step', e);
+            throw e;
+        }
+    }
+    
+    /**
+     * Execute delay step
+     * @param {Object} execution
+     * @param {Object} workflow
+     * @param {Object} step
+     * @returns {Promise<Object>}
+     */
+    async executeDelayStep(execution, workflow, step) {
+        try {
+            const delaySeconds = step.duration || 60;
+            
+            // The end of the delay is stored, so a restart only waits for what is left of it
+            let state = execution.stepState;
+            if (!state.resumeAt) {
+                state = await this.saveStepState(execution, {
+                    ...state,
+                    waitingFor: 'delay',
+                    resumeAt: state.startTime + delaySeconds * 1000
+                });
+            }
+            
+            console.log(`ScriptTask RemediationEngine: Delaying until ${new Date(state.resumeAt).toISOString()}`);
+            
+            await this.waitUntil(state.resumeAt);
+            
+            return {
+                status: 'success',
+                delaySeconds: delaySeconds
+            };
+        } catch (e) {
+            console.error('ScriptTask RemediationEngine: Error executing delay step', e);
+            throw e;
+        }
+    }
+    
+    /**
+     * Execute condition step
+     * @param {Object} execution
+     * @param {Object} workflow
+     * @param {Object} step
+     * @returns {Promise<Object>}
+     */
+    async executeConditionStep(execution, workflow, step) {
+        try {
+            const conditionResult = this.evaluateConditionStep(execution, step);
+            
+            console.log(`ScriptTask RemediationEngine: Condition evaluated to ${conditionResult}`);
+            
+            return {
+                status: 'success',
+                conditionResult: conditionResult
+            };
+        } catch (e) {
+            console.error('ScriptTask RemediationEngine: Error executing condition step', e);
             throw e;
         }
     }
     
     /**
-     * Wait for job completion
-     * @param {String} jobId
-     * @param {Number} timeout - Timeout in seconds
+     * Evaluate a condition step against the result of the step named in `from`,
+     * or else of the previous step
+     * @param {Object} execution - Needs stepResults and stepOutputs
+     * @param {Object} step
+     * @returns {Boolean}
+     */
+    evaluateConditionStep(execution, step) {
+        let previousStepResult = null;
+        if (step.from) {
+            previousStepResult = [...execution.stepResults].reverse().find(r => r.stepId === step.from) || null;
+        } else if (execution.stepResults.length > 0) {
+            previousStepResult = execution.stepResults[execution.stepResults.length - 1];
+        }
+        
+        if (!previousStepResult) {
+            console.log('ScriptTask RemediationEngine: No previous step result for condition evaluation');
+            return false;
+        }
+        
+        // Fields of JSON output can be used directly, like in triggers
+        const stored = execution.stepOutputs[previousStepResult.stepId];
+        const parsed = stored && stored.output && typeof stored.output === 'object' && !Array.isArray(stored.output) ? stored.output : {};
+        return this.conditionEvaluator.evaluate(
+            step.condition,
+            { ...parsed, ...previousStepResult, exitCode: stored ? stored.exitCode : undefined }
+        );
+    }
+    
+    /**
+     * Execute parallel step: run each branch at the same time until it reaches the join step,
+     * and return once the join's mode is decided. Branches still running then stop after their
+     * current step.
+     * @param {Object} execution
+     * @param {Object} workflow
+     * @param {Object} step - { branches: [first step of each branch], join }
+     * @returns {Promise<Object>}
+     */
+    async executeParallelStep(execution, workflow, step) {
+        const join = workflow.steps.find(s => s.id === step.join);
+        const required = this.getRequiredBranches(step, join);
+        const startTime = execution.stepState.startTime;
+        
+        // Branches already started by this attempt (before a restart) are continued, not restarted
+        execution.branchStates = execution.branchStates || {};
+        for (const branch of step.branches) {
+            const known = execution.branchStates[branch];
+            if (!known || known.parallelStartTime !== startTime) {
+                execution.branchStates[branch] = {
+                    parallelStepId: step.id,
+                    parallelStartTime: startTime,
+                    currentStep: branch,
+                    stepState: null,
+                    lastStatus: null,
+                    status: 'running'
+                };
+            }
+        }
+        await this.db.scriptFile.updateOne(
+            { _id: execution._id },
+            { $set: { branchStates: execution.branchStates } }
+        );
+        
+        console.log(`ScriptTask RemediationEngine: Running ${step.branches.length} branches, ${required} must succeed`);
+        
+        return new Promise(resolve => {
+            let succeeded = 0;
+            let finished = 0;
+            let decided = false;
+            
+            const decide = () => {
+                if (decided) return;
+                const failed = finished - succeeded;
+                if (succeeded < required && failed <= step.branches.length - required) return;
+                
+                decided = true;
+                const outcomes = {};
+                for (const branch of step.branches) {
+                    const branchState = execution.branchStates[branch];
+                    if (branchState.status === 'running') branchState.abandoned = true;
+                    outcomes[branch] = branchState.status === 'running' ? 'stopped' : branchState.status;
+                }
+                resolve({ status: 'success', output: outcomes });
+            };
+            
+            const done = (status) => {
+                finished++;
+                if (status === 'success') succeeded++;
+                decide();
+            };
+            
+            const running = [];
+            for (const branch of step.branches) {
+                const status = execution.branchStates[branch].status;
+                if (status === 'running') {
+                    running.push(branch);
+                } else {
+                    done(status);
+                }
+            }
+            
+            for (const branch of running) {
+                if (decided) {
+                    execution.branchStates[branch].abandoned = true;
+                    continue;
+                }
+                this.runBranch(execution, workflow, step, branch)
+                    .then(done)
+                    .catch(e => {
+                        console.error(`ScriptTask RemediationEngine: Error in branch ${branch}`, e);
+                        done('failed');
+                    });
+            }
+        });
+    }
+    
+    /**
+     * Run the steps of one parallel branch until it reaches the join step or ends.
+     * The branch succeeds if its last step did.
+     * @param {Object} execution
+     * @param {Object} workflow
+     * @param {Object} parallelStep
+     * @param {String} branch - First step of the branch, identifies it
+     * @returns {Promise<String>} - Branch status: success, failed or cancelled
+     */
+    async runBranch(execution, workflow, parallelStep, branch) {
+        // Steps of the branch see the execution with their own step state, and record
+        // their results in the execution's stepResults tagged with the branch
+        const branchExecution = Object.create(execution);
+        const branchState = execution.branchStates[branch];
+        branchExecution.branch = branch;
+        branchExecution.stepState = branchState.stepState;
+        
+        let currentStepId = branchState.currentStep;
+        let status = null;
+        
+        while (currentStepId && currentStepId !== parallelStep.join) {
+            const currentExecution = await this.db.scriptFile.findOne({
+                _id: execution._id,
+                type: 'remediation_execution'
+            });
+            
+            if (!currentExecution || currentExecution.status === 'cancelled' || branchState.abandoned) {
+                status = 'cancelled';
+                break;
+            }
+            
+            const step = workflow.steps.find(s => s.id === currentStepId);
+            if (!step) {
+                throw new Error(`Step ${currentStepId} not found in workflow`);
+            }
+            
+            console.log(`ScriptTask RemediationEngine: Branch ${branch}: executing step ${step.id} (${step.type})`);
+            
+            const stepResult = await this.executeStep(branchExecution, workflow, step);
+            currentStepId = await this.handleStepResult(branchExecution, workflow, step, stepResult);
+            
+            branchExecution.stepState = null;
+            branchState.currentStep = currentStepId;
+            branchState.stepState = null;
+            branchState.lastStatus = stepResult.status;
+            await this.db.scriptFile.updateOne(
+                { _id: execution._id },
+                { $set: { branchStates: execution.branchStates, stepResults: execution.stepResults, stepOutputs: execution.stepOutputs } }
+            );
+        }
+        
+        branchState.status = status || (branchState.lastStatus === 'failed' ? 'failed' : 'success');
+        await this.db.scriptFile.updateOne(
+            { _id: execution._id },
+            { $set: { branchStates: execution.branchStates } }
+        );
+        
+        console.log(`ScriptTask RemediationEngine: Branch ${branch} finished: ${branchState.status}`);
+        return branchState.status;
+    }
+    
+    /**
+     * Execute join step: succeeds if enough branches of its parallel step succeeded
+     * @param {Object} execution
+     * @param {Object} workflow
+     * @param {Object} step - { mode: 'all'|'any'|'count', count }
+     * @returns {Promise<Object>}
+     */
+    async executeJoinStep(execution, workflow, step) {
+        const parallel = workflow.steps.find(s => s.type === 'parallel' && s.join === step.id);
+        const required = this.getRequiredBranches(parallel, step);
+        
+        const branches = {};
+        let succeeded = 0;
+        for (const branch of parallel.branches) {
+            const branchState = (execution.branchStates || {})[branch];
+            // branches still running were stopped when the parallel step was decided
+            branches[branch] = branchState ? (branchState.status === 'running' ? 'stopped' : branchState.status) : 'not run';
+            if (branches[branch] === 'success') succeeded++;
+        }
+        
+        const success = succeeded >= required;
+        console.log(`ScriptTask RemediationEngine: Join ${step.id}: ${succeeded} of ${parallel.branches.length} branches succeeded, ${required} required`);
+        
+        return {
+            status: success ? 'success' : 'failed',
+            output: branches,
+            error: success ? undefined : `${succeeded} of ${parallel.branches.length} branches succeeded, ${required} required`
+        };
+    }
+    
+    /**
+     * Number of branches that must succeed for a join
+     * @param {Object} parallelStep
+     * @param {Object} joinStep
+     * @returns {Number}
+     */
+    getRequiredBranches(parallelStep, joinStep) {
+        switch ((joinStep && joinStep.mode) || 'all') {
+            case 'any':
+                return 1;
+            case 'count':
+                return joinStep.count;
+            default:
+                return parallelStep.branches.length;
+        }
+    }
+    
+    /**
+     * Execute approval step: ask the approvers and wait for their decision or the timeout.
+     * The request is persisted, so it survives a restart and can still be answered.
+     * @param {Object} execution
+     * @param {Object} workflow
+     * @param {Object} step - { approvers, message, timeout, webhook, onApproved, onRejected, onTimeout }
      * @returns {Promise<Object>}
      */
-    async waitForJobCompletion(jobId, timeout) {
-        const startTime = Date.now();
-        const timeoutMs = timeout * 1000;
+    async executeApprovalStep(execution, workflow, step) {
+        let state = execution.stepState;
         
-        while (true) {
-            const job = await this.db.scriptFile.findOne({
-                _id: jobId,
-                type: 'job'
+        if (state.waitingFor !== 'approval') {
+            const timeout = step.timeout || DEFAULT_APPROVAL_TIMEOUT;
+            state = await this.saveStepState(execution, {
+                ...state,
+                waitingFor: 'approval',
+                resumeAt: state.startTime + timeout * 1000
             });
             
-            if (!job) {
-                throw new Error(`Job ${jobId} not found`);
-            }
-            
-            if (job.state === 'complete' || job.state === 'error') {
-                return job;
-            }
-            
-            // Check timeout
-            if (Date.now() - startTime > timeoutMs) {
-                throw new Error(`Job ${jobId} timed out`);
-            }
+            const request = {
+                stepId: step.id,
+                stepName: step.name || step.id,
+                branch: execution.branch || null,
+                approvers: step.approvers || [],
+                requestedAt: state.startTime,
+                expiresAt: state.resumeAt
+            };
+            await this.db.scriptFile.updateOne(
+                { _id: execution._id },
+                { $push: { pendingApprovals: request } }
+            );
             
-            // Wait before checking again
-            await new Promise(resolve => setTimeout(resolve, 2000));
+            console.log(`ScriptTask RemediationEngine: Step ${step.id} waiting for approval until ${new Date(state.resumeAt).toISOString()}`);
+            await this.actionHandler.sendApprovalRequest(request, step, execution, workflow);
         }
+        
+        const decision = await this.waitForApproval(execution, step, state);
+        
+        await this.db.scriptFile.updateOne(
+            { _id: execution._id },
+            { $pull: { pendingApprovals: { stepId: step.id } } }
+        );
+        
+        console.log(`ScriptTask RemediationEngine: Step ${step.id} ${decision.decision}` + (decision.decidedBy ? ` by ${decision.decidedBy}` : ''));
+        
+        return {
+            status: decision.decision === 'approved' ? 'success' : 'failed',
+            decision: decision.decision,
+            output: decision,
+            error: decision.decision === 'approved' ? undefined : `Approval ${decision.decision}`
+        };
     }
     
     /**
-     * Execute webhook step
+     * Wait for the decision on an approval step, or its timeout
      * @param {Object} execution
-     * @param {Object} workflow
      * @param {Object} step
-     * @returns {Promise<Object>}
+     * @param {Object} state - Step state, resumeAt is the deadline
+     * @returns {Promise<Object>} - { decision: approved|rejected|timeout, decidedBy, decidedAt, comment }
      */
-    async executeWebhookStep(execution, workflow, step) {
-        try {
-            const config = {
-                url: step.url,
-                method: step.method,
-                headers: step.headers,
-                type: step.webhookType
-            };
+    async waitForApproval(execution, step, state) {
+        const key = `${execution._id.toString()}:${step.id}`;
+        
+        const decisionPromise = new Promise(resolve => {
+            const waiter = { state: state, timer: null };
             
-            const result = await this.actionHandler.sendWebhook(config, execution, workflow);
+            waiter.resolve = (decision) => {
+                clearTimeout(waiter.timer);
+                this.pendingApprovals.delete(key);
+                resolve(decision);
+            };
             
-            return {
-                status: result.success ? 'success' : 'failed',
-                webhookStatus: result.status,
-                error: result.error
+            // Long timeouts are waited for in steps, setTimeout can't wait more than ~24 days
+            const arm = () => {
+                const remaining = state.resumeAt - Date.now();
+                if (remaining <= 0) {
+                    waiter.resolve({ decision: 'timeout', decidedBy: null, decidedAt: Date.now(), comment: '' });
+                    return;
+                }
+                waiter.timer = setTimeout(arm, Math.min(remaining, MAX_TIMER_DELAY));
             };
-        } catch (e) {
-            console.error('ScriptTask RemediationEngine: Error executing webhook step', e);
-            throw e;
+            
+            this.pendingApprovals.set(key, waiter);
+            arm();
+        });
+        
+        // A decision made while this engine wasn't waiting (e.g. during a restart) is in the database
+        const stored = await this.db.scriptFile.findOne({ _id: execution._id, type: 'remediation_execution' });
+        const storedState = stored && (execution.branch
+            ? (stored.branchStates && stored.branchStates[execution.branch] && stored.branchStates[execution.branch].stepState)
+            : stored.stepState);
+        const waiter = this.pendingApprovals.get(key);
+        if (storedState && storedState.decision && waiter) {
+            waiter.resolve(storedState.decision);
         }
+        
+        return decisionPromise;
     }
     
     /**
-     * Execute email step
-     * @param {Object} execution
-     * @param {Object} workflow
-     * @param {Object} step
-     * @returns {Promise<Object>}
+     * Approve or reject a pending approval step
+     * @param {String} executionId
+     * @param {String|null} stepId - Needed when more than one approval is pending
+     * @param {String} decision - approved or rejected
+     * @param {Object} user - { userId, username }
+     * @param {String} comment
+     * @returns {Promise<Object>} - { success, decision, error, code }
      */
-    async executeEmailStep(execution, workflow, step) {
+    async decideApproval(executionId, stepId, decision, user, comment = '') {
         try {
-            const config = {
-                to: step.to,
-                subject: step.subject,
-                body: step.body
-            };
+            if (!['approved', 'rejected'].includes(decision)) {
+                return { success: false, code: 400, error: 'Decision must be approved or rejected' };
+            }
             
-            const result = await this.actionHandler.sendEmail(config, execution, workflow);
+            const execution = await this.db.scriptFile.findOne({
+                _id: this.db.formatId(executionId),
+                type: 'remediation_execution'
+            });
             
-            return {
-                status: result.success ? 'success' : 'failed',
-                messageId: result.messageId,
-                error: result.error
+            if (!execution) {
+                return { success: false, code: 404, error: 'Execution not found' };
+            }
+            
+            const pending = (execution.status === 'running' && execution.pendingApprovals) || [];
+            let request = null;
+            if (stepId) {
+                request = pending.find(p => p.stepId === stepId);
+            } else if (pending.length > 1) {
+                return { success: false, code: 409, error: `Several approvals are pending, give a stepId: ${pending.map(p => p.stepId).join(', ')}` };
+            } else {
+                request = pending[0];
+            }
+            
+            if (!request) {
+                return { success: false, code: 409, error: 'No pending approval for this execution' };
+            }
+            
+            if (request.approvers.length > 0 && !request.approvers.includes(user.username) && !request.approvers.includes(user.userId)) {
+                return { success: false, code: 403, error: 'You are not an approver of this step' };
+            }
+            
+            const record = {
+                decision: decision,
+                decidedBy: user.username,
+                decidedAt: Date.now(),
+                comment: comment || ''
             };
+            
+            // Stored with the step first, so the decision isn't lost if the server stops now
+            const field = request.branch ? `branchStates.${request.branch}.stepState.decision` : 'stepState.decision';
+            await this.db.scriptFile.updateOne(
+                { _id: execution._id },
+                {
+                    $set: { [field]: record },
+                    $pull: { pendingApprovals: { stepId: request.stepId } }
+                }
+            );
+            
+            const waiter = this.pendingApprovals.get(`${executionId}:${request.stepId}`);
+            if (waiter) {
+                waiter.state.decision = record;
+                waiter.resolve(record);
+            }
+            
+            console.log(`ScriptTask RemediationEngine: Step ${request.stepId} of execution ${executionId} ${decision} by ${user.username}`);
+            return { success: true, decision: record };
         } catch (e) {
-            console.error('ScriptTask RemediationEngine: Error executing email step', e);
-            throw e;
+            console.error('ScriptTask RemediationEngine: Error deciding approval', e);
+            return { success: false, code: 500, error: e.message };
         }
     }
     
     /**
-     * Execute delay step
+     * Execute workflow step: run another workflow on the same node and wait for it to finish.
+     * The step succeeds if the called workflow does.
      * @param {Object} execution
      * @param {Object} workflow
-     * @param {Object} step
+     * @param {Object} step - { workflowId, timeout }
      * @returns {Promise<Object>}
      */
-    async executeDelayStep(execution, workflow, step) {
+    async executeSubWorkflowStep(execution, workflow, step) {
         try {
-            const delaySeconds = step.duration || 60;
+            let state = execution.stepState;
+            
+            // Resumed after a restart with the workflow already started, keep waiting for it
+            if (!state.childExecutionId) {
+                const callStack = (execution.callStack || []).concat(execution.workflowId);
+                if (callStack.includes(step.workflowId)) {
+                    throw new Error(`Workflow ${step.workflowId} is already running in this chain of workflow calls`);
+                }
+                
+                const child = await this.triggerWorkflow(step.workflowId, execution.nodeId, execution.triggeredBy, {
+                    triggerType: 'workflow',
+                    triggerJobId: execution.triggerJobId,
+                    parentExecutionId: execution._id.toString(),
+                    parentWorkflowId: execution.workflowId,
+                    parentStepId: step.id,
+                    callStack: callStack
+                });
+                
+                if (child.parentExecutionId !== execution._id.toString()) {
+                    console.log(`ScriptTask RemediationEngine: Workflow ${step.workflowId} already running for node ${execution.nodeId}, waiting for execution ${child._id}`);
+                }
+                
+                state = await this.saveStepState(execution, { ...state, childExecutionId: child._id.toString() });
+            }
             
-            console.log(`ScriptTask RemediationEngine: Delaying for ${delaySeconds}s`);
+            const timeout = this.getStepTimeout(step);
+            const deadline = timeout === null ? null : state.startTime + timeout * 1000;
+            const child = await this.waitForExecutionCompletion(state.childExecutionId, deadline);
             
-            await new Promise(resolve => setTimeout(resolve, delaySeconds * 1000));
+            console.log(`ScriptTask RemediationEngine: Called workflow ${child.workflowName} finished: ${child.status}`);
             
             return {
-                status: 'success',
-                delaySeconds: delaySeconds
+                status: child.status === 'success' ? 'success' : 'failed',
+                childExecutionId: child._id.toString(),
+                output: {
+                    executionId: child._id.toString(),
+                    workflowId: child.workflowId,
+                    workflowName: child.workflowName,
+                    status: child.status,
+                    steps: child.stepOutputs || {}
+                },
+                error: child.status === 'success' ? undefined
+                    : `Workflow ${child.workflowName} ${child.status}` + (child.completionReason ? `: ${child.completionReason}` : '')
             };
         } catch (e) {
-            console.error('ScriptTask RemediationEngine: Error executing delay step', e);
+            console.error('ScriptTask RemediationEngine: Error executing workflow step', e);
             throw e;
         }
     }
     
     /**
-     * Execute condition step
-     * @param {Object} execution
-     * @param {Object} workflow
-     * @param {Object} step
-     * @returns {Promise<Object>}
+     * Wait for an execution to finish
+     * @param {String} executionId
+     * @param {Number|null} deadline - Timestamp in ms after which the execution is cancelled
+     * @returns {Promise<Object>} - The finished execution
      */
-    async executeConditionStep(execution, workflow, step) {
-        try {
-            // Get previous step result for evaluation
-            const previousStepResult = execution.stepResults.length > 0 
-                ? execution.stepResults[execution.stepResults.length - 1]
-                : null;
-            
-            if (!previousStepResult) {
-                console.log('ScriptTask RemediationEngine: No previous step result for condition evaluation');
-                return {
-                    status: 'success',
-                    conditionResult: false
-                };
+    async waitForExecutionCompletion(executionId, deadline) {
+        while (true) {
+            const execution = await this.db.scriptFile.findOne({
+                _id: this.db.formatId(executionId),
+                type: 'remediation_execution'
+            });
+            
+            if (!execution) {
+                throw new Error(`Execution ${executionId} not found`);
             }
             
-            // Evaluate condition
-            const conditionResult = this.conditionEvaluator.evaluate(
-                step.condition,
-                previousStepResult
-            );
+            if (execution.status !== 'running') {
+                return execution;
+            }
             
-            console.log(`ScriptTask RemediationEngine: Condition evaluated to ${conditionResult}`);
+            if (deadline !== null && Date.now() > deadline) {
+                await this.cancelExecution(executionId, 'Calling workflow step timed out');
+                throw new Error(`Execution ${executionId} timed out`);
+            }
             
-            return {
-                status: 'success',
-                conditionResult: conditionResult
-            };
-        } catch (e) {
-            console.error('ScriptTask RemediationEngine: Error executing condition step', e);
-            throw e;
+            await new Promise(resolve => setTimeout(resolve, 2000));
         }
     }
     
@@ -537,8 +1765,12 @@ class RemediationEngine {
                 error: result.error,
                 retryCount: result.retryCount || 0
             };
+            if (execution.branch) {
+                stepResult.branch = execution.branch;
+            }
             
             execution.stepResults.push(stepResult);
+            execution.stepOutputs[step.id] = this.getStepOutput(result);
             
             // Determine next step based on result
             let nextStepId = null;
@@ -546,6 +1778,18 @@ class RemediationEngine {
             if (step.type === 'condition') {
                 // For condition steps, use onTrue/onFalse
                 nextStepId = result.conditionResult ? step.onTrue : step.onFalse;
+            } else if (step.type === 'parallel') {
+                // The join step decides how to continue from the branch results
+                nextStepId = step.join;
+            } else if (step.type === 'approval') {
+                // Without an onTimeout path, a request nobody answered is treated as rejected
+                if (result.decision === 'approved') {
+                    nextStepId = step.onApproved || null;
+                } else if (result.decision === 'timeout' && step.onTimeout) {
+                    nextStepId = step.onTimeout;
+                } else {
+                    nextStepId = step.onRejected || null;
+                }
             } else {
                 // For other steps, use onSuccess/onFailure
                 if (result.status === 'success') {
@@ -582,22 +1826,28 @@ class RemediationEngine {
         try {
             console.log(`ScriptTask RemediationEngine: Handling failure for step ${step.id}`);
             
+            const state = execution.stepState;
+            const retryCount = state ? state.retryCount || 0 : 0;
+            
             // Check if retry is possible
             const retryDecision = await this.escalationManager.handleStepFailure(
                 execution,
                 step,
-                error
+                { ...error, retryCount: retryCount }
             );
             
             if (retryDecision.shouldRetry) {
-                // Schedule retry
+                // Schedule retry, persisted so a restart during the wait still retries
                 console.log(`ScriptTask RemediationEngine: Scheduling retry in ${retryDecision.delay}s`);
                 
-                await new Promise(resolve => setTimeout(resolve, retryDecision.delay * 1000));
-                
-                // Update retry count
-                const stepResult = execution.stepResults.find(r => r.stepId === step.id);
-                const retryCount = stepResult ? (stepResult.retryCount || 0) + 1 : 1;
+                await this.saveStepState(execution, {
+                    ...state,
+                    retryCount: retryCount + 1,
+                    waitingFor: 'retry',
+                    resumeAt: Date.now() + retryDecision.delay * 1000,
+                    jobId: null,
+                    childExecutionId: null
+                });
                 
                 // Retry step execution
                 return await this.executeStep(execution, workflow, step);
@@ -607,7 +1857,7 @@ class RemediationEngine {
             return {
                 ...error,
                 status: 'failed',
-                retryCount: error.retryCount || 0
+                retryCount: retryCount
             };
         } catch (e) {
             console.error('ScriptTask RemediationEngine: Error handling step failure', e);
@@ -641,7 +1891,8 @@ class RemediationEngine {
                         status: status,
                         endTime: endTime,
                         duration: duration,
-                        completionReason: reason
+                        completionReason: reason,
+                        pendingApprovals: []
                     }
                 }
             );
@@ -658,8 +1909,18 @@ class RemediationEngine {
                 this.stepTimers.delete(execution._id.toString());
             }
             
-            // If workflow failed and rollback is enabled, perform rollback
-            if (status === 'failed') {
+            // Approvals can't be answered anymore
+            for (const [key, waiter] of this.pendingApprovals.entries()) {
+                if (key.startsWith(`${execution._id.toString()}:`)) {
+                    clearTimeout(waiter.timer);
+                    this.pendingApprovals.delete(key);
+                }
+            }
+            
+            if (execution.rollbackOf) {
+                await this.finishRollback(execution, status);
+            } else if (status === 'failed') {
+                // If workflow failed and rollback is enabled, perform rollback
                 const workflow = await this.db.scriptFile.findOne({
                     _id: this.db.formatId(execution.workflowId),
                     type: 'remediation_workflow'
@@ -667,7 +1928,10 @@ class RemediationEngine {
                 
                 if (workflow && workflow.rollbackEnabled) {
                     console.log('ScriptTask RemediationEngine: Performing rollback due to workflow failure');
-                    await this.actionHandler.performRollback(execution._id.toString());
+                    const rollback = await this.rollbackExecution(execution, 'system');
+                    if (!rollback.success) {
+                        console.log(`ScriptTask RemediationEngine: No rollback for execution ${execution._id}: ${rollback.error}`);
+                    }
                 }
             }
             
@@ -678,11 +1942,198 @@ class RemediationEngine {
     }
     
     /**
-     * Cancel execution
+     * Roll back an execution: run the rollbackScriptId of every step that succeeded, last step
+     * first. The rollback is an execution of its own (rollbackOf), saved and resumed like any
+     * other. Each rollback script runs even if an earlier one failed. When the rollback ends the
+     * original execution is marked rolled_back, or rollback_failed if any rollback script failed.
+     * @param {Object} execution - Execution to roll back
+     * @param {String} triggeredBy - User that started the rollback, or system
+     * @returns {Promise<Object>} - { success, rollbackId, error }
+     */
+    async rollbackExecution(execution, triggeredBy) {
+        try {
+            const original = await this.db.scriptFile.findOne({
+                _id: this.db.formatId(execution._id.toString()),
+                type: 'remediation_execution'
+            });
+            
+            if (!original) {
+                return { success: false, error: 'Execution not found' };
+            }
+            if (original.rollbackOf) {
+                return { success: false, error: 'A rollback cannot be rolled back' };
+            }
+            if (original.status === 'running') {
+                return { success: false, error: 'Execution is still running, cancel it first' };
+            }
+            if (original.status === 'rolled_back') {
+                return { success: false, error: 'Execution is already rolled back' };
+            }
+            if (original.rollbackExecutionId) {
+                const previous = await this.db.scriptFile.findOne({
+                    _id: this.db.formatId(original.rollbackExecutionId),
+                    type: 'remediation_execution'
+                });
+                if (previous && previous.status === 'running') {
+                    return { success: false, error: `Rollback ${previous._id} is already running` };
+                }
+            }
+            
+            const workflow = await this.db.scriptFile.findOne({
+                _id: this.db.formatId(original.workflowId),
+                type: 'remediation_workflow'
+            });
+            
+            if (!workflow) {
+                return { success: false, error: 'Workflow no longer exists' };
+            }
+            
+            const steps = this.buildRollbackSteps(original, workflow);
+            if (steps.length === 0) {
+                return { success: false, error: 'Nothing to roll back, no successful step has a rollbackScriptId' };
+            }
+            
+            const rollback = {
+                type: 'remediation_execution',
+                workflowId: original.workflowId,
+                workflowName: `${original.workflowName} (rollback)`,
+                nodeId: original.nodeId,
+                status: 'running',
+                currentStep: steps[0].id,
+                stepState: null,
+                triggeredBy: triggeredBy,
+                triggerType: 'rollback',
+                triggerJobId: original.triggerJobId || null,
+                rollbackOf: original._id.toString(),
+                rollbackSteps: steps, // the steps are generated, so they are kept to resume after a restart
+                parentExecutionId: null,
+                parentStepId: null,
+                callStack: [],
+                startTime: Date.now(),
+                endTime: null,
+                stepResults: [],
+                stepOutputs: {},
+                context: { triggerType: 'rollback', rollbackOf: original._id.toString() },
+                alerts: []
+            };
+            
+            const result = await this.db.scriptFile.insertOne(rollback);
+            rollback._id = result.insertedId;
+            
+            await this.db.scriptFile.updateOne(
+                { _id: original._id },
+                { $set: { rollbackExecutionId: rollback._id.toString() } }
+            );
+            
+            console.log(`ScriptTask RemediationEngine: Rolling back execution ${original._id} in execution ${rollback._id} (${steps.length} steps)`);
+            
+            this.activeExecutions.set(rollback._id.toString(), rollback);
+            
+            this.executeWorkflow(rollback, this.getRollbackWorkflow(rollback)).catch(e => {
+                console.error('ScriptTask RemediationEngine: Unhandled error in rollback execution', e);
+                this.completeExecution(rollback, 'failed', e.message);
+            });
+            
+            return { success: true, rollbackId: rollback._id.toString() };
+        } catch (e) {
+            console.error('ScriptTask RemediationEngine: Error rolling back execution', e);
+            return { success: false, error: e.message };
+        }
+    }
+    
+    /**
+     * Build the script steps of a rollback, for each successful step with a rollbackScriptId,
+     * most recent first. Every step continues with the next one whatever its result.
+     * @param {Object} execution - Execution to roll back
+     * @param {Object} workflow - Its workflow definition
+     * @returns {Array<Object>}
+     */
+    buildRollbackSteps(execution, workflow) {
+        const steps = [];
+        const seen = new Set();
+        const results = execution.stepResults || [];
+        
+        for (let i = results.length - 1; i >= 0; i--) {
+            const stepResult = results[i];
+            if (stepResult.status !== 'success' || seen.has(stepResult.stepId)) continue;
+            
+            const step = (workflow.steps || []).find(s => s.id === stepResult.stepId);
+            if (!step || !step.rollbackScriptId) continue;
+            
+            seen.add(step.id);
+            steps.push({
+                id: `rollback-${step.id}`,
+                name: `Roll back ${step.name || step.id}`,
+                type: 'script',
+                scriptId: step.rollbackScriptId,
+                timeout: step.timeout,
+                rollbackOfStep: step.id
+            });
+        }
+        
+        steps.forEach((step, i) => {
+            const next = i + 1 < steps.length ? steps[i + 1].id : null;
+            step.onSuccess = next;
+            step.onFailure = next;
+        });
+        
+        return steps;
+    }
+    
+    /**
+     * Get the generated workflow a rollback execution runs
+     * @param {Object} execution - Rollback execution
+     * @returns {Object}
+     */
+    getRollbackWorkflow(execution) {
+        return {
+            _id: execution.workflowId,
+            name: execution.workflowName,
+            startStep: execution.rollbackSteps[0].id,
+            steps: execution.rollbackSteps,
+            escalationEnabled: false,
+            rollbackEnabled: false
+        };
+    }
+    
+    /**
+     * Record the outcome of a rollback on the execution it rolled back
+     * @param {Object} rollback - Rollback execution
+     * @param {String} status - Final status of the rollback
+     * @returns {Promise<void>}
+     */
+    async finishRollback(rollback, status) {
+        const rollbackResults = rollback.rollbackSteps.map(step => {
+            const stepResult = [...rollback.stepResults].reverse().find(r => r.stepId === step.id);
+            return {
+                stepId: step.rollbackOfStep,
+                scriptId: step.scriptId,
+                status: stepResult ? stepResult.status : 'not run',
+                error: stepResult ? stepResult.error : undefined
+            };
+        });
+        
+        const rolledBack = status === 'success';
+        await this.db.scriptFile.updateOne(
+            { _id: this.db.formatId(rollback.rollbackOf) },
+            {
+                $set: {
+                    status: rolledBack ? 'rolled_back' : 'rollback_failed',
+                    rollbackResults: rollbackResults
+                }
+            }
+        );
+        
+        console.log(`ScriptTask RemediationEngine: Execution ${rollback.rollbackOf} ${rolledBack ? 'rolled back' : 'rollback failed'}`);
+    }
+    
+    /**
+     * Cancel execution, and the workflows it called that are still running
      * @param {String} executionId - Execution ID to cancel
+     * @param {String} reason
      * @returns {Promise<Object>}
      */
-    async cancelExecution(executionId) {
+    async cancelExecution(executionId, reason = 'Cancelled by user') {
         try {
             console.log(`ScriptTask RemediationEngine: Cancelling execution ${executionId}`);
             
@@ -700,22 +2151,35 @@ class RemediationEngine {
             }
             
             // Update status to cancelled
-            await this.completeExecution(execution, 'cancelled', 'Cancelled by user');
-            
-            // Cancel any pending jobs for this execution
-            await this.db.scriptFile.updateMany(
-                { 
-                    type: 'job',
-                    remediationExecutionId: executionId,
-                    state: 'pending'
-                },
-                {
-                    $set: {
-                        state: 'cancelled',
-                        cancelledReason: 'Remediation execution cancelled'
-                    }
+            await this.completeExecution(execution, 'cancelled', reason);
+            
+            // Cancel pending jobs and stop running ones for this execution
+            const jobs = await this.db.scriptFile.find({
+                type: 'job',
+                remediationExecutionId: executionId,
+                state: { $in: ['pending', 'dispatched', 'running'] }
+            }).toArray();
+            
+            for (const job of jobs) {
+                if (this.dispatcher) {
+                    await this.dispatcher.cancelJob(job._id, 'Remediation execution cancelled');
+                } else {
+                    await this.db.scriptFile.updateOne(
+                        { _id: job._id },
+                        { $set: { state: 'cancelled', cancelledReason: 'Remediation execution cancelled' } }
+                    );
                 }
-            );
+            }
+            
+            const children = await this.db.scriptFile.find({
+                type: 'remediation_execution',
+                parentExecutionId: executionId.toString(),
+                status: 'running'
+            }).toArray();
+            
+            for (const child of children) {
+                await this.cancelExecution(child._id.toString(), 'Calling workflow cancelled');
+            }
             
             console.log(`ScriptTask RemediationEngine: Execution ${executionId} cancelled successfully`);
             
@@ -767,6 +2231,10 @@ class RemediationEngine {
                 query.status = filters.status;
             }
             
+            if (filters.parentExecutionId) {
+                query.parentExecutionId = filters.parentExecutionId;
+            }
+            
             if (filters.triggeredBy) {
                 query.triggeredBy = filters.triggeredBy;
             }
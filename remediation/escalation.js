@@ -27,9 +27,11 @@ class EscalationManager {
             const backoffType = retryPolicy.backoffType || 'exponential';
             const baseDelay = retryPolicy.delaySeconds || 60;
             
-            // Get current step result
+            // Retries of the current attempt, as counted by the engine
             const stepResult = execution.stepResults.find(r => r.stepId === step.id);
-            const retryCount = stepResult ? stepResult.retryCount || 0 : 0;
+            const retryCount = (error && error.retryCount !== undefined)
+                ? error.retryCount
+                : (stepResult ? stepResult.retryCount || 0 : 0);
             
             if (retryCount >= maxAttempts) {
                 console.log(`ScriptTask Escalation: Max retry attempts (${maxAttempts}) reached for step ${step.id}`);
@@ -158,7 +160,12 @@ class EscalationManager {
                     return await this.actionHandler.sendEmail(tier.config, execution, workflow);
                 
                 case 'quarantine':
-                    return await this.actionHandler.quarantineNode(execution.nodeId);
+                    // tier.config can set the quarantine's mode and duration (seconds)
+                    return await this.actionHandler.quarantineNode(execution.nodeId, {
+                        reason: `Escalation of workflow ${workflow.name}`,
+                        mode: tier.config && tier.config.mode,
+                        duration: tier.config && tier.config.duration
+                    });
                 
                 case 'customAction':
                     return await this.executeCustomAction(tier.config, execution);
@@ -0,0 +1,118 @@
+/**
+ * @description SMTP email delivery for MeshCentral-ScriptTask remediation
+ * @author Enhanced by Copilot
+ * @license Apache-2.0
+ */
+
+"use strict";
+
+const nodemailer = require('nodemailer');
+
+class Mailer {
+    /**
+     * @param {Object} meshServer
+     * @param {Object} config - Fallback SMTP settings used when MeshCentral has none:
+     *   { smtp: { host, port, secure, user, pass, from, rejectUnauthorized } }
+     */
+    constructor(meshServer, config = {}) {
+        this.meshServer = meshServer;
+        this.config = config || {};
+        this.transport = null;
+        this.transportKey = null;
+    }
+
+    /**
+     * Get the SMTP settings, MeshCentral's own mail configuration first
+     * @returns {Object|null} - { host, port, secure, user, pass, from, rejectUnauthorized, source }
+     */
+    getSmtpConfig() {
+        const meshSmtp = this.meshServer && this.meshServer.config && this.meshServer.config.smtp;
+        if (meshSmtp && meshSmtp.host) {
+            return {
+                host: meshSmtp.host,
+                port: meshSmtp.port || (meshSmtp.tls ? 465 : 25),
+                secure: meshSmtp.tls === true,
+                user: meshSmtp.user,
+                pass: meshSmtp.pass,
+                from: meshSmtp.from,
+                rejectUnauthorized: meshSmtp.tlscertcheck !== false,
+                source: 'meshcentral'
+            };
+        }
+
+        const smtp = this.config.smtp;
+        if (smtp && smtp.host) {
+            return {
+                host: smtp.host,
+                port: smtp.port || (smtp.secure ? 465 : 25),
+                secure: smtp.secure === true,
+                user: smtp.user,
+                pass: smtp.pass,
+                from: smtp.from,
+                rejectUnauthorized: smtp.rejectUnauthorized !== false,
+                source: 'scripttask'
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Get a transport for the current settings, reused while they don't change
+     * @param {Object} smtp
+     * @returns {Object} - nodemailer transport
+     */
+    getTransport(smtp) {
+        const key = JSON.stringify(smtp);
+        if (this.transport && this.transportKey === key) return this.transport;
+
+        if (this.transport) this.transport.close();
+        this.transport = nodemailer.createTransport({
+            host: smtp.host,
+            port: smtp.port,
+            secure: smtp.secure,
+            auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined,
+            tls: { rejectUnauthorized: smtp.rejectUnauthorized },
+            connectionTimeout: 10000
+        });
+        this.transportKey = key;
+        return this.transport;
+    }
+
+    /**
+     * Send an email
+     * @param {Object} message - { to, subject, text }
+     * @returns {Promise<Object>} - { success, messageId }
+     */
+    async send(message) {
+        try {
+            const smtp = this.getSmtpConfig();
+            if (!smtp) {
+                return { success: false, error: 'No SMTP server configured in MeshCentral or in remediation.email.smtp' };
+            }
+            if (!smtp.from) {
+                return { success: false, error: 'No sender address configured (smtp.from)' };
+            }
+
+            const to = Array.isArray(message.to) ? message.to.join(', ') : message.to;
+            if (!to) {
+                return { success: false, error: 'No recipient' };
+            }
+
+            const info = await this.getTransport(smtp).sendMail({
+                from: smtp.from,
+                to: to,
+                subject: message.subject,
+                text: message.text
+            });
+
+            console.log(`ScriptTask Mailer: Sent email to ${to} via ${smtp.host} (${smtp.source})`);
+            return { success: true, messageId: info.messageId };
+        } catch (e) {
+            console.error('ScriptTask Mailer: Error sending email', e);
+            return { success: false, error: e.message };
+        }
+    }
+}
+
+module.exports = Mailer;
@@ -0,0 +1,103 @@
+/**
+ * @description {{placeholder}} templates for remediation notifications and step inputs
+ * @author Enhanced by Copilot
+ * @license Apache-2.0
+ */
+
+"use strict";
+
+const PLACEHOLDER = /\{\{\s*([A-Za-z0-9_.\-]+)\s*\}\}/g;
+const ANY_PLACEHOLDER = /\{\{(.*?)\}\}/g;
+const SINGLE_PLACEHOLDER = /^\{\{\s*([A-Za-z0-9_.\-]+)\s*\}\}$/;
+
+/**
+ * Look up a dotted path (e.g. node.name, steps.cleanup.status) in a context object
+ * @param {Object} context
+ * @param {String} path
+ * @returns {*} - undefined if any part of the path is missing
+ */
+function lookup(context, path) {
+    let value = context;
+    for (const part of path.split('.')) {
+        if (value == null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, part)) {
+            return undefined;
+        }
+        value = value[part];
+    }
+    return value;
+}
+
+/**
+ * Replace {{path}} placeholders with values from the context. Missing values render as empty text.
+ * @param {String} template
+ * @param {Object} context
+ * @returns {String}
+ */
+function render(template, context) {
+    if (typeof template !== 'string') return '';
+    return template.replace(PLACEHOLDER, (match, path) => {
+        const value = lookup(context, path);
+        if (value == null) return '';
+        if (typeof value === 'object') return JSON.stringify(value, null, 2);
+        return String(value);
+    });
+}
+
+/**
+ * Render every string in a value (strings, arrays and objects, e.g. a webhook body).
+ * A string that is only a placeholder keeps the type of its value, so
+ * { "free": "{{steps.check.output.freeGb}}" } stays a number.
+ * @param {*} value
+ * @param {Object} context
+ * @returns {*}
+ */
+function renderValue(value, context) {
+    if (typeof value === 'string') {
+        const single = value.match(SINGLE_PLACEHOLDER);
+        if (single) {
+            const found = lookup(context, single[1]);
+            return found === undefined ? null : found;
+        }
+        return render(value, context);
+    }
+    if (Array.isArray(value)) {
+        return value.map(v => renderValue(v, context));
+    }
+    if (value && typeof value === 'object') {
+        const rendered = {};
+        for (const key of Object.keys(value)) {
+            rendered[key] = renderValue(value[key], context);
+        }
+        return rendered;
+    }
+    return value;
+}
+
+/**
+ * List the placeholders used in a value
+ * @param {*} value - String, array or object
+ * @returns {Object} - { paths: [valid placeholder paths], invalid: [malformed placeholders] }
+ */
+function findPlaceholders(value) {
+    const found = { paths: [], invalid: [] };
+    const scan = (v) => {
+        if (typeof v === 'string') {
+            for (const match of v.matchAll(ANY_PLACEHOLDER)) {
+                const single = match[0].match(SINGLE_PLACEHOLDER);
+                if (single) {
+                    found.paths.push(single[1]);
+                } else {
+                    found.invalid.push(match[0]);
+                }
+            }
+        } else if (Array.isArray(v)) {
+            v.forEach(scan);
+        } else if (v && typeof v === 'object') {
+            Object.values(v).forEach(scan);
+        }
+    };
+    scan(value);
+    return found;
+}
+
+module.exports = { render, renderValue, lookup, findPlaceholders, PLACEHOLDER };
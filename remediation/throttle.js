@@ -0,0 +1,162 @@
+/**
+ * @description Cooldowns, execution limits and flap detection for MeshCentral-ScriptTask remediation
+ * @author Enhanced by Copilot
+ * @license Apache-2.0
+ */
+
+"use strict";
+
+const SUPPRESS_REASONS = ['flapping', 'cooldown', 'rate_limit'];
+
+class TriggerThrottle {
+    /**
+     * @param {Object} db
+     * @param {Object} config - Defaults for every workflow, overridden by a workflow's throttle:
+     *   { cooldownSeconds, maxExecutions, windowSeconds, flapThreshold, flapWindowSeconds }
+     */
+    constructor(db, config = {}) {
+        this.db = db;
+        this.config = config || {};
+    }
+
+    /**
+     * Get the throttle settings of a workflow
+     * @param {Object} workflow
+     * @returns {Object}
+     */
+    getSettings(workflow) {
+        return { ...this.config, ...(workflow.throttle || {}) };
+    }
+
+    /**
+     * Decide whether a workflow may start on a node. Flapping is checked first: a node
+     * that triggers the workflow flapThreshold times within flapWindowSeconds (started
+     * and suppressed runs both count) is not remediated again but escalated.
+     * @param {Object} workflow
+     * @param {String} nodeId
+     * @returns {Promise<Object>} - { allowed, reason, message, escalate }
+     */
+    async check(workflow, nodeId) {
+        const settings = this.getSettings(workflow);
+        const workflowId = workflow._id.toString();
+        const now = Date.now();
+
+        if (settings.flapThreshold && settings.flapWindowSeconds) {
+            const since = now - settings.flapWindowSeconds * 1000;
+            const started = await this.getExecutions(workflowId, nodeId, { startTime: { $gte: since } });
+            const suppressed = await this.db.scriptFile.find({
+                type: 'remediation_suppressed',
+                workflowId: workflowId,
+                nodeId: nodeId,
+                suppressedAt: { $gte: since }
+            }).toArray();
+
+            // this trigger counts too
+            if (started.length + suppressed.length + 1 >= settings.flapThreshold) {
+                return {
+                    allowed: false,
+                    reason: 'flapping',
+                    message: `Triggered ${started.length + suppressed.length + 1} times in ${settings.flapWindowSeconds}s`,
+                    // escalated once per flap window, not on every trigger
+                    escalate: !suppressed.some(s => s.reason === 'flapping' && s.escalated)
+                };
+            }
+        }
+
+        if (settings.cooldownSeconds) {
+            const ended = await this.getExecutions(workflowId, nodeId, {
+                endTime: { $gte: now - settings.cooldownSeconds * 1000 }
+            });
+            if (ended.length) {
+                const last = Math.max(...ended.map(e => e.endTime));
+                const left = Math.ceil((last + settings.cooldownSeconds * 1000 - now) / 1000);
+                return {
+                    allowed: false,
+                    reason: 'cooldown',
+                    message: `Cooling down for another ${left}s after the last execution`,
+                    escalate: false
+                };
+            }
+        }
+
+        if (settings.maxExecutions && settings.windowSeconds) {
+            const started = await this.getExecutions(workflowId, nodeId, {
+                startTime: { $gte: now - settings.windowSeconds * 1000 }
+            });
+            if (started.length >= settings.maxExecutions) {
+                return {
+                    allowed: false,
+                    reason: 'rate_limit',
+                    message: `${started.length} executions in the last ${settings.windowSeconds}s (max ${settings.maxExecutions})`,
+                    escalate: false
+                };
+            }
+        }
+
+        return { allowed: true };
+    }
+
+    /**
+     * Executions of a workflow on a node that were started by a trigger.
+     * Rollbacks and calls from other workflows don't count.
+     * @param {String} workflowId
+     * @param {String} nodeId
+     * @param {Object} query - Extra conditions
+     * @returns {Promise<Array>}
+     */
+    async getExecutions(workflowId, nodeId, query) {
+        const executions = await this.db.scriptFile.find({
+            ...query,
+            type: 'remediation_execution',
+            workflowId: workflowId,
+            nodeId: nodeId
+        }).toArray();
+        return executions.filter(e => e.triggerType !== 'rollback' && !e.parentExecutionId);
+    }
+
+    /**
+     * Record a suppressed trigger
+     * @param {Object} workflow
+     * @param {String} nodeId
+     * @param {Object} decision - Result of check()
+     * @param {Object} trigger - { triggeredBy, triggerType, triggerJobId }
+     * @returns {Promise<Object>} - The record
+     */
+    async record(workflow, nodeId, decision, trigger = {}) {
+        const record = {
+            type: 'remediation_suppressed',
+            workflowId: workflow._id.toString(),
+            workflowName: workflow.name,
+            nodeId: nodeId,
+            reason: decision.reason,
+            message: decision.message,
+            triggeredBy: trigger.triggeredBy || null,
+            triggerType: trigger.triggerType || 'manual',
+            triggerJobId: trigger.triggerJobId || null,
+            escalated: false,
+            suppressedAt: Date.now()
+        };
+        const result = await this.db.scriptFile.insertOne(record);
+        record._id = result.insertedId;
+
+        console.log(`ScriptTask Throttle: Suppressed workflow ${workflow.name} on node ${nodeId} (${decision.reason}): ${decision.message}`);
+        return record;
+    }
+
+    /**
+     * Mark a suppressed trigger as escalated
+     * @param {Object} record
+     * @param {Object} result - Escalation result
+     * @returns {Promise<void>}
+     */
+    async markEscalated(record, result) {
+        await this.db.scriptFile.updateOne(
+            { _id: record._id },
+            { $set: { escalated: true, escalationResult: result } }
+        );
+    }
+}
+
+TriggerThrottle.SUPPRESS_REASONS = SUPPRESS_REASONS;
+
+module.exports = TriggerThrottle;
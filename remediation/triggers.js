@@ -0,0 +1,156 @@
+/**
+ * @description Workflow triggers evaluated against job results for MeshCentral-ScriptTask remediation
+ * @author Enhanced by Copilot
+ * @license Apache-2.0
+ */
+
+"use strict";
+
+const TRIGGER_TYPES = ['script_result', 'threshold', 'manual', 'schedule'];
+
+// Trigger types evaluated against every completed job
+const JOB_TRIGGER_TYPES = ['script_result', 'threshold'];
+
+class TriggerManager {
+    /**
+     * @param {Object} engine - RemediationEngine that starts the workflows
+     * @param {Object} db
+     */
+    constructor(engine, db) {
+        this.engine = engine;
+        this.db = db;
+        this.conditionEvaluator = engine.conditionEvaluator;
+    }
+
+    /**
+     * Evaluate the triggers of every enabled workflow against a completed job
+     * and start the workflows whose condition matches on the job's node
+     * @param {Object} job - Completed job
+     * @returns {Promise<Array>} - Executions started (or already running) for the job, suppressed triggers are left out
+     */
+    async handleJobComplete(job) {
+        try {
+            if (!this.shouldEvaluate(job)) return [];
+
+            const workflows = await this.db.scriptFile.find({
+                type: 'remediation_workflow',
+                enabled: true,
+                'trigger.type': { $in: JOB_TRIGGER_TYPES }
+            }).toArray();
+
+            if (workflows.length === 0) return [];
+
+            const jobResult = this.getJobResult(job);
+            const executions = [];
+            let meshId; // looked up for the first workflow limited to device groups
+
+            for (const workflow of workflows) {
+                if (!this.matchesTrigger(workflow, jobResult)) continue;
+
+                if (workflow.scopeMeshes && workflow.scopeMeshes.length) {
+                    if (meshId === undefined) {
+                        meshId = (await this.engine.actionHandler.getNodeInfo(job.node)).meshId;
+                    }
+                    if (!workflow.scopeMeshes.includes(meshId)) continue;
+                }
+
+                console.log(`ScriptTask Triggers: Job ${job._id} matched trigger of workflow ${workflow.name}`);
+
+                try {
+                    const execution = await this.engine.triggerWorkflow(
+                        workflow._id.toString(),
+                        job.node,
+                        'trigger',
+                        {
+                            triggerType: workflow.trigger.type,
+                            triggerJobId: job._id.toString(),
+                            triggerScriptId: job.scriptId
+                        }
+                    );
+                    if (execution) executions.push(execution);
+                } catch (e) {
+                    console.error(`ScriptTask Triggers: Error starting workflow ${workflow.name} for job ${job._id}`, e);
+                }
+            }
+
+            return executions;
+        } catch (e) {
+            console.error('ScriptTask Triggers: Error evaluating triggers', e);
+            return [];
+        }
+    }
+
+    /**
+     * Only final results of jobs outside remediation start workflows
+     * @param {Object} job
+     * @returns {Boolean}
+     */
+    shouldEvaluate(job) {
+        if (!job || !job.node) return false;
+
+        // Steps of a workflow must not start workflows themselves, a failing
+        // remediation script would otherwise trigger its own workflow again
+        if (job.remediationExecutionId) return false;
+
+        if (!['complete', 'error', 'timeout'].includes(job.state)) return false;
+
+        // The dispatcher queues another attempt, wait for that one's result
+        if (job.state !== 'complete' && (job.retryCount || 0) < (job.maxRetries || 0)) return false;
+
+        return true;
+    }
+
+    /**
+     * Build the result conditions are evaluated against. Fields of a JSON object
+     * printed by the script are available directly, e.g. { "diskUsagePercent": 91 }
+     * @param {Object} job
+     * @returns {Object}
+     */
+    getJobResult(job) {
+        const output = job.stdout != null ? job.stdout : job.returnVal;
+        const result = {};
+
+        if (typeof output === 'string') {
+            try {
+                const data = JSON.parse(output);
+                if (data && typeof data === 'object' && !Array.isArray(data)) {
+                    Object.assign(result, data);
+                }
+            } catch (e) {
+                // Not JSON, conditions use the plain output
+            }
+        }
+
+        return Object.assign(result, {
+            jobId: job._id.toString(),
+            scriptId: job.scriptId,
+            nodeId: job.node,
+            state: job.state,
+            exitCode: job.exitCode !== undefined ? job.exitCode : null,
+            output: output,
+            stdout: job.stdout,
+            stderr: job.stderr,
+            error: job.errorVal
+        });
+    }
+
+    /**
+     * Check a workflow's trigger against a job result
+     * @param {Object} workflow
+     * @param {Object} jobResult
+     * @returns {Boolean}
+     */
+    matchesTrigger(workflow, jobResult) {
+        const trigger = workflow.trigger;
+        if (!trigger || !trigger.condition) return false;
+
+        if (trigger.scriptId && trigger.scriptId !== jobResult.scriptId) return false;
+
+        return this.conditionEvaluator.evaluate(trigger.condition, jobResult);
+    }
+}
+
+TriggerManager.TRIGGER_TYPES = TRIGGER_TYPES;
+TriggerManager.JOB_TRIGGER_TYPES = JOB_TRIGGER_TYPES;
+
+module.exports = TriggerManager;
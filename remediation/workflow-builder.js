@@ -6,12 +6,29 @@
 
 "use strict";
 
+const ConditionEvaluator = require('./conditions');
+const TriggerManager = require('./triggers');
+const templates = require('./templates');
+
+// Step fields that can use {{...}} templates
+const TEMPLATE_FIELDS = {
+    script: ['parameters'],
+    webhook: ['url', 'headers', 'body'],
+    email: ['to', 'subject', 'body'],
+    approval: ['message']
+};
+
+// Values available to templates, see ActionHandler.buildTemplateContext
+const TEMPLATE_ROOTS = ['workflow', 'execution', 'node', 'trigger', 'steps', 'stepSummary', 'output', 'timestamp'];
+const STEP_TEMPLATE_FIELDS = ['name', 'type', 'status', 'duration', 'exitCode', 'error', 'output'];
+
 class WorkflowBuilder {
     constructor(workflowDefinition) {
         this.workflow = workflowDefinition || {};
         this.errors = [];
         this.stateMachine = null;
-        this.stepTypes = ['script', 'webhook', 'email', 'delay', 'condition'];
+        this.stepTypes = ['script', 'webhook', 'email', 'delay', 'condition', 'parallel', 'join', 'approval', 'workflow'];
+        this.joinModes = ['all', 'any', 'count'];
     }
     
     /**
@@ -32,6 +49,15 @@ class WorkflowBuilder {
             return { valid: false, errors: this.errors };
         }
         
+        // Workflows without a trigger can still be started manually
+        if (this.workflow.trigger) {
+            this.validateTrigger(this.workflow.trigger);
+        }
+        
+        if (this.workflow.throttle) {
+            this.validateThrottle(this.workflow.throttle);
+        }
+        
         // Validate all step IDs are unique
         const stepIds = this.workflow.steps.map(s => s.id);
         const uniqueIds = new Set(stepIds);
@@ -54,6 +80,20 @@ class WorkflowBuilder {
             }
         }
         
+        // Check parallel branches end at their join
+        for (const step of this.workflow.steps) {
+            if (step.type === 'parallel') {
+                this.validateParallelBranches(step);
+            }
+        }
+        
+        // Check templates only use steps that run before
+        for (const step of this.workflow.steps) {
+            if (step.id) {
+                this.validateStepTemplates(step);
+            }
+        }
+        
         // Check for start step
         if (!this.workflow.startStep) {
             this.errors.push('Workflow must have a startStep defined');
@@ -85,6 +125,57 @@ class WorkflowBuilder {
         return { valid, errors: this.errors };
     }
     
+    /**
+     * Validate workflow trigger
+     * @param {Object} trigger - { type, condition, scriptId }
+     */
+    validateTrigger(trigger) {
+        if (!TriggerManager.TRIGGER_TYPES.includes(trigger.type)) {
+            this.errors.push(`Invalid trigger type "${trigger.type}". Must be one of: ${TriggerManager.TRIGGER_TYPES.join(', ')}`);
+            return;
+        }
+        
+        if (!TriggerManager.JOB_TRIGGER_TYPES.includes(trigger.type)) return;
+        
+        if (!trigger.condition) {
+            this.errors.push(`Trigger ${trigger.type} must have a condition defined`);
+            return;
+        }
+        
+        const conditionCheck = new ConditionEvaluator().validateCondition(trigger.condition);
+        if (!conditionCheck.valid) {
+            this.errors.push(...conditionCheck.errors.map(e => `Trigger condition: ${e}`));
+        }
+    }
+    
+    /**
+     * Validate cooldown, execution limit and flap detection settings
+     * @param {Object} throttle - { cooldownSeconds, maxExecutions, windowSeconds, flapThreshold, flapWindowSeconds }
+     */
+    validateThrottle(throttle) {
+        if (typeof throttle !== 'object' || Array.isArray(throttle)) {
+            this.errors.push('throttle must be an object');
+            return;
+        }
+        
+        for (const field of ['cooldownSeconds', 'maxExecutions', 'windowSeconds', 'flapThreshold', 'flapWindowSeconds']) {
+            const value = throttle[field];
+            if (value != null && (!Number.isInteger(value) || value <= 0)) {
+                this.errors.push(`throttle.${field} must be a positive whole number`);
+            }
+        }
+        
+        if ((throttle.maxExecutions != null) !== (throttle.windowSeconds != null)) {
+            this.errors.push('throttle.maxExecutions and throttle.windowSeconds must be set together');
+        }
+        if ((throttle.flapThreshold != null) !== (throttle.flapWindowSeconds != null)) {
+            this.errors.push('throttle.flapThreshold and throttle.flapWindowSeconds must be set together');
+        }
+        if (Number.isInteger(throttle.flapThreshold) && throttle.flapThreshold < 2) {
+            this.errors.push('throttle.flapThreshold must be at least 2');
+        }
+    }
+    
     /**
      * Validate individual step
      * @param {Object} step - Step definition
@@ -129,6 +220,18 @@ class WorkflowBuilder {
             case 'condition':
                 this.validateConditionStep(step);
                 break;
+            case 'parallel':
+                this.validateParallelStep(step);
+                break;
+            case 'join':
+                this.validateJoinStep(step);
+                break;
+            case 'approval':
+                this.validateApprovalStep(step);
+                break;
+            case 'workflow':
+                this.validateWorkflowStep(step);
+                break;
         }
     }
     
@@ -140,6 +243,10 @@ class WorkflowBuilder {
         if (!step.scriptId && !step.script) {
             this.errors.push(`Step ${step.id}: script step must have scriptId or script defined`);
         }
+
+        if (step.parameters !== undefined && (typeof step.parameters !== 'object' || Array.isArray(step.parameters))) {
+            this.errors.push(`Step ${step.id}: parameters must be an object of name/value pairs`);
+        }
     }
     
     /**
@@ -178,6 +285,8 @@ class WorkflowBuilder {
         
         if (!step.body && !step.template) {
             this.errors.push(`Step ${step.id}: email step must have body or template defined`);
+        } else if (!step.body && step.template !== 'default') {
+            this.errors.push(`Step ${step.id}: unknown email template "${step.template}", use "default" or a body`);
         }
     }
     
@@ -207,6 +316,260 @@ class WorkflowBuilder {
         }
     }
     
+    /**
+     * Validate parallel step
+     * @param {Object} step - { branches: [first step of each branch], join: join step id }
+     */
+    validateParallelStep(step) {
+        if (!Array.isArray(step.branches) || step.branches.length < 2) {
+            this.errors.push(`Step ${step.id}: parallel step must have at least two branches`);
+            return;
+        }
+        
+        if (new Set(step.branches).size !== step.branches.length) {
+            this.errors.push(`Step ${step.id}: parallel branches must be different steps`);
+        }
+        
+        const join = this.workflow.steps.find(s => s.id === step.join);
+        if (!step.join) {
+            this.errors.push(`Step ${step.id}: parallel step must have join defined`);
+        } else if (!join) {
+            this.errors.push(`Step ${step.id}: join references non-existent step ${step.join}`);
+        } else if (join.type !== 'join') {
+            this.errors.push(`Step ${step.id}: join step ${step.join} must be of type join`);
+        }
+        
+        for (const branch of step.branches) {
+            if (!this.workflow.steps.some(s => s.id === branch)) {
+                this.errors.push(`Step ${step.id}: branch references non-existent step ${branch}`);
+            } else if (branch === step.join) {
+                this.errors.push(`Step ${step.id}: branch ${branch} can't start with the join step`);
+            }
+        }
+    }
+    
+    /**
+     * Validate join step
+     * @param {Object} step - { mode: 'all'|'any'|'count', count: number of branches that must succeed }
+     */
+    validateJoinStep(step) {
+        const mode = step.mode || 'all';
+        if (!this.joinModes.includes(mode)) {
+            this.errors.push(`Step ${step.id}: invalid join mode "${mode}". Must be one of: ${this.joinModes.join(', ')}`);
+        }
+        
+        const parallels = this.workflow.steps.filter(s => s.type === 'parallel' && s.join === step.id);
+        if (parallels.length !== 1) {
+            this.errors.push(`Step ${step.id}: join step must be the join of exactly one parallel step`);
+            return;
+        }
+        
+        if (mode === 'count') {
+            const branchCount = Array.isArray(parallels[0].branches) ? parallels[0].branches.length : 0;
+            if (!Number.isInteger(step.count) || step.count < 1 || step.count > branchCount) {
+                this.errors.push(`Step ${step.id}: join count must be a whole number from 1 to ${branchCount}`);
+            }
+        }
+    }
+    
+    /**
+     * Validate approval step
+     * @param {Object} step - { approvers, message, timeout, webhook, onApproved, onRejected, onTimeout }
+     */
+    validateApprovalStep(step) {
+        if (step.approvers !== undefined && (!Array.isArray(step.approvers) || step.approvers.some(a => typeof a !== 'string' || !a))) {
+            this.errors.push(`Step ${step.id}: approvers must be a list of usernames or user ids`);
+        }
+        
+        if (step.message !== undefined && typeof step.message !== 'string') {
+            this.errors.push(`Step ${step.id}: approval message must be text`);
+        }
+        
+        if (step.webhook !== undefined && (!step.webhook || !step.webhook.url)) {
+            this.errors.push(`Step ${step.id}: approval webhook must have url defined`);
+        }
+        
+        const stepIds = this.workflow.steps.map(s => s.id);
+        for (const field of ['onApproved', 'onRejected', 'onTimeout']) {
+            if (step[field] && !stepIds.includes(step[field])) {
+                this.errors.push(`Step ${step.id}: ${field} references non-existent step ${step[field]}`);
+            }
+        }
+    }
+    
+    /**
+     * Validate sub-workflow step. Calls through other workflows are checked when the
+     * workflow starts, see RemediationEngine.checkWorkflowCalls
+     * @param {Object} step - { workflowId }
+     */
+    validateWorkflowStep(step) {
+        if (!step.workflowId || typeof step.workflowId !== 'string') {
+            this.errors.push(`Step ${step.id}: workflow step must have workflowId defined`);
+        } else if (this.workflow._id && step.workflowId === this.workflow._id.toString()) {
+            this.errors.push(`Step ${step.id}: workflow step can't call its own workflow`);
+        }
+    }
+    
+    /**
+     * Check every step reachable from a parallel step's branches stays inside them:
+     * branches end at the join (or with no next step) and can't start parallel steps of their own
+     * @param {Object} step - Parallel step
+     */
+    validateParallelBranches(step) {
+        if (!Array.isArray(step.branches)) return;
+        
+        const stepMap = new Map(this.workflow.steps.map(s => [s.id, s]));
+        for (const branch of step.branches) {
+            const visited = new Set();
+            const pending = [branch];
+            while (pending.length) {
+                const stepId = pending.pop();
+                // a branch leading back to its own parallel step is reported as a circular dependency
+                if (!stepId || stepId === step.join || stepId === step.id || visited.has(stepId)) continue;
+                visited.add(stepId);
+                
+                const branchStep = stepMap.get(stepId);
+                if (!branchStep) continue;
+                
+                if (branchStep.type === 'parallel') {
+                    this.errors.push(`Step ${step.id}: branch ${branch} reaches parallel step ${stepId}, parallel steps can't be nested`);
+                } else if (branchStep.type === 'join') {
+                    this.errors.push(`Step ${step.id}: branch ${branch} reaches join step ${stepId} of another parallel step`);
+                } else {
+                    pending.push(...this.getNextStepIds(branchStep));
+                }
+            }
+        }
+    }
+    
+    /**
+     * Validate the {{...}} templates in a step's inputs, and the step a condition reads (from).
+     * A template can only use the output of a step that leads to this one.
+     * @param {Object} step - Step definition
+     */
+    validateStepTemplates(step) {
+        const ancestors = this.getAncestors(step.id);
+        const checkStep = (stepId, where) => {
+            if (!this.workflow.steps.some(s => s.id === stepId)) {
+                this.errors.push(`Step ${step.id}: ${where} references non-existent step ${stepId}`);
+            } else if (!ancestors.has(stepId)) {
+                this.errors.push(`Step ${step.id}: ${where} uses step ${stepId}, which doesn't run before it`);
+            }
+        };
+        
+        if (step.type === 'condition' && step.from) {
+            checkStep(step.from, 'from');
+        }
+        
+        const roots = step.type === 'approval' ? TEMPLATE_ROOTS.concat('approval') : TEMPLATE_ROOTS;
+        for (const field of TEMPLATE_FIELDS[step.type] || []) {
+            if (step[field] === undefined) continue;
+            
+            const found = templates.findPlaceholders(step[field]);
+            for (const invalid of found.invalid) {
+                this.errors.push(`Step ${step.id}: invalid template ${invalid} in ${field}`);
+            }
+            
+            for (const path of found.paths) {
+                const parts = path.split('.');
+                if (!roots.includes(parts[0])) {
+                    this.errors.push(`Step ${step.id}: unknown template value {{${path}}} in ${field}, must start with one of: ${roots.join(', ')}`);
+                } else if (parts[0] === 'steps') {
+                    if (parts.length < 3 || !STEP_TEMPLATE_FIELDS.includes(parts[2])) {
+                        this.errors.push(`Step ${step.id}: template {{${path}}} in ${field} must be steps.<id>.<${STEP_TEMPLATE_FIELDS.join('|')}>`);
+                    } else {
+                        checkStep(parts[1], `template {{${path}}} in ${field}`);
+                    }
+                }
+            }
+        }
+    }
+    
+    /**
+     * Get the steps that can run before a step, i.e. every step that leads to it
+     * @param {String} stepId
+     * @returns {Set<String>}
+     */
+    getAncestors(stepId) {
+        const ancestors = new Set();
+        const pending = [stepId];
+        while (pending.length) {
+            const current = pending.pop();
+            for (const step of this.workflow.steps) {
+                if (!ancestors.has(step.id) && this.getNextStepIds(step).includes(current)) {
+                    ancestors.add(step.id);
+                    pending.push(step.id);
+                }
+            }
+        }
+        return ancestors;
+    }
+    
+    /**
+     * Get every step a step can continue with
+     * @param {Object} step - Step definition
+     * @returns {Array<String>}
+     */
+    getNextStepIds(step) {
+        const next = [step.onSuccess, step.onFailure];
+        if (step.type === 'condition') {
+            next.push(step.onTrue, step.onFalse);
+        }
+        if (step.type === 'parallel') {
+            next.push(...(step.branches || []), step.join);
+        }
+        if (step.type === 'approval') {
+            next.push(step.onApproved, step.onRejected, step.onTimeout);
+        }
+        return next.filter(id => id);
+    }
+    
+    /**
+     * Get the steps that can't be reached from the start step
+     * @returns {Array<String>} Step IDs
+     */
+    getUnreachableSteps() {
+        const reached = new Set();
+        const pending = [this.workflow.startStep];
+        while (pending.length) {
+            const stepId = pending.pop();
+            if (!stepId || reached.has(stepId)) continue;
+            reached.add(stepId);
+            
+            const step = this.getStep(stepId);
+            if (step) pending.push(...this.getNextStepIds(step));
+        }
+        
+        return this.getSteps().map(s => s.id).filter(id => !reached.has(id));
+    }
+    
+    /**
+     * Get the outcomes that end the workflow (or parallel branch) unintentionally: steps that
+     * continue after some outcomes but not after others, e.g. onSuccess without onFailure
+     * @returns {Array<Object>} [{ stepId, outcome }]
+     */
+    getDeadEnds() {
+        const outcomes = {
+            condition: ['onTrue', 'onFalse'],
+            approval: ['onApproved', 'onRejected'], // an unanswered request without onTimeout is rejected
+            delay: ['onSuccess'],
+            parallel: []
+        };
+        
+        const deadEnds = [];
+        for (const step of this.getSteps()) {
+            const fields = outcomes[step.type] || ['onSuccess', 'onFailure'];
+            if (!fields.some(f => step[f])) continue; // end step
+            
+            for (const field of fields) {
+                if (!step[field]) {
+                    deadEnds.push({ stepId: step.id, outcome: field });
+                }
+            }
+        }
+        return deadEnds;
+    }
+    
     /**
      * Check for circular dependencies in workflow
      * @returns {Object} { valid: Boolean, errors: Array }
@@ -241,21 +604,8 @@ class WorkflowBuilder {
             if (step) {
                 const newPath = [...path, stepId];
                 
-                if (step.onSuccess) {
-                    detectCycle(step.onSuccess, newPath);
-                }
-                
-                if (step.onFailure) {
-                    detectCycle(step.onFailure, newPath);
-                }
-                
-                if (step.type === 'condition') {
-                    if (step.onTrue) {
-                        detectCycle(step.onTrue, newPath);
-                    }
-                    if (step.onFalse) {
-                        detectCycle(step.onFalse, newPath);
-                    }
+                for (const nextStepId of this.getNextStepIds(step)) {
+                    detectCycle(nextStepId, newPath);
                 }
             }
             
@@ -330,6 +680,11 @@ class WorkflowBuilder {
         delete config.onFailure;
         delete config.onTrue;
         delete config.onFalse;
+        delete config.branches;
+        delete config.join;
+        delete config.onApproved;
+        delete config.onRejected;
+        delete config.onTimeout;
         return config;
     }
     
@@ -344,6 +699,13 @@ class WorkflowBuilder {
         if (step.type === 'condition') {
             if (step.onTrue) transitions.onTrue = step.onTrue;
             if (step.onFalse) transitions.onFalse = step.onFalse;
+        } else if (step.type === 'parallel') {
+            transitions.branches = step.branches;
+            transitions.join = step.join;
+        } else if (step.type === 'approval') {
+            if (step.onApproved) transitions.onApproved = step.onApproved;
+            if (step.onRejected) transitions.onRejected = step.onRejected;
+            if (step.onTimeout) transitions.onTimeout = step.onTimeout;
         } else {
             if (step.onSuccess) transitions.onSuccess = step.onSuccess;
             if (step.onFailure) transitions.onFailure = step.onFailure;
@@ -385,6 +747,18 @@ class WorkflowBuilder {
             return null;
         }
         
+        // Parallel steps continue at their join once the branches are done
+        if (step.type === 'parallel') {
+            return transitions.join;
+        }
+        
+        // Approval steps branch on the decision, an unanswered request counts as rejected without onTimeout
+        if (step.type === 'approval') {
+            if (result.decision === 'approved') return transitions.onApproved || null;
+            if (result.decision === 'timeout' && transitions.onTimeout) return transitions.onTimeout;
+            return transitions.onRejected || null;
+        }
+        
         // Handle success/failure transitions
         if (result.success && transitions.onSuccess) {
             console.log(`ScriptTask WorkflowBuilder: Step succeeded, moving to ${transitions.onSuccess}`);
@@ -530,4 +904,6 @@ class WorkflowBuilder {
     }
 }
 
+WorkflowBuilder.TEMPLATE_FIELDS = TEMPLATE_FIELDS;
+
 module.exports = WorkflowBuilder;
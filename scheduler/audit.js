@@ -0,0 +1,273 @@
+/**
+ * @description Append-only audit log for MeshCentral-ScriptTask
+ * @author Enhanced by Copilot
+ * @license Apache-2.0
+ */
+
+"use strict";
+
+const SecretStore = require('./secrets');
+
+// ui: the plugin's pages in MeshCentral, rest: the API with a user token or session,
+// api_key: the API with an API key, remediation: workflows and their triggers
+const AUDIT_SOURCES = ['ui', 'rest', 'api_key', 'remediation', 'system'];
+
+// Fields left out of the changes of an entry, they change on every update
+const IGNORED_FIELDS = ['_id', 'type', 'updatedAt', 'updatedBy', 'lastUsedAt', 'lastUsedIp'];
+
+// Fields whose values are never written to the log, only whether they changed
+const SECRET_FIELDS = ['encryptedValue', 'keyHash'];
+
+const FILTER_FIELDS = ['action', 'source', 'actor', 'actorId', 'apiKeyId', 'targetType', 'targetId', 'nodeId', 'meshId'];
+const MAX_VALUE_LENGTH = 16384; // longer values, e.g. large scripts, are truncated
+const CSV_COLUMNS = ['time', 'actor', 'actorId', 'source', 'apiKeyId', 'action', 'targetType', 'targetId', 'targetName', 'nodeId', 'meshId', 'changes', 'details'];
+
+class AuditLog {
+    /**
+     * Records who changed or ran what. Entries are only ever inserted, the plugin has
+     * no way to change or delete them. Each entry is also sent to MeshCentral's event
+     * log, so it shows in the history of its node and of the user who made it.
+     * @param {Object} meshServer
+     * @param {Object} db
+     */
+    constructor(meshServer, db) {
+        this.meshServer = meshServer;
+        this.db = db;
+    }
+
+    /**
+     * Record an action. A failure to record is logged and never fails the action itself.
+     * @param {Object} entry - { actor: { userId, username, apiKey }, source, action (e.g. script.update),
+     *   target: { type, id, name }, nodeId, meshId, before, after, details }. The target
+     *   defaults to the object in before/after, the changes are the fields that differ.
+     * @returns {Promise<Object|null>} - The entry
+     */
+    async record(entry) {
+        try {
+            const object = entry.after || entry.before || {};
+            const target = entry.target || {};
+            const actor = entry.actor || {};
+
+            const record = {
+                type: 'audit_entry',
+                time: Date.now(),
+                action: entry.action,
+                source: AUDIT_SOURCES.includes(entry.source) ? entry.source : 'system',
+                actor: actor.username || 'system',
+                actorId: actor.userId || null,
+                apiKeyId: actor.apiKey || null,
+                targetType: target.type || object.type || null,
+                targetId: target.id != null ? String(target.id) : (object._id ? object._id.toString() : null),
+                targetName: target.name || object.name || null,
+                nodeId: entry.nodeId || null,
+                meshId: entry.meshId || null,
+                changes: AuditLog.diff(entry.before, entry.after),
+                details: entry.details || null
+            };
+            if (record.nodeId && !record.meshId) {
+                record.meshId = await this.getNodeMeshId(record.nodeId);
+            }
+
+            const result = await this.db.scriptFile.insertOne(record);
+            record._id = result.insertedId;
+
+            this.dispatch(record);
+            return record;
+        } catch (e) {
+            console.error(`ScriptTask Audit: Error recording ${entry.action}`, e);
+            return null;
+        }
+    }
+
+    /**
+     * Find entries, newest first
+     * @param {Object} filters - Exact matches on action, source, actor, actorId, apiKeyId, targetType,
+     *   targetId, nodeId and meshId; from and to (ms) limit the time
+     * @param {Number} limit
+     * @returns {Promise<Array>}
+     */
+    async find(filters = {}, limit = 100) {
+        const query = { type: 'audit_entry' };
+        for (const field of FILTER_FIELDS) {
+            if (filters[field] != null && filters[field] !== '') query[field] = String(filters[field]);
+        }
+        if (filters.from != null || filters.to != null) {
+            query.time = {};
+            if (filters.from != null) query.time.$gte = filters.from;
+            if (filters.to != null) query.time.$lte = filters.to;
+        }
+
+        return this.db.scriptFile.find(query).sort({ time: -1 }).limit(limit).toArray();
+    }
+
+    /**
+     * Send an entry to MeshCentral's event log
+     * @param {Object} record
+     */
+    dispatch(record) {
+        if (!this.meshServer || typeof this.meshServer.DispatchEvent !== 'function') return;
+
+        const targets = ['*', 'server-users'];
+        if (record.meshId) targets.push(record.meshId);
+        if (record.nodeId) targets.push(record.nodeId);
+        if (record.actorId) targets.push(record.actorId);
+
+        this.meshServer.DispatchEvent(targets, this, {
+            etype: record.nodeId ? 'node' : 'user',
+            action: 'plugin',
+            plugin: 'scripttask',
+            pluginaction: 'audit',
+            domain: AuditLog.domainOf(record.nodeId || record.actorId),
+            userid: record.actorId,
+            username: record.actor,
+            nodeid: record.nodeId,
+            meshid: record.meshId,
+            msg: AuditLog.describe(record),
+            auditId: record._id.toString(),
+            auditAction: record.action,
+            source: record.source
+        });
+    }
+
+    /**
+     * Find the mesh of a node, online or not
+     * @param {String} nodeId
+     * @returns {Promise<String|null>}
+     */
+    async getNodeMeshId(nodeId) {
+        const agent = this.meshServer && this.meshServer.webserver && this.meshServer.webserver.wsagents
+            ? this.meshServer.webserver.wsagents[nodeId] : null;
+        if (agent && agent.dbMeshKey) return agent.dbMeshKey;
+        if (!this.meshServer || !this.meshServer.db) return null;
+
+        return new Promise(resolve => {
+            try {
+                this.meshServer.db.Get(nodeId, (err, nodes) => {
+                    resolve((!err && nodes && nodes.length) ? nodes[0].meshid : null);
+                });
+            } catch (e) {
+                resolve(null);
+            }
+        });
+    }
+
+    /**
+     * Get the fields that differ between two versions of an object.
+     * A created object has no before, a deleted one no after.
+     * @param {Object|null} before
+     * @param {Object|null} after
+     * @returns {Object} - field -> { from, to }
+     */
+    static diff(before, after) {
+        const from = before || {};
+        const to = after || {};
+        const secret = from.secret === true || to.secret === true;
+        const changes = {};
+
+        for (const field of new Set([...Object.keys(from), ...Object.keys(to)])) {
+            if (IGNORED_FIELDS.includes(field)) continue;
+            if (JSON.stringify(from[field]) === JSON.stringify(to[field])) continue;
+            changes[field] = {
+                from: AuditLog.loggedValue(field, from[field], secret),
+                to: AuditLog.loggedValue(field, to[field], secret)
+            };
+        }
+        return changes;
+    }
+
+    /**
+     * Value of a field as written to the log
+     * @param {String} field
+     * @param {*} value
+     * @param {Boolean} secret - Whether the object is a secret variable
+     * @returns {*}
+     */
+    static loggedValue(field, value, secret) {
+        if (value === undefined || value === null) return null;
+        if (SECRET_FIELDS.includes(field) || (secret && field === 'value')) return SecretStore.REDACTED;
+        if (typeof value === 'string' && value.length > MAX_VALUE_LENGTH) {
+            return `${value.slice(0, MAX_VALUE_LENGTH)}... (${value.length} characters)`;
+        }
+        return value;
+    }
+
+    /**
+     * Actor and source of a request to the REST API
+     * @param {Object} req
+     * @returns {Object} - { actor, source }, to spread into an entry
+     */
+    static fromRequest(req) {
+        const user = req.user || {};
+        return {
+            actor: { userId: user.userId, username: user.username, apiKey: user.apiKey },
+            source: user.apiKey ? 'api_key' : 'rest'
+        };
+    }
+
+    /**
+     * Actor of a MeshCentral user session, e.g. the plugin's pages
+     * @param {Object} meshUser - MeshCentral user ({ _id, name })
+     * @param {String} source
+     * @returns {Object} - { actor, source }, to spread into an entry
+     */
+    static fromUser(meshUser, source = 'ui') {
+        const user = meshUser || {};
+        return { actor: { userId: user._id, username: user.name }, source: source };
+    }
+
+    /**
+     * Message shown in MeshCentral's event log
+     * @param {Object} record
+     * @returns {String}
+     */
+    static describe(record) {
+        const target = record.targetName ? `"${record.targetName}"` : (record.targetId || '');
+        return `ScriptTask ${record.action} ${record.targetType || ''} ${target} by ${record.actor} (${record.source})`
+            .replace(/ +/g, ' ');
+    }
+
+    /**
+     * Domain of a MeshCentral id such as node/<domain>/<id>
+     * @param {String} id
+     * @returns {String}
+     */
+    static domainOf(id) {
+        const parts = typeof id === 'string' ? id.split('/') : [];
+        return parts.length === 3 ? parts[1] : '';
+    }
+
+    /**
+     * Write entries as CSV, changes and details as JSON
+     * @param {Array} entries
+     * @returns {String}
+     */
+    static toCSV(entries) {
+        const lines = [CSV_COLUMNS.join(',')];
+        for (const entry of entries) {
+            lines.push(CSV_COLUMNS.map(column => {
+                let value = entry[column];
+                if (column === 'time') value = new Date(value).toISOString();
+                else if (value != null && typeof value === 'object') value = JSON.stringify(value);
+                return AuditLog.csvField(value);
+            }).join(','));
+        }
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Quote a CSV field. Values a spreadsheet would run as a formula are prefixed with '
+     * @param {*} value
+     * @returns {String}
+     */
+    static csvField(value) {
+        if (value === null || value === undefined) return '';
+        let text = String(value);
+        if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+}
+
+AuditLog.AUDIT_SOURCES = AUDIT_SOURCES;
+AuditLog.FILTER_FIELDS = FILTER_FIELDS;
+
+module.exports = AuditLog;
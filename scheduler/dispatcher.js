@@ -0,0 +1,622 @@
+/**
+ * @description Job dispatcher for MeshCentral-ScriptTask (v1 and v2 jobs)
+ * @author Enhanced by Copilot
+ * @license Apache-2.0
+ */
+
+"use strict";
+
+const ScriptParameters = require('./parameters');
+const SecretStore = require('./secrets');
+const NodeQuarantine = require('./quarantine');
+const AuditLog = require('./audit');
+const ScriptVersions = require('./versions');
+
+// Job lifecycle: pending -> dispatched -> running -> complete | error | timeout | cancelled
+const PRIORITIES = {
+    'critical': 0,
+    'high': 1,
+    'normal': 2,
+    'low': 3
+};
+
+// Variables that set the interpreter for script types the agent runs through one
+const INTERPRETER_VARIABLES = {
+    'py': 'pythonPath',
+    'js': 'nodePath'
+};
+
+// States in which the job's agent may still report on it, a cancelled job gets the result of the killed script
+const REPORTING_STATES = ['dispatched', 'running', 'cancelled'];
+
+// Most specific scope wins
+const SCOPE_ORDER = { 'global': 0, 'script': 1, 'mesh': 2, 'node': 3 };
+
+class JobDispatcher {
+    constructor(meshServer, db, config = {}, secrets = null) {
+        this.meshServer = meshServer;
+        this.db = db;
+        this.config = config;
+        this.secrets = secrets; // SecretStore for secret variables
+        this.dispatching = false;
+        this.parameters = new ScriptParameters(meshServer, db, secrets);
+        this.audit = new AuditLog(meshServer, db); // shared like the quarantine
+        this.quarantine = new NodeQuarantine(db, this.audit); // shared with the scheduler, remediation engine and API
+        this.versions = new ScriptVersions(db);
+        this.jobSecrets = new Map(); // jobId -> secret values sent with the job, redacted from its output
+    }
+
+    /**
+     * Dispatch queued jobs for all online agents, highest priority first
+     * @returns {Promise<Number>} - Number of jobs sent to agents
+     */
+    async dispatchPending() {
+        // A run can be requested by the legacy timer, the scheduler and the
+        // remediation engine at the same time; only one needs to go through.
+        if (this.dispatching) return 0;
+        this.dispatching = true;
+
+        try {
+            const onlineAgents = Object.keys(this.meshServer.webserver.wsagents);
+            if (onlineAgents.length === 0) return 0;
+
+            const jobs = await this.getDispatchableJobs(onlineAgents);
+            if (jobs.length === 0) return 0;
+
+            jobs.sort((a, b) => {
+                return (this.getPriorityValue(a.priority) - this.getPriorityValue(b.priority))
+                    || ((a.queueTime || 0) - (b.queueTime || 0));
+            });
+
+            let dispatched = 0;
+            for (const job of jobs) {
+                if (await this.dispatchJob(job)) dispatched++;
+            }
+
+            return dispatched;
+        } catch (e) {
+            console.error('ScriptTask Dispatcher: Error dispatching jobs', e);
+            return 0;
+        } finally {
+            this.dispatching = false;
+        }
+    }
+
+    /**
+     * Find jobs that are ready to be sent to one of the given nodes
+     * @param {Array<String>} nodeIds - Online node IDs
+     * @returns {Promise<Array>}
+     */
+    async getDispatchableJobs(nodeIds) {
+        const nowTime = Math.floor(Date.now() / 1000);
+        const redispatchSeconds = this.config.redispatchSeconds || 60;
+
+        const jobs = await this.db.scriptFile.find({
+            type: 'job',
+            node: { $in: nodeIds },
+            $and: [
+                {
+                    $or: [
+                        { state: { $in: ['pending', 'dispatched'] } },
+                        // v1 jobs queued before job states existed
+                        { state: { $exists: false }, completeTime: null }
+                    ]
+                },
+                {
+                    $or: [
+                        { dontQueueUntil: { $exists: false } },
+                        { dontQueueUntil: null },
+                        { dontQueueUntil: { $lte: nowTime } }
+                    ]
+                }
+            ]
+        }).toArray();
+
+        // Dispatched jobs are re-sent in case the agent missed them (e.g. it reconnected),
+        // the agent ignores jobs it is already running.
+        return jobs.filter(job => {
+            if (job.state !== 'dispatched' || job.dispatchTime == null) return true;
+            return (nowTime - job.dispatchTime) >= redispatchSeconds;
+        });
+    }
+
+    /**
+     * Send a single job to its agent
+     * @param {Object} job
+     * @returns {Promise<Boolean>} - True if the job was sent
+     */
+    async dispatchJob(job) {
+        try {
+            const agent = this.meshServer.webserver.wsagents[job.node];
+            if (!agent) return false;
+
+            const scripts = await this.db.get(job.scriptId);
+            if (scripts.length === 0) {
+                await this.failJob(job._id, 'Script not found');
+                return false;
+            }
+            // Jobs pinned to a version run it, the others the current one
+            const script = await this.versions.resolve(scripts[0], job.pinnedVersion);
+            if (!script) {
+                await this.failJob(job._id, `Version ${job.pinnedVersion} of the script not found`);
+                return false;
+            }
+
+            // Jobs created before the node was quarantined, or by paths that don't check, stop here
+            const allowed = await this.quarantine.checkNode(job.node, script);
+            if (!allowed.success) {
+                await this.cancelJob(job._id, allowed.error);
+                return false;
+            }
+
+            const resolved = await this.resolveJobValues(job, script, agent.dbMeshKey);
+            if (!resolved.success) {
+                await this.failJob(job._id, resolved.error);
+                return false;
+            }
+            this.jobSecrets.set(job._id.toString(), resolved.secrets);
+            const dispatchTime = Math.floor(Date.now() / 1000);
+
+            agent.send(JSON.stringify({
+                action: 'plugin',
+                plugin: 'scripttask',
+                pluginaction: 'triggerJob',
+                jobId: job._id,
+                scriptId: job.scriptId,
+                replaceVars: resolved.replaceVars,
+                params: resolved.params,
+                hasSecrets: resolved.secrets.length > 0,
+                scriptHash: script.contentHash,
+                dispatchTime: dispatchTime,
+                timeout: this.getJobTimeout(job, script),
+                interpreter: await this.resolveInterpreter(job, script, agent)
+            }));
+
+            await this.db.scriptFile.updateOne(
+                { _id: job._id },
+                { $set: { state: 'dispatched', dispatchTime: dispatchTime, scriptVersion: script.version || null } }
+            );
+
+            return true;
+        } catch (e) {
+            console.error(`ScriptTask Dispatcher: Could not dispatch job ${job._id}`, e);
+            return false;
+        }
+    }
+
+    /**
+     * Check the parameters of a job before it is queued, so jobs that could never
+     * run are refused instead of failing on dispatch
+     * @param {Object} script
+     * @param {String} nodeId
+     * @param {Object} values - name -> value given for the job
+     * @returns {Promise<Object>} - { success, parameters, error } parameters: values to store on the job
+     */
+    async checkJobParameters(script, nodeId, values) {
+        if (!Array.isArray(script.parameters) || script.parameters.length === 0) {
+            if (values && Object.keys(values).length) {
+                return { success: false, error: `Script ${script.name} does not take parameters` };
+            }
+            return { success: true, parameters: null };
+        }
+
+        const resolved = await this.parameters.resolve(script, nodeId, values);
+        if (!resolved.success) return resolved;
+        return { success: true, parameters: resolved.supplied };
+    }
+
+    /**
+     * Resolve the values sent to the agent with a job. Scripts with a parameter schema get
+     * typed values as environment variables, older scripts keep the #variable# text replacement.
+     * Secret variables are only decrypted here.
+     * @param {Object} job
+     * @param {Object} script
+     * @param {String} meshId - Mesh of the job's node
+     * @returns {Promise<Object>} - { success, replaceVars, params, secrets, error }
+     */
+    async resolveJobValues(job, script, meshId) {
+        try {
+            if (Array.isArray(script.parameters) && script.parameters.length) {
+                const resolved = await this.parameters.resolve(script, job.node, job.parameters, meshId, true);
+                if (!resolved.success) return resolved;
+                return {
+                    success: true,
+                    replaceVars: null,
+                    params: ScriptParameters.toEnvironment(resolved.values),
+                    secrets: resolved.secrets
+                };
+            }
+
+            const resolved = await this.resolveVariables(job, script, meshId);
+            return { success: true, replaceVars: resolved.replaceVars, params: null, secrets: resolved.secrets };
+        } catch (e) {
+            // e.g. the secret key changed; the job can never run, so don't keep re-dispatching it
+            console.error(`ScriptTask Dispatcher: Could not resolve variables for job ${job._id}`, e);
+            return { success: false, error: `Could not resolve variables: ${e.message}` };
+        }
+    }
+
+    /**
+     * Resolve #variable# values for a script, most specific scope wins
+     * @param {Object} job
+     * @param {Object} script
+     * @param {String} meshId
+     * @returns {Promise<Object>} - { replaceVars: name -> value, secrets: decrypted secret values }
+     */
+    async resolveVariables(job, script, meshId) {
+        const replaceVars = {};
+        const secrets = [];
+        const foundVars = script.content.match(/#(.*?)#/g);
+        if (foundVars == null || foundVars.length === 0) return { replaceVars, secrets };
+
+        const limiters = {
+            scriptId: job.scriptId,
+            nodeId: job.node,
+            meshId: meshId,
+            names: foundVars.map(fv => fv.replace(/^#+|#+$/g, ''))
+        };
+
+        // Only the variable that wins for a name is decrypted, an overridden secret is never sent
+        const winners = new Map();
+        for (const fv of await this.db.getVariables(limiters)) {
+            const current = winners.get(fv.name);
+            if (!current || SCOPE_ORDER[fv.scope] > SCOPE_ORDER[current.scope]) winners.set(fv.name, fv);
+        }
+        for (const fv of winners.values()) {
+            replaceVars[fv.name] = this.revealVariable(fv);
+            if (fv.secret && replaceVars[fv.name] != null) secrets.push(replaceVars[fv.name]);
+        }
+        replaceVars['GBL:meshId'] = meshId;
+        replaceVars['GBL:nodeId'] = job.node;
+
+        return { replaceVars, secrets };
+    }
+
+    /**
+     * Get the value of a variable, decrypting secret variables
+     * @param {Object} variable
+     * @returns {String|null}
+     */
+    revealVariable(variable) {
+        if (!variable.secret) return variable.value;
+        if (!this.secrets) {
+            throw new Error(`Secret variable ${variable.name} cannot be decrypted, no secret store`);
+        }
+        return this.secrets.reveal(variable);
+    }
+
+    /**
+     * Get the secret values a job was sent with. They are kept in memory from dispatch
+     * until the job completes, and resolved again if the server restarted in between.
+     * @param {Object} job
+     * @returns {Promise<Array<String>>}
+     */
+    async getJobSecrets(job) {
+        const jobId = job._id.toString();
+        if (this.jobSecrets.has(jobId)) return this.jobSecrets.get(jobId);
+
+        try {
+            const scripts = await this.db.get(job.scriptId);
+            if (scripts.length === 0) return [];
+            const meshId = await this.parameters.getNodeMeshId(job.node);
+            const resolved = await this.resolveJobValues(job, scripts[0], meshId);
+            const secrets = resolved.success ? resolved.secrets : [];
+            this.jobSecrets.set(jobId, secrets);
+            return secrets;
+        } catch (e) {
+            console.error(`ScriptTask Dispatcher: Could not resolve secrets for job ${jobId}`, e);
+            return [];
+        }
+    }
+
+    /**
+     * Redact a job's secret values from a chunk of its live output
+     * @param {String} jobId
+     * @param {String} data
+     * @param {String} nodeId - Node of the agent that sent the output
+     * @returns {Promise<String|null>} - null if the job isn't running on that node
+     */
+    async redactJobOutput(jobId, data, nodeId) {
+        const job = await this.db.scriptFile.findOne({
+            _id: this.db.formatId(jobId),
+            type: 'job',
+            node: nodeId,
+            state: { $in: REPORTING_STATES }
+        });
+        if (!job) return null;
+        // a secret split across two chunks is only caught in the stored output
+        return SecretStore.redact(data, await this.getJobSecrets(job));
+    }
+
+    /**
+     * Resolve the interpreter path variable for interpreted script types
+     * @param {Object} job
+     * @param {Object} script
+     * @param {Object} agent
+     * @returns {Promise<String|null>} - Path, or null to let the agent look it up
+     */
+    async resolveInterpreter(job, script, agent) {
+        const name = INTERPRETER_VARIABLES[script.filetype];
+        if (!name) return null;
+
+        const finvals = await this.db.getVariables({
+            scriptId: job.scriptId,
+            nodeId: job.node,
+            meshId: agent.dbMeshKey,
+            names: [name]
+        });
+        if (finvals.length === 0) return null;
+
+        finvals.sort((a, b) => SCOPE_ORDER[b.scope] - SCOPE_ORDER[a.scope]);
+        return finvals[0].value || null;
+    }
+
+    /**
+     * Mark a job as running once the agent has started it
+     * @param {String} jobId
+     * @param {String} nodeId - Node of the agent that started it
+     * @returns {Promise<void>}
+     */
+    async markRunning(jobId, nodeId) {
+        try {
+            await this.db.scriptFile.updateOne(
+                { _id: this.db.formatId(jobId), node: nodeId, state: { $in: ['pending', 'dispatched'] } },
+                { $set: { state: 'running', startTime: Math.floor(Date.now() / 1000) } }
+            );
+        } catch (e) {
+            console.error(`ScriptTask Dispatcher: Error marking job ${jobId} as running`, e);
+        }
+    }
+
+    /**
+     * Record the result of a jobComplete message from an agent. Only the agent of the job's
+     * node can complete it, and only once: results for finished jobs are dropped.
+     * @param {Object} command - jobComplete message
+     * @param {String} nodeId - Node of the agent that sent it
+     * @returns {Promise<Object|null>} - Updated job, null if the message was dropped
+     */
+    async completeJob(command, nodeId) {
+        const id = this.db.formatId(command.jobId);
+        const filter = { _id: id, type: 'job', node: nodeId, state: { $in: REPORTING_STATES } };
+        const existing = await this.db.scriptFile.findOne(filter);
+        if (!existing) {
+            console.log(`ScriptTask Dispatcher: Dropped result of job ${command.jobId} from ${nodeId}, not an active job of the node`);
+            return null;
+        }
+
+        const exitCode = (command.exitCode !== undefined) ? command.exitCode : null;
+        const failed = command.errVal != null || (exitCode !== null && exitCode !== 0);
+
+        let state = failed ? 'error' : 'complete';
+        if (command.status === 'timeout' || command.status === 'cancelled') {
+            state = command.status;
+        }
+        // A job cancelled on the server stays cancelled even if the agent finished it first
+        if (existing.state === 'cancelled') {
+            state = 'cancelled';
+        }
+
+        // Scripts that echo a secret must not leave it in the job history
+        const secrets = await this.getJobSecrets(existing);
+        const redact = (value) => (value != null) ? SecretStore.redact(value, secrets) : null;
+        this.jobSecrets.delete(command.jobId.toString());
+
+        const result = await this.db.scriptFile.updateOne(
+            filter,
+            {
+                $set: {
+                    state: state,
+                    completeTime: Math.floor(Date.now() / 1000),
+                    dispatchTime: command.dispatchTime,
+                    returnVal: redact(command.retVal),
+                    errorVal: redact(command.errVal),
+                    exitCode: exitCode,
+                    stdout: redact(command.stdout),
+                    stderr: redact(command.stderr)
+                }
+            }
+        );
+        if (!result.matchedCount) return null; // another result for the job came first
+
+        const job = await this.db.scriptFile.findOne({ _id: id });
+        if (job && (job.state === 'error' || job.state === 'timeout')) {
+            await this.handleFailedJob(job);
+        }
+
+        return job;
+    }
+
+    /**
+     * Re-queue a failed job if it has retries left, otherwise count the failure on its schedule
+     * @param {Object} job
+     * @returns {Promise<void>}
+     */
+    async handleFailedJob(job) {
+        try {
+            const retryCount = job.retryCount || 0;
+            const maxRetries = job.maxRetries || 0;
+
+            if (retryCount < maxRetries) {
+                const delay = this.getRetryDelay(job.retryPolicy, retryCount);
+                console.log(`ScriptTask Dispatcher: Job ${job._id} failed, retrying in ${delay}s (attempt ${retryCount + 1}/${maxRetries})`);
+                await this.retryJob(job._id, null, delay);
+                return;
+            }
+
+            if (job.scheduleId) {
+                await this.db.scriptFile.updateOne(
+                    { _id: this.db.formatId(job.scheduleId), type: 'schedule_v2' },
+                    { $inc: { failCount: 1 } }
+                );
+            }
+        } catch (e) {
+            console.error(`ScriptTask Dispatcher: Error handling failed job ${job._id}`, e);
+        }
+    }
+
+    /**
+     * Queue a new attempt of a job. The attempt is a new job document linked to the
+     * previous one, so every attempt keeps its own result in the history.
+     * @param {String} jobId - Job to retry
+     * @param {String|null} requestedBy - User for manual retries, null for automatic ones
+     * @param {Number} delaySeconds - Delay before the attempt may be dispatched
+     * @returns {Promise<Object>} - { success, newJobId }
+     */
+    async retryJob(jobId, requestedBy = null, delaySeconds = 0) {
+        try {
+            const id = this.db.formatId(jobId);
+            const job = await this.db.scriptFile.findOne({ _id: id, type: 'job' });
+            if (!job) {
+                return { success: false, error: 'Job not found' };
+            }
+            if (job.retriedBy) {
+                return { success: false, error: 'Job has already been retried' };
+            }
+
+            const nowTime = Math.floor(Date.now() / 1000);
+            const attempt = {
+                ...job,
+                state: 'pending',
+                queueTime: nowTime,
+                dontQueueUntil: nowTime + delaySeconds,
+                dispatchTime: null,
+                startTime: null,
+                completeTime: null,
+                returnVal: null,
+                errorVal: null,
+                exitCode: null,
+                stdout: null,
+                stderr: null,
+                retryCount: (job.retryCount || 0) + 1,
+                retryOf: job._id.toString(),
+                rootJobId: job.rootJobId || job._id.toString(),
+                retriedBy: null,
+                scriptVersion: null, // set again on dispatch, a job not pinned to a version runs the current one
+                runBy: requestedBy || job.runBy || null
+            };
+            delete attempt._id;
+
+            const result = await this.db.scriptFile.insertOne(attempt);
+            await this.db.scriptFile.updateOne(
+                { _id: job._id },
+                { $set: { retriedBy: result.insertedId.toString() } }
+            );
+
+            return { success: true, newJobId: result.insertedId.toString() };
+        } catch (e) {
+            console.error(`ScriptTask Dispatcher: Error retrying job ${jobId}`, e);
+            return { success: false, error: e.message };
+        }
+    }
+
+    /**
+     * Calculate the delay before the next attempt (same backoff rules as remediation step retries)
+     * @param {Object} retryPolicy - { backoffType: 'fixed'|'linear'|'exponential', delaySeconds, maxDelaySeconds }
+     * @param {Number} retryCount - Retries already made
+     * @returns {Number} - Delay in seconds
+     */
+    getRetryDelay(retryPolicy, retryCount) {
+        const policy = retryPolicy || {};
+        const backoffType = policy.backoffType || 'exponential';
+        const baseDelay = (policy.delaySeconds !== undefined) ? policy.delaySeconds : 60;
+
+        let delay = baseDelay;
+        if (backoffType === 'exponential') {
+            delay = baseDelay * Math.pow(2, retryCount);
+        } else if (backoffType === 'linear') {
+            delay = baseDelay * (retryCount + 1);
+        }
+
+        return Math.min(delay, policy.maxDelaySeconds || 3600);
+    }
+
+    /**
+     * Cancel a job. Pending jobs are cancelled straight away, dispatched and running
+     * jobs are also killed on the agent if it is online.
+     * @param {String} jobId
+     * @param {String} reason
+     * @returns {Promise<Object>} - { success }
+     */
+    async cancelJob(jobId, reason) {
+        try {
+            const id = this.db.formatId(jobId);
+            const job = await this.db.scriptFile.findOne({ _id: id, type: 'job' });
+            if (!job) {
+                return { success: false, error: 'Job not found' };
+            }
+            if (!['pending', 'dispatched', 'running'].includes(job.state)) {
+                return { success: false, error: `Job is ${job.state}, cannot cancel` };
+            }
+
+            await this.db.scriptFile.updateOne(
+                { _id: id },
+                {
+                    $set: {
+                        state: 'cancelled',
+                        completeTime: Math.floor(Date.now() / 1000),
+                        errorVal: reason || 'Cancelled',
+                        cancelledReason: reason || null
+                    }
+                }
+            );
+
+            if (job.state !== 'pending') {
+                const agent = this.meshServer.webserver.wsagents[job.node];
+                if (agent) {
+                    agent.send(JSON.stringify({
+                        action: 'plugin',
+                        plugin: 'scripttask',
+                        pluginaction: 'cancelJob',
+                        jobId: job._id
+                    }));
+                }
+            }
+
+            return { success: true };
+        } catch (e) {
+            console.error(`ScriptTask Dispatcher: Error cancelling job ${jobId}`, e);
+            return { success: false, error: e.message };
+        }
+    }
+
+    /**
+     * Get the execution timeout for a job, the job's own timeout wins over the script's
+     * @param {Object} job
+     * @param {Object} script
+     * @returns {Number|null} - Seconds, null for no timeout
+     */
+    getJobTimeout(job, script) {
+        const timeout = job.timeout || script.timeout || null;
+        return (timeout && timeout > 0) ? timeout : null;
+    }
+
+    /**
+     * Fail a job without it reaching an agent
+     * @param {String} jobId
+     * @param {String} reason
+     * @returns {Promise<void>}
+     */
+    async failJob(jobId, reason) {
+        await this.db.scriptFile.updateOne(
+            { _id: this.db.formatId(jobId) },
+            {
+                $set: {
+                    state: 'error',
+                    completeTime: Math.floor(Date.now() / 1000),
+                    errorVal: reason
+                }
+            }
+        );
+    }
+
+    /**
+     * Get priority numeric value
+     * @param {String} priority
+     * @returns {Number}
+     */
+    getPriorityValue(priority) {
+        return (PRIORITIES[priority] !== undefined) ? PRIORITIES[priority] : PRIORITIES.normal;
+    }
+}
+
+module.exports = JobDispatcher;
@@ -9,12 +9,20 @@
 const { Cron } = require('croner');
 const TimezoneHandler = require('./timezone-handler');
 const MaintenanceWindows = require('./maintenance-windows');
+const NodeQuarantine = require('./quarantine');
+
+const DEFAULT_RETRY_POLICY = {
+    maxRetries: 3,
+    backoffType: 'exponential', // fixed, linear, exponential
+    delaySeconds: 60
+};
 
 class AdvancedScheduler {
-    constructor(meshServer, db, config = {}) {
+    constructor(meshServer, db, config = {}, dispatcher = null) {
         this.meshServer = meshServer;
         this.db = db;
         this.config = config;
+        this.dispatcher = dispatcher; // JobDispatcher that sends queued jobs to agents
         this.tzHandler = new TimezoneHandler();
         this.maintenanceWindows = new MaintenanceWindows(db);
         this.cronJobs = new Map(); // scheduleId -> Cron instance
@@ -219,11 +227,13 @@ class AdvancedScheduler {
     }
     
     /**
-     * Get target nodes for a schedule
+     * Get target nodes for a schedule. Quarantined nodes are left out
+     * unless their quarantine allows the script.
      * @param {Object} schedule
+     * @param {Object} script - Script to run, looked up from the schedule if not given
      * @returns {Promise<Array<String>>}
      */
-    async getTargetNodes(schedule) {
+    async getTargetNodes(schedule, script = null) {
         const nodes = [];
         const onlineAgents = Object.keys(this.meshServer.webserver.wsagents);
         
@@ -244,7 +254,16 @@ class AdvancedScheduler {
             }
         }
         
-        return nodes;
+        if (!this.dispatcher || nodes.length === 0) return nodes;
+        
+        if (!script && schedule.scriptId) {
+            script = await this.db.scriptFile.findOne({ _id: this.db.formatId(schedule.scriptId), type: 'script' });
+        }
+        const blocked = await this.dispatcher.quarantine.getBlockedNodes(nodes, script);
+        if (blocked.size && schedule.name) {
+            console.log(`ScriptTask: Schedule ${schedule.name} skips ${blocked.size} quarantined node(s)`);
+        }
+        return nodes.filter(n => !blocked.has(n));
     }
     
     /**
@@ -261,8 +280,32 @@ class AdvancedScheduler {
                 return;
             }
             
+            // Jobs with missing or invalid parameters are never queued
+            let parameters = null;
+            if (this.dispatcher) {
+                const current = await this.db.scriptFile.findOne({ _id: this.db.formatId(schedule.scriptId), type: 'script' });
+                const script = current ? await this.dispatcher.versions.resolve(current, schedule.scriptVersion) : null;
+                if (!script) {
+                    console.log(`ScriptTask: Script for schedule ${schedule.name} not found`);
+                    return;
+                }
+                // The node can be quarantined while the job waits for its jitter delay
+                const allowed = await this.dispatcher.quarantine.checkNode(nodeId, script);
+                if (!allowed.success) {
+                    console.log(`ScriptTask: Not running schedule ${schedule.name} on node ${nodeId}: ${allowed.error}`);
+                    return;
+                }
+                const checked = await this.dispatcher.checkJobParameters(script, nodeId, schedule.parameters);
+                if (!checked.success) {
+                    console.log(`ScriptTask: Not running schedule ${schedule.name} on node ${nodeId}: ${checked.error}`);
+                    return;
+                }
+                parameters = checked.parameters;
+            }
+            
             // Create job
             const nowTime = Math.floor(Date.now() / 1000);
+            const retryPolicy = this.getRetryPolicy(schedule);
             const jobData = {
                 type: 'job',
                 scriptId: schedule.scriptId,
@@ -271,8 +314,12 @@ class AdvancedScheduler {
                 queueTime: nowTime,
                 priority: schedule.priority || 'normal',
                 scheduleId: schedule._id.toString(),
+                pinnedVersion: schedule.scriptVersion || null, // null runs the current version
                 retryCount: 0,
-                maxRetries: 3,
+                maxRetries: retryPolicy.maxRetries,
+                retryPolicy: retryPolicy,
+                timeout: schedule.timeout || null,
+                parameters: parameters,
                 tags: ['scheduled'],
                 metadata: {
                     scheduleName: schedule.name,
@@ -288,6 +335,118 @@ class AdvancedScheduler {
         }
     }
     
+    /**
+     * Get the retry policy for a schedule's jobs
+     * @param {Object} schedule
+     * @returns {Object} - { maxRetries, backoffType, delaySeconds }
+     */
+    getRetryPolicy(schedule) {
+        return {
+            ...DEFAULT_RETRY_POLICY,
+            ...(this.config.retryPolicy || {}),
+            ...(schedule.retryPolicy || {})
+        };
+    }
+    
+    /**
+     * Queue a script to run now on nodes and on the online nodes of meshes.
+     * Nothing is queued if the parameters are not valid for every node or a selected
+     * node is quarantined, quarantined nodes of the meshes are left out.
+     * @param {Object} jobData - { scriptId, version, nodes, meshes, priority, parameters, triggeredBy }, version null for the current one
+     * @returns {Promise<Object>} - { success, jobIds }
+     */
+    async runScriptNow(jobData) {
+        try {
+            const current = await this.db.scriptFile.findOne({ _id: this.db.formatId(jobData.scriptId), type: 'script' });
+            if (!current) {
+                return { success: false, error: 'Script not found' };
+            }
+            if (!this.dispatcher) {
+                return { success: false, error: 'Job dispatcher not available' };
+            }
+            const script = await this.dispatcher.versions.resolve(current, jobData.version);
+            if (!script) {
+                return { success: false, error: `Version ${jobData.version} of the script not found` };
+            }
+            
+            // Selected nodes are queued even if offline, they run when the agent connects
+            const nodes = [...(jobData.nodes || [])];
+            const blocked = await this.dispatcher.quarantine.getBlockedNodes(nodes, script);
+            if (blocked.size) {
+                const [nodeId, record] = blocked.entries().next().value;
+                return { success: false, error: `${NodeQuarantine.describe(record)} (node ${nodeId})` };
+            }
+            const meshNodes = await this.getTargetNodes({ meshes: jobData.meshes || [] }, script);
+            meshNodes.forEach(n => { if (!nodes.includes(n)) nodes.push(n); });
+            if (nodes.length === 0) {
+                return { success: false, error: 'No nodes to run the script on' };
+            }
+            
+            const checkedNodes = [];
+            for (const nodeId of nodes) {
+                const checked = await this.dispatcher.checkJobParameters(script, nodeId, jobData.parameters);
+                if (!checked.success) {
+                    return { success: false, error: `${checked.error} (node ${nodeId})` };
+                }
+                checkedNodes.push({ nodeId: nodeId, parameters: checked.parameters });
+            }
+            
+            const nowTime = Math.floor(Date.now() / 1000);
+            const jobIds = [];
+            for (const checked of checkedNodes) {
+                const result = await this.db.scriptFile.insertOne({
+                    type: 'job',
+                    scriptId: script._id.toString(),
+                    scriptName: script.name,
+                    node: checked.nodeId,
+                    state: 'pending',
+                    queueTime: nowTime,
+                    dontQueueUntil: nowTime,
+                    priority: jobData.priority || 'normal',
+                    runBy: jobData.triggeredBy || null,
+                    pinnedVersion: jobData.version || null,
+                    timeout: script.timeout || null,
+                    parameters: checked.parameters,
+                    tags: ['manual']
+                });
+                jobIds.push(result.insertedId.toString());
+            }
+            
+            await this.dispatcher.dispatchPending();
+            
+            return { success: true, jobIds: jobIds };
+        } catch (e) {
+            console.error('ScriptTask Scheduler: Error running script', e);
+            return { success: false, error: e.message };
+        }
+    }
+    
+    /**
+     * Retry a failed job
+     * @param {String} jobId
+     * @param {String} username
+     * @returns {Promise<Object>}
+     */
+    async retryJob(jobId, username) {
+        if (!this.dispatcher) {
+            return { success: false, error: 'Job dispatcher not available' };
+        }
+        return this.dispatcher.retryJob(jobId, username);
+    }
+    
+    /**
+     * Cancel a pending or running job
+     * @param {String} jobId
+     * @param {String} username
+     * @returns {Promise<Object>}
+     */
+    async cancelJob(jobId, username) {
+        if (!this.dispatcher) {
+            return { success: false, error: 'Job dispatcher not available' };
+        }
+        return this.dispatcher.cancelJob(jobId, `Cancelled by ${username}`);
+    }
+    
     /**
      * Check concurrency limits
      * @param {Object} schedule
@@ -298,7 +457,7 @@ class AdvancedScheduler {
         try {
             const runningJobs = await this.db.scriptFile.find({
                 type: 'job',
-                state: { $in: ['pending', 'running'] }
+                state: { $in: ['pending', 'dispatched', 'running'] }
             }).toArray();
             
             // Check per-node limit
@@ -359,6 +518,11 @@ class AdvancedScheduler {
                 await this.handleScheduleTrigger(schedule);
             }
         }
+        
+        // Send pending jobs to online agents
+        if (this.dispatcher) {
+            await this.dispatcher.dispatchPending();
+        }
     }
     
     /**
@@ -0,0 +1,273 @@
+/**
+ * @description Typed script parameters for MeshCentral-ScriptTask
+ * @author Enhanced by Copilot
+ * @license Apache-2.0
+ */
+
+"use strict";
+
+const PARAMETER_TYPES = ['string', 'int', 'bool', 'enum', 'secret'];
+
+// Parameters are passed to scripts as environment variables, so names must be valid
+// variable names and must not replace ones the interpreters depend on
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const RESERVED_NAMES = ['PATH', 'PATHEXT', 'HOME', 'SHELL', 'TEMP', 'TMP', 'TMPDIR', 'SYSTEMROOT', 'WINDIR', 'COMSPEC', 'USERPROFILE', 'PSMODULEPATH', 'PYTHONPATH', 'NODE_OPTIONS'];
+
+// Most specific scope wins
+const SCOPE_ORDER = { 'global': 0, 'script': 1, 'mesh': 2, 'node': 3 };
+
+const TRUE_VALUES = ['true', '1', 'yes', 'on'];
+const FALSE_VALUES = ['false', '0', 'no', 'off'];
+
+class ScriptParameters {
+    constructor(meshServer, db, secrets = null) {
+        this.meshServer = meshServer;
+        this.db = db;
+        this.secrets = secrets; // SecretStore, secret variables are only decrypted when revealing
+    }
+
+    /**
+     * Validate and normalise a script's parameter schema
+     * @param {Array} parameters - [{ name, type, default, required, options, description }]
+     * @returns {Object} - { success, parameters, error }
+     */
+    static validateSchema(parameters) {
+        if (parameters == null) return { success: true, parameters: [] };
+        if (!Array.isArray(parameters)) {
+            return { success: false, error: 'parameters must be an array' };
+        }
+
+        const seen = [];
+        const normalised = [];
+        for (const param of parameters) {
+            if (!param || typeof param.name !== 'string' || !NAME_PATTERN.test(param.name)) {
+                return { success: false, error: `Invalid parameter name: ${param && param.name}, use letters, digits and _` };
+            }
+            if (RESERVED_NAMES.includes(param.name.toUpperCase())) {
+                return { success: false, error: `Parameter name ${param.name} is reserved` };
+            }
+            if (seen.includes(param.name.toUpperCase())) {
+                return { success: false, error: `Duplicate parameter: ${param.name}` };
+            }
+            seen.push(param.name.toUpperCase());
+
+            const type = param.type || 'string';
+            if (!PARAMETER_TYPES.includes(type)) {
+                return { success: false, error: `Invalid type for parameter ${param.name}, must be one of: ${PARAMETER_TYPES.join(', ')}` };
+            }
+
+            const entry = {
+                name: param.name,
+                type: type,
+                required: param.required === true,
+                default: null,
+                description: param.description || ''
+            };
+
+            if (type === 'enum') {
+                if (!Array.isArray(param.options) || param.options.length === 0) {
+                    return { success: false, error: `Enum parameter ${param.name} needs a list of options` };
+                }
+                entry.options = param.options.map(o => String(o));
+            }
+
+            if (param.default != null && param.default !== '') {
+                // Secrets come from variables only, a default would be stored in the script in plain text
+                if (type === 'secret') {
+                    return { success: false, error: `Secret parameter ${param.name} cannot have a default, set it with a variable` };
+                }
+                const coerced = ScriptParameters.coerce(entry, param.default);
+                if (!coerced.success) {
+                    return { success: false, error: `Invalid default for parameter ${param.name}: ${coerced.error}` };
+                }
+                entry.default = coerced.value;
+            }
+
+            normalised.push(entry);
+        }
+
+        return { success: true, parameters: normalised };
+    }
+
+    /**
+     * Convert a value to a parameter's type
+     * @param {Object} param - Schema entry
+     * @param {*} value
+     * @returns {Object} - { success, value, error }
+     */
+    static coerce(param, value) {
+        switch (param.type) {
+            case 'int': {
+                const str = String(value).trim();
+                if (!/^-?\d+$/.test(str) || !Number.isSafeInteger(Number(str))) {
+                    return { success: false, error: `${param.name} must be a whole number` };
+                }
+                return { success: true, value: Number(str) };
+            }
+            case 'bool': {
+                if (typeof value === 'boolean') return { success: true, value: value };
+                const str = String(value).trim().toLowerCase();
+                if (TRUE_VALUES.includes(str)) return { success: true, value: true };
+                if (FALSE_VALUES.includes(str)) return { success: true, value: false };
+                return { success: false, error: `${param.name} must be true or false` };
+            }
+            case 'enum': {
+                const str = String(value);
+                if (!param.options.includes(str)) {
+                    return { success: false, error: `${param.name} must be one of: ${param.options.join(', ')}` };
+                }
+                return { success: true, value: str };
+            }
+            default:
+                if (typeof value === 'object') {
+                    return { success: false, error: `${param.name} must be a string` };
+                }
+                return { success: true, value: String(value) };
+        }
+    }
+
+    /**
+     * Resolve the value of every parameter of a script for a node.
+     * Values given for the job win, then variables (most specific scope first), then defaults.
+     * @param {Object} script
+     * @param {String} nodeId
+     * @param {Object} values - name -> value given for the job
+     * @param {String} meshId - Node's mesh, looked up if not given
+     * @param {Boolean} reveal - Decrypt secret variables (only when the job is dispatched)
+     * @returns {Promise<Object>} - { success, values, supplied, secrets, error }
+     *   values: every resolved value, supplied: the job's own values (safe to store on the job),
+     *   secrets: decrypted secret values, to redact from the job's output
+     */
+    async resolve(script, nodeId, values = {}, meshId = null, reveal = false) {
+        const schema = script.parameters || [];
+        values = values || {};
+
+        for (const name of Object.keys(values)) {
+            if (!schema.find(p => p.name === name)) {
+                return { success: false, error: `Unknown parameter: ${name}` };
+            }
+        }
+
+        const supplied = {};
+        for (const param of schema) {
+            const value = values[param.name];
+            if (value == null || value === '') continue;
+            if (param.type === 'secret') {
+                return { success: false, error: `Secret parameter ${param.name} must be set with a variable` };
+            }
+            const coerced = ScriptParameters.coerce(param, value);
+            if (!coerced.success) return { success: false, error: coerced.error };
+            supplied[param.name] = coerced.value;
+        }
+
+        const variables = await this.getVariableValues(script, nodeId, meshId);
+
+        const resolved = {};
+        const secrets = [];
+        const missing = [];
+        for (const param of schema) {
+            let value = supplied[param.name];
+            const variable = variables[param.name];
+            if (value === undefined && variable !== undefined) {
+                if (variable.secret && !reveal) {
+                    // set, but the value is only checked once it is decrypted for dispatch
+                    resolved[param.name] = null;
+                    continue;
+                }
+                const plain = variable.secret ? this.revealVariable(variable) : variable.value;
+                const coerced = ScriptParameters.coerce(param, plain);
+                if (!coerced.success) return { success: false, error: `Variable ${coerced.error}` };
+                value = coerced.value;
+                if (variable.secret || param.type === 'secret') secrets.push(String(value));
+            }
+            if (value === undefined && param.default != null) value = param.default;
+
+            if (value === undefined) {
+                if (param.required) missing.push(param.name);
+                continue;
+            }
+            resolved[param.name] = value;
+        }
+
+        if (missing.length) {
+            return { success: false, error: `Missing required parameters: ${missing.join(', ')}` };
+        }
+
+        return { success: true, values: resolved, supplied: supplied, secrets: secrets };
+    }
+
+    /**
+     * Decrypt a secret variable
+     * @param {Object} variable
+     * @returns {String}
+     */
+    revealVariable(variable) {
+        if (!this.secrets) {
+            throw new Error(`Secret variable ${variable.name} cannot be decrypted, no secret store`);
+        }
+        return this.secrets.reveal(variable);
+    }
+
+    /**
+     * Get variables named like the script's parameters, most specific scope wins
+     * @param {Object} script
+     * @param {String} nodeId
+     * @param {String} meshId
+     * @returns {Promise<Object>} - name -> variable
+     */
+    async getVariableValues(script, nodeId, meshId) {
+        const schema = script.parameters || [];
+        if (schema.length === 0) return {};
+
+        if (meshId == null) meshId = await this.getNodeMeshId(nodeId);
+
+        const found = await this.db.getVariables({
+            scriptId: script._id.toString(),
+            nodeId: nodeId,
+            meshId: meshId,
+            names: schema.map(p => p.name)
+        });
+        found.sort((a, b) => SCOPE_ORDER[a.scope] - SCOPE_ORDER[b.scope]);
+
+        const values = {};
+        found.forEach(v => { values[v.name] = v; });
+        return values;
+    }
+
+    /**
+     * Find the mesh of a node, online or not
+     * @param {String} nodeId
+     * @returns {Promise<String|null>}
+     */
+    getNodeMeshId(nodeId) {
+        const agent = this.meshServer.webserver.wsagents[nodeId];
+        if (agent) return Promise.resolve(agent.dbMeshKey);
+
+        return new Promise(resolve => {
+            try {
+                this.meshServer.db.Get(nodeId, (err, nodes) => {
+                    resolve((!err && nodes && nodes.length) ? nodes[0].meshid : null);
+                });
+            } catch (e) {
+                resolve(null);
+            }
+        });
+    }
+
+    /**
+     * Convert resolved values to the environment variable strings sent to the agent
+     * @param {Object} values - name -> typed value
+     * @returns {Object} - name -> string
+     */
+    static toEnvironment(values) {
+        const env = {};
+        Object.keys(values).forEach(name => {
+            env[name] = String(values[name]);
+        });
+        return env;
+    }
+}
+
+ScriptParameters.PARAMETER_TYPES = PARAMETER_TYPES;
+
+module.exports = ScriptParameters;
@@ -0,0 +1,305 @@
+/**
+ * @description Node quarantine policy for MeshCentral-ScriptTask
+ * @author Enhanced by Copilot
+ * @license Apache-2.0
+ */
+
+"use strict";
+
+// full: no scripts run on the node, diagnostic: only scripts marked as diagnostic run
+const QUARANTINE_MODES = ['full', 'diagnostic'];
+
+class NodeQuarantine {
+    /**
+     * Quarantines are read from the database on every check, so a quarantine set through
+     * the API, the remediation engine or another server instance applies straight away.
+     * Records are never deleted, a node's records are its quarantine history.
+     * @param {Object} db
+     * @param {Object} audit - AuditLog that quarantines and releases are recorded in
+     */
+    constructor(db, audit = null) {
+        this.db = db;
+        this.audit = audit;
+    }
+
+    /**
+     * Quarantine a node, replacing its current quarantine if it has one.
+     * Pending jobs the quarantine blocks are cancelled.
+     * @param {String} nodeId
+     * @param {Object} options - { reason, mode, expiresAt (ms), duration (seconds), by,
+     *   origin: { actor, source } for the audit log, by default the remediation engine }
+     * @returns {Promise<Object>} - { success, quarantine, cancelledJobs, error }
+     */
+    async quarantine(nodeId, options = {}) {
+        try {
+            if (!nodeId || typeof nodeId !== 'string') {
+                return { success: false, error: 'nodeId is required' };
+            }
+
+            const mode = options.mode || 'full';
+            if (!QUARANTINE_MODES.includes(mode)) {
+                return { success: false, error: `Invalid mode, must be one of: ${QUARANTINE_MODES.join(', ')}` };
+            }
+
+            const now = Date.now();
+            let expiresAt = null;
+            if (options.duration != null) {
+                if (!Number.isFinite(Number(options.duration)) || Number(options.duration) <= 0) {
+                    return { success: false, error: 'duration must be a positive number of seconds' };
+                }
+                expiresAt = now + Number(options.duration) * 1000;
+            } else if (options.expiresAt != null) {
+                expiresAt = new Date(options.expiresAt).getTime();
+                if (isNaN(expiresAt)) {
+                    return { success: false, error: 'Invalid expiresAt' };
+                }
+                if (expiresAt <= now) {
+                    return { success: false, error: 'expiresAt must be in the future' };
+                }
+            }
+
+            const by = options.by || 'system';
+            const current = await this.getActive(nodeId);
+            if (current) {
+                await this.closeRecord(current, by, 'Replaced by a new quarantine');
+            }
+
+            const record = {
+                type: 'node_quarantine',
+                nodeId: nodeId,
+                mode: mode,
+                reason: options.reason || 'Manual quarantine',
+                quarantinedBy: by,
+                quarantinedAt: now,
+                expiresAt: expiresAt,
+                active: true
+            };
+            const result = await this.db.scriptFile.insertOne(record);
+            record._id = result.insertedId;
+
+            const cancelledJobs = await this.cancelBlockedJobs(record);
+            await this.recordAudit('node.quarantine', nodeId, options.origin, by, {
+                mode: mode,
+                reason: record.reason,
+                expiresAt: expiresAt,
+                cancelledJobs: cancelledJobs
+            });
+
+            console.log(`ScriptTask Quarantine: Node ${nodeId} quarantined by ${by} (${mode}): ${record.reason}`);
+            return { success: true, quarantine: record, cancelledJobs: cancelledJobs };
+        } catch (e) {
+            console.error(`ScriptTask Quarantine: Error quarantining node ${nodeId}`, e);
+            return { success: false, error: e.message };
+        }
+    }
+
+    /**
+     * Release a node from quarantine
+     * @param {String} nodeId
+     * @param {String} by - User releasing the node
+     * @param {String} reason
+     * @param {Object} origin - { actor, source } for the audit log
+     * @returns {Promise<Object>} - { success, quarantine, error }
+     */
+    async release(nodeId, by = 'system', reason = null, origin = null) {
+        try {
+            const current = await this.getActive(nodeId);
+            if (!current) {
+                return { success: false, error: 'Node is not quarantined' };
+            }
+
+            await this.closeRecord(current, by, reason || 'Released');
+            await this.recordAudit('node.release', nodeId, origin, by, { reason: current.releaseReason });
+
+            console.log(`ScriptTask Quarantine: Node ${nodeId} released by ${by}`);
+            return { success: true, quarantine: current };
+        } catch (e) {
+            console.error(`ScriptTask Quarantine: Error releasing node ${nodeId}`, e);
+            return { success: false, error: e.message };
+        }
+    }
+
+    /**
+     * Check whether a script may run on a node
+     * @param {String} nodeId
+     * @param {Object} script
+     * @returns {Promise<Object>} - { success, quarantine, error }
+     */
+    async checkNode(nodeId, script) {
+        const record = await this.getActive(nodeId);
+        if (NodeQuarantine.allows(record, script)) {
+            return { success: true, quarantine: record };
+        }
+        return { success: false, quarantine: record, error: NodeQuarantine.describe(record) };
+    }
+
+    /**
+     * Get the nodes a script may not run on
+     * @param {Array<String>} nodeIds
+     * @param {Object} script - null to treat the script as not diagnostic
+     * @returns {Promise<Map>} - nodeId -> quarantine record
+     */
+    async getBlockedNodes(nodeIds, script = null) {
+        const blocked = new Map();
+        if (nodeIds.length === 0) return blocked;
+
+        const records = await this.findActive({ nodeId: { $in: nodeIds } });
+        for (const record of records) {
+            if (!NodeQuarantine.allows(record, script)) blocked.set(record.nodeId, record);
+        }
+        return blocked;
+    }
+
+    /**
+     * Get a node's current quarantine
+     * @param {String} nodeId
+     * @returns {Promise<Object|null>}
+     */
+    async getActive(nodeId) {
+        const records = await this.findActive({ nodeId: nodeId });
+        return records.length ? records[0] : null;
+    }
+
+    /**
+     * List all current quarantines
+     * @returns {Promise<Array>}
+     */
+    list() {
+        return this.findActive({});
+    }
+
+    /**
+     * Get every quarantine of a node, newest first
+     * @param {String} nodeId
+     * @returns {Promise<Array>}
+     */
+    async getHistory(nodeId) {
+        await this.findActive({ nodeId: nodeId }); // closes an expired quarantine first
+        const records = await this.db.scriptFile.find({ type: 'node_quarantine', nodeId: nodeId }).toArray();
+        return records.sort((a, b) => NodeQuarantine.time(b.quarantinedAt) - NodeQuarantine.time(a.quarantinedAt));
+    }
+
+    /**
+     * Find active quarantines, closing the ones that have expired
+     * @param {Object} query
+     * @returns {Promise<Array>}
+     */
+    async findActive(query) {
+        const records = await this.db.scriptFile.find({ ...query, type: 'node_quarantine', active: true }).toArray();
+        const now = Date.now();
+
+        const active = [];
+        for (const record of records) {
+            if (record.expiresAt != null && record.expiresAt <= now) {
+                await this.closeRecord(record, 'system', 'Expired');
+                console.log(`ScriptTask Quarantine: Quarantine of node ${record.nodeId} expired`);
+            } else {
+                active.push(record);
+            }
+        }
+        return active.sort((a, b) => NodeQuarantine.time(b.quarantinedAt) - NodeQuarantine.time(a.quarantinedAt));
+    }
+
+    /**
+     * Mark a quarantine record as no longer active
+     * @param {Object} record
+     * @param {String} by
+     * @param {String} reason
+     * @returns {Promise<void>}
+     */
+    async closeRecord(record, by, reason) {
+        const update = { active: false, releasedBy: by, releasedAt: Date.now(), releaseReason: reason };
+        await this.db.scriptFile.updateOne({ _id: record._id }, { $set: update });
+        Object.assign(record, update);
+    }
+
+    /**
+     * Record a quarantine change in the audit log
+     * @param {String} action
+     * @param {String} nodeId
+     * @param {Object|null} origin - { actor, source }
+     * @param {String} by
+     * @param {Object} details
+     * @returns {Promise<void>}
+     */
+    async recordAudit(action, nodeId, origin, by, details) {
+        if (!this.audit) return;
+        await this.audit.record({
+            actor: { username: by },
+            source: 'remediation',
+            ...(origin || {}),
+            action: action,
+            target: { type: 'node', id: nodeId },
+            nodeId: nodeId,
+            details: details
+        });
+    }
+
+    /**
+     * Cancel a node's pending jobs that a new quarantine blocks. Jobs already
+     * sent to the agent finish, the quarantine applies to the next ones.
+     * @param {Object} record
+     * @returns {Promise<Number>} - Number of jobs cancelled
+     */
+    async cancelBlockedJobs(record) {
+        const jobs = await this.db.scriptFile.find({ type: 'job', node: record.nodeId, state: 'pending' }).toArray();
+        if (jobs.length === 0) return 0;
+
+        let allowedScripts = [];
+        if (record.mode === 'diagnostic') {
+            const diagnostic = await this.db.scriptFile.find({ type: 'script', diagnostic: true }).toArray();
+            allowedScripts = diagnostic.map(s => s._id.toString());
+        }
+
+        const blocked = jobs.filter(job => !allowedScripts.includes(job.scriptId));
+        if (blocked.length === 0) return 0;
+
+        const reason = NodeQuarantine.describe(record);
+        await this.db.scriptFile.updateMany(
+            { _id: { $in: blocked.map(job => job._id) } },
+            {
+                $set: {
+                    state: 'cancelled',
+                    completeTime: Math.floor(Date.now() / 1000),
+                    errorVal: reason,
+                    cancelledReason: reason
+                }
+            }
+        );
+        return blocked.length;
+    }
+
+    /**
+     * Check a script against a quarantine
+     * @param {Object|null} record - Active quarantine, null if the node has none
+     * @param {Object|null} script
+     * @returns {Boolean}
+     */
+    static allows(record, script) {
+        if (!record) return true;
+        return record.mode === 'diagnostic' && script != null && script.diagnostic === true;
+    }
+
+    /**
+     * Reason shown on jobs a quarantine blocks
+     * @param {Object} record
+     * @returns {String}
+     */
+    static describe(record) {
+        const mode = record.mode === 'diagnostic' ? ', diagnostic scripts only' : '';
+        return `Node is quarantined (${record.reason || 'no reason given'}${mode})`;
+    }
+
+    /**
+     * Records made before quarantines had expiry times stored dates instead of milliseconds
+     * @param {Number|Date} value
+     * @returns {Number}
+     */
+    static time(value) {
+        return value ? new Date(value).getTime() : 0;
+    }
+}
+
+NodeQuarantine.QUARANTINE_MODES = QUARANTINE_MODES;
+
+module.exports = NodeQuarantine;
@@ -0,0 +1,77 @@
+/**
+ * @description Monthly recurrence calculation for legacy (v1) job schedules
+ * @author Enhanced by Copilot
+ * @license Apache-2.0
+ */
+
+"use strict";
+
+const { DateTime } = require('luxon');
+
+// Upper bound on months searched for the next occurrence (100 years)
+const MAX_MONTHS = 1200;
+
+/**
+ * Get the day of the month a schedule runs on in the given month
+ * @param {Object} s - Schedule: dayOfMonth (1-31 | 'last') or onTheXDay ({ week: 1-5 | 'last', day: 0-6 })
+ * @param {DateTime} month - Any time in the month
+ * @returns {Number|null} - Day of month, or null if the schedule has no occurrence in this month
+ */
+function getMonthlyDay(s, month) {
+    const daysInMonth = month.daysInMonth;
+
+    if (s.onTheXDay != null) {
+        const weekday = Number(s.onTheXDay.day) === 0 ? 7 : Number(s.onTheXDay.day); // 0 = Sunday, luxon uses 7
+        if (s.onTheXDay.week === 'last') {
+            const last = month.set({ day: daysInMonth });
+            return daysInMonth - ((last.weekday - weekday + 7) % 7);
+        }
+        const first = month.set({ day: 1 });
+        const day = 1 + ((weekday - first.weekday + 7) % 7) + ((Number(s.onTheXDay.week) - 1) * 7);
+        return (day <= daysInMonth) ? day : null; // e.g. no 5th Tuesday this month
+    }
+
+    if (s.dayOfMonth === 'last') return daysInMonth;
+    // Day 31 in a 30-day month (or 29-31 in February) runs on the last day
+    return Math.min(Number(s.dayOfMonth) || 1, daysInMonth);
+}
+
+/**
+ * Calculate the next run time of a monthly schedule in the schedule's timezone.
+ * Months are counted from the start month in steps of s.interval.
+ * @param {Object} s - Schedule (startAt, interval, nextRun, timezone, dayOfMonth/onTheXDay)
+ * @param {Number} nowTime - Current unix time in seconds
+ * @returns {Number|null} - Unix time in seconds
+ */
+module.exports.nextMonthlyRun = function(s, nowTime) {
+    const zone = s.timezone || 'local';
+    const start = DateTime.fromSeconds(s.startAt, { zone: zone });
+    if (!start.isValid) return null;
+
+    const interval = Math.max(Number(s.interval) || 1, 1);
+    // The first run is the first occurrence from the start time, later runs don't catch up on missed months
+    const threshold = (s.nextRun == null) ? s.startAt : Math.max(s.nextRun + 1, nowTime);
+    const firstMonth = start.startOf('month');
+
+    for (let i = 0; i * interval <= MAX_MONTHS; i++) {
+        const month = firstMonth.plus({ months: i * interval });
+        const day = getMonthlyDay(s, month);
+        if (day == null) continue;
+
+        const occurrence = DateTime.fromObject({
+            year: month.year,
+            month: month.month,
+            day: day,
+            hour: start.hour,
+            minute: start.minute,
+            second: start.second
+        }, { zone: zone });
+
+        const occurrenceTime = Math.floor(occurrence.toSeconds());
+        if (occurrenceTime >= threshold) return occurrenceTime;
+    }
+
+    return null;
+};
+
+module.exports.getMonthlyDay = getMonthlyDay;
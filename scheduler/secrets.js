@@ -0,0 +1,131 @@
+/**
+ * @description Encryption of secret variables for MeshCentral-ScriptTask
+ * @author Enhanced by Copilot
+ * @license Apache-2.0
+ */
+
+"use strict";
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_FILE = 'scripttask-secrets.key';
+const REDACTED = '[REDACTED]';
+
+class SecretStore {
+    /**
+     * @param {Object} meshServer
+     * @param {Object} config - { key: base64 32 byte key, keyFile: path }, by default a key
+     *   is generated in the MeshCentral data folder on first use
+     */
+    constructor(meshServer, config = {}) {
+        this.meshServer = meshServer;
+        this.config = config || {};
+        this.key = null;
+    }
+
+    /**
+     * Get the encryption key, creating the key file if there is none yet.
+     * The key is never stored in the database, so a copy of the database alone can't reveal secrets.
+     * @returns {Buffer}
+     */
+    getKey() {
+        if (this.key) return this.key;
+
+        let key;
+        if (this.config.key) {
+            key = Buffer.from(this.config.key, 'base64');
+        } else {
+            const keyFile = this.config.keyFile
+                || path.join(this.meshServer.datapath || this.meshServer.parentpath, KEY_FILE);
+            if (!fs.existsSync(keyFile)) {
+                fs.writeFileSync(keyFile, crypto.randomBytes(32).toString('base64'), { mode: 0o600, flag: 'wx' });
+                console.log(`ScriptTask: Created secret variable key ${keyFile}, back it up with the database`);
+            }
+            key = Buffer.from(fs.readFileSync(keyFile, 'utf8').trim(), 'base64');
+        }
+
+        if (key.length !== 32) {
+            throw new Error('Secret variable key must be 32 bytes (base64 encoded)');
+        }
+        this.key = key;
+        return key;
+    }
+
+    /**
+     * Encrypt a value
+     * @param {String} value
+     * @returns {Object} - { alg, iv, tag, data }
+     */
+    encrypt(value) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv(ALGORITHM, this.getKey(), iv);
+        const data = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+        return {
+            alg: ALGORITHM,
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        };
+    }
+
+    /**
+     * Decrypt a value made by encrypt()
+     * @param {Object} encrypted - { alg, iv, tag, data }
+     * @returns {String}
+     */
+    decrypt(encrypted) {
+        if (!encrypted || encrypted.alg !== ALGORITHM) {
+            throw new Error('Unsupported secret format');
+        }
+        const decipher = crypto.createDecipheriv(ALGORITHM, this.getKey(), Buffer.from(encrypted.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(encrypted.tag, 'base64'));
+        return Buffer.concat([
+            decipher.update(Buffer.from(encrypted.data, 'base64')),
+            decipher.final()
+        ]).toString('utf8');
+    }
+
+    /**
+     * Get the plain value of a variable document, decrypting secrets
+     * @param {Object} variable
+     * @returns {String}
+     */
+    reveal(variable) {
+        return variable.secret ? this.decrypt(variable.encryptedValue) : variable.value;
+    }
+
+    /**
+     * Copy of a variable that is safe to send to a browser or API client
+     * @param {Object} variable
+     * @returns {Object}
+     */
+    static mask(variable) {
+        if (!variable.secret) return variable;
+        const masked = { ...variable, value: null };
+        delete masked.encryptedValue;
+        return masked;
+    }
+
+    /**
+     * Replace every occurrence of the given secret values in a script's output
+     * @param {String} text
+     * @param {Array<String>} secrets
+     * @returns {String}
+     */
+    static redact(text, secrets) {
+        if (typeof text !== 'string' || !secrets || secrets.length === 0) return text;
+        // longest first, so a secret containing another one is replaced whole
+        const sorted = secrets.filter(s => s).sort((a, b) => b.length - a.length);
+        for (const secret of sorted) {
+            text = text.split(secret).join(REDACTED);
+        }
+        return text;
+    }
+}
+
+SecretStore.REDACTED = REDACTED;
+
+module.exports = SecretStore;
@@ -0,0 +1,409 @@
+/**
+ * @description Script version history for MeshCentral-ScriptTask
+ * @author Enhanced by Copilot
+ * @license Apache-2.0
+ */
+
+"use strict";
+
+const crypto = require('crypto');
+
+// Fields of a script that change what runs on the agent, a change to any of them is a new version
+const VERSIONED_FIELDS = ['content', 'filetype', 'parameters'];
+const DIFF_CONTEXT = 3; // unchanged lines around each change in a diff
+const MAX_DIFF_LINES = 20000; // lines of each version that can be compared
+const MAX_DIFF_CHANGES = 2000; // changed lines a diff can show, the work grows with their square
+
+class ScriptVersions {
+    /**
+     * Every save that changes what a script runs is kept as a numbered version, with its
+     * author, time, content hash and change note. Versions are never changed or deleted,
+     * restoring one saves its content as a new version.
+     * @param {Object} db
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Save changes to a script. A content change gets a new contentHash, so agents
+     * download the script again, and changes to what runs are saved as a new version.
+     * @param {String} scriptId
+     * @param {Object} changes - Fields to set
+     * @param {Object} options - { author, authorId, note, restoredFrom }
+     * @returns {Promise<Object>} - { success, script, version (null if nothing that runs changed), error, code }
+     */
+    async save(scriptId, changes, options = {}) {
+        try {
+            const script = await this.getScript(scriptId);
+            if (!script) {
+                return { success: false, error: 'Script not found', code: 404 };
+            }
+
+            // Scripts saved before versions were kept start their history with what they have now
+            await this.ensureInitial(script, { author: script.createdBy || null, note: 'Saved before version history' });
+
+            const update = { ...changes };
+            if (typeof update.content === 'string') {
+                if ((update.filetype || script.filetype) === 'bash') {
+                    update.content = update.content.split('\r\n').join('\n').split('\r').join('\n');
+                }
+                update.contentHash = ScriptVersions.hash(update.content);
+            }
+
+            const updated = { ...script, ...update };
+            let version = null;
+            if (VERSIONED_FIELDS.some(field => JSON.stringify(updated[field]) !== JSON.stringify(script[field]))) {
+                version = await this.record(updated, options);
+                update.version = version.version;
+                updated.version = version.version;
+            }
+
+            await this.db.scriptFile.updateOne({ _id: script._id }, { $set: update });
+            return { success: true, script: updated, version: version };
+        } catch (e) {
+            console.error(`ScriptTask Versions: Error saving script ${scriptId}`, e);
+            return { success: false, error: e.message, code: 500 };
+        }
+    }
+
+    /**
+     * Restore a version: save its content, file type and parameters as a new version
+     * @param {String} scriptId
+     * @param {Number} number
+     * @param {Object} options - { author, authorId, note }
+     * @returns {Promise<Object>} - { success, script, version, error, code }
+     */
+    async restore(scriptId, number, options = {}) {
+        const version = await this.get(scriptId, number);
+        if (!version) {
+            return { success: false, error: 'Version not found', code: 404 };
+        }
+
+        const script = await this.getScript(scriptId);
+        if (VERSIONED_FIELDS.every(field => JSON.stringify(script[field]) === JSON.stringify(version[field]))) {
+            return { success: false, error: `Script already runs the content of version ${version.version}`, code: 400 };
+        }
+
+        return this.save(scriptId, {
+            content: version.content,
+            filetype: version.filetype,
+            parameters: version.parameters
+        }, {
+            ...options,
+            note: options.note || `Restored version ${version.version}`,
+            restoredFrom: version.version
+        });
+    }
+
+    /**
+     * Record a script's current state as version 1 if it has no versions yet
+     * @param {Object} script - Updated with its version
+     * @param {Object} options - { author, authorId, note }
+     * @returns {Promise<Object|null>} - The version, null if the script already had one
+     */
+    async ensureInitial(script, options = {}) {
+        if (script.version != null) return null;
+
+        const version = await this.record(script, options);
+        await this.db.scriptFile.updateOne({ _id: script._id }, { $set: { version: version.version } });
+        script.version = version.version;
+        return version;
+    }
+
+    /**
+     * Insert the next version of a script
+     * @param {Object} script - Script with the content of the version
+     * @param {Object} options - { author, authorId, note, restoredFrom }
+     * @returns {Promise<Object>}
+     */
+    async record(script, options = {}) {
+        const scriptId = script._id.toString();
+        const latest = await this.db.scriptFile.find({ type: 'script_version', scriptId: scriptId })
+            .sort({ version: -1 }).limit(1).toArray();
+
+        const content = script.content || '';
+        const version = {
+            type: 'script_version',
+            scriptId: scriptId,
+            version: latest.length ? latest[0].version + 1 : 1,
+            name: script.name,
+            filetype: script.filetype,
+            content: content,
+            contentHash: script.contentHash || ScriptVersions.hash(content),
+            parameters: script.parameters || [],
+            author: options.author || null,
+            authorId: options.authorId || null,
+            note: options.note || '',
+            restoredFrom: options.restoredFrom || null,
+            createdAt: Date.now()
+        };
+        const result = await this.db.scriptFile.insertOne(version);
+        version._id = result.insertedId;
+
+        console.log(`ScriptTask Versions: Saved version ${version.version} of script ${script.name} by ${version.author || 'unknown'}`);
+        return version;
+    }
+
+    /**
+     * List a script's versions, newest first, without their content
+     * @param {Object} script
+     * @returns {Promise<Array>}
+     */
+    async list(script) {
+        await this.ensureInitial(script, { author: script.createdBy || null, note: 'Saved before version history' });
+
+        const versions = await this.db.scriptFile.find({ type: 'script_version', scriptId: script._id.toString() })
+            .sort({ version: -1 }).toArray();
+        return versions.map(version => {
+            const { content, ...summary } = version;
+            return { ...summary, size: content.length, current: version.version === script.version };
+        });
+    }
+
+    /**
+     * Get a version of a script
+     * @param {String} scriptId
+     * @param {Number} number
+     * @returns {Promise<Object|null>}
+     */
+    async get(scriptId, number) {
+        if (!Number.isInteger(Number(number))) return null;
+        return this.db.scriptFile.findOne({
+            type: 'script_version',
+            scriptId: scriptId.toString(),
+            version: Number(number)
+        });
+    }
+
+    /**
+     * Compare two versions of a script
+     * @param {String} scriptId
+     * @param {Number} from
+     * @param {Number} to
+     * @returns {Promise<Object>} - { success, from, to, diff (unified), added, removed, error, code }
+     */
+    async diff(scriptId, from, to) {
+        const [older, newer] = await Promise.all([this.get(scriptId, from), this.get(scriptId, to)]);
+        if (!older || !newer) {
+            return { success: false, error: `Version ${!older ? from : to} not found`, code: 404 };
+        }
+
+        const oldLines = ScriptVersions.lines(older.content);
+        const newLines = ScriptVersions.lines(newer.content);
+        if (oldLines.length > MAX_DIFF_LINES || newLines.length > MAX_DIFF_LINES) {
+            return { success: false, error: `Versions over ${MAX_DIFF_LINES} lines can't be compared`, code: 400 };
+        }
+
+        const ops = ScriptVersions.diffLines(oldLines, newLines);
+        if (!ops) {
+            return { success: false, error: `Versions ${older.version} and ${newer.version} differ in over ${MAX_DIFF_CHANGES} lines`, code: 400 };
+        }
+        return {
+            success: true,
+            from: older.version,
+            to: newer.version,
+            diff: ScriptVersions.unified(ops, `version ${older.version}`, `version ${newer.version}`),
+            added: ops.filter(op => op.type === '+').length,
+            removed: ops.filter(op => op.type === '-').length
+        };
+    }
+
+    /**
+     * Get the script a job runs: the version it is pinned to, or the current one
+     * @param {Object} script
+     * @param {Number|null} number - Version, null for the current one
+     * @returns {Promise<Object|null>} - The script with the version's content, null if the version doesn't exist
+     */
+    async resolve(script, number) {
+        if (number == null || number === script.version) return script;
+
+        const version = await this.get(script._id, number);
+        return version ? ScriptVersions.apply(script, version) : null;
+    }
+
+    /**
+     * Get the script for an agent that asks for a specific content hash, e.g. for a job pinned to an
+     * older version. Agents cache one copy of each script, the hash tells them whether it is the right one.
+     * @param {Object} script
+     * @param {String} contentHash
+     * @returns {Promise<Object>}
+     */
+    async forHash(script, contentHash) {
+        if (!contentHash || script.contentHash === contentHash) return script;
+
+        const versions = await this.db.scriptFile.find({
+            type: 'script_version',
+            scriptId: script._id.toString(),
+            contentHash: contentHash
+        }).sort({ version: -1 }).limit(1).toArray();
+        return versions.length ? ScriptVersions.apply(script, versions[0]) : script;
+    }
+
+    /**
+     * Check the version a schedule or run is pinned to
+     * @param {String} scriptId
+     * @param {*} value - Version number, or null / 'latest' to follow the current version
+     * @returns {Promise<Object>} - { success, version (null for latest), error }
+     */
+    async checkPin(scriptId, value) {
+        if (value == null || value === 'latest') return { success: true, version: null };
+        if (!Number.isInteger(value) || value < 1) {
+            return { success: false, error: 'scriptVersion must be a version number or "latest"' };
+        }
+
+        const script = await this.getScript(scriptId);
+        if (script && script.version == null && value === 1) {
+            await this.ensureInitial(script, { author: script.createdBy || null, note: 'Saved before version history' });
+        }
+        if (!(await this.get(scriptId, value))) {
+            return { success: false, error: `Version ${value} of the script not found` };
+        }
+        return { success: true, version: value };
+    }
+
+    /**
+     * @param {String} scriptId
+     * @returns {Promise<Object|null>}
+     */
+    getScript(scriptId) {
+        return this.db.scriptFile.findOne({ _id: this.db.formatId(scriptId), type: 'script' });
+    }
+
+    /**
+     * Copy of a script with the content of one of its versions
+     * @param {Object} script
+     * @param {Object} version
+     * @returns {Object}
+     */
+    static apply(script, version) {
+        return {
+            ...script,
+            content: version.content,
+            contentHash: version.contentHash,
+            filetype: version.filetype,
+            parameters: version.parameters,
+            version: version.version
+        };
+    }
+
+    /**
+     * Hash agents cache scripts by, as when a script is added
+     * @param {String} content
+     * @returns {String}
+     */
+    static hash(content) {
+        return crypto.createHash('sha384').update(content).digest('hex');
+    }
+
+    /**
+     * @param {String} content
+     * @returns {Array<String>}
+     */
+    static lines(content) {
+        return content ? content.split(/\r\n|\r|\n/) : [];
+    }
+
+    /**
+     * Line diff (Myers' algorithm) after leaving out the lines both ends have in common.
+     * Each pass keeps only the diagonals it reached, so memory grows with the square of
+     * the changed lines, which are limited to maxChanges.
+     * @param {Array<String>} a - Old lines
+     * @param {Array<String>} b - New lines
+     * @param {Number} maxChanges
+     * @returns {Array<Object>|null} - { type: ' ', '-' or '+', line }, null if more lines changed
+     */
+    static diffLines(a, b, maxChanges = MAX_DIFF_CHANGES) {
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) start++;
+        let endA = a.length, endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+        const oldLines = a.slice(start, endA);
+        const newLines = b.slice(start, endB);
+        const n = oldLines.length, m = newLines.length, max = n + m;
+        const offset = max + 1;
+        const trace = []; // pass d -> furthest x on diagonals -d - 1 to d + 1 before it
+        const v = new Int32Array(2 * max + 3); // diagonal k -> furthest x reached
+        let found = false;
+
+        for (let d = 0; d <= max && !found; d++) {
+            if (d > maxChanges) return null;
+            trace.push(v.slice(offset - d - 1, offset + d + 2));
+            for (let k = -d; k <= d && !found; k += 2) {
+                let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                    ? v[offset + k + 1] : v[offset + k - 1] + 1;
+                let y = x - k;
+                while (x < n && y < m && oldLines[x] === newLines[y]) { x++; y++; }
+                v[offset + k] = x;
+                found = x >= n && y >= m;
+            }
+        }
+
+        const middle = [];
+        let x = n, y = m;
+        for (let d = trace.length - 1; d >= 0 && (x > 0 || y > 0); d--) {
+            const previous = trace[d];
+            const k = x - y;
+            const prevK = (k === -d || (k !== d && previous[d + k] < previous[d + k + 2])) ? k + 1 : k - 1;
+            const prevX = previous[d + 1 + prevK];
+            const prevY = prevX - prevK;
+            while (x > prevX && y > prevY) {
+                middle.push({ type: ' ', line: oldLines[--x] });
+                y--;
+            }
+            if (d > 0) {
+                if (x === prevX) middle.push({ type: '+', line: newLines[--y] });
+                else middle.push({ type: '-', line: oldLines[--x] });
+            }
+        }
+
+        return [
+            ...a.slice(0, start).map(line => ({ type: ' ', line: line })),
+            ...middle.reverse(),
+            ...a.slice(endA).map(line => ({ type: ' ', line: line }))
+        ];
+    }
+
+    /**
+     * Write a line diff in unified format
+     * @param {Array<Object>} ops - Result of diffLines()
+     * @param {String} fromLabel
+     * @param {String} toLabel
+     * @returns {String} - Empty if nothing changed
+     */
+    static unified(ops, fromLabel, toLabel) {
+        const changed = [];
+        ops.forEach((op, i) => { if (op.type !== ' ') changed.push(i); });
+        if (changed.length === 0) return '';
+
+        // Changes close enough to share their context lines go in one hunk
+        const hunks = [];
+        for (const i of changed) {
+            const last = hunks[hunks.length - 1];
+            if (last && i - last.end <= 2 * DIFF_CONTEXT) last.end = i;
+            else hunks.push({ start: i, end: i });
+        }
+
+        const out = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+        for (const hunk of hunks) {
+            const from = Math.max(0, hunk.start - DIFF_CONTEXT);
+            const to = Math.min(ops.length, hunk.end + DIFF_CONTEXT + 1);
+            const before = ops.slice(0, from);
+            const lines = ops.slice(from, to);
+            const oldStart = before.filter(op => op.type !== '+').length;
+            const newStart = before.filter(op => op.type !== '-').length;
+            const oldCount = lines.filter(op => op.type !== '+').length;
+            const newCount = lines.filter(op => op.type !== '-').length;
+            out.push(`@@ -${oldStart + (oldCount ? 1 : 0)},${oldCount} +${newStart + (newCount ? 1 : 0)},${newCount} @@`);
+            lines.forEach(op => out.push(op.type + op.line));
+        }
+        return out.join('\n') + '\n';
+    }
+}
+
+ScriptVersions.VERSIONED_FIELDS = VERSIONED_FIELDS;
+ScriptVersions.MAX_DIFF_LINES = MAX_DIFF_LINES;
+ScriptVersions.MAX_DIFF_CHANGES = MAX_DIFF_CHANGES;
+
+module.exports = ScriptVersions;
@@ -27,6 +27,8 @@ module.exports.scripttask_enhanced = function (parent) {
     obj.remediationEngine = null;
     obj.apiServer = null;
     obj.config = null;
+    obj.dispatcher = null;
+    obj.secrets = null;
     
     /**
      * Load enhanced configuration
@@ -60,6 +62,12 @@ module.exports.scripttask_enhanced = function (parent) {
             obj.meshServer.pluginHandler.scripttask_db = require(__dirname + '/db.js').CreateDB(obj.meshServer);
             obj.db = obj.meshServer.pluginHandler.scripttask_db;
             
+            const SecretStore = require(__dirname + '/scheduler/secrets.js');
+            obj.secrets = new SecretStore(obj.meshServer, obj.config.secrets || {});
+            
+            const JobDispatcher = require(__dirname + '/scheduler/dispatcher.js');
+            obj.dispatcher = new JobDispatcher(obj.meshServer, obj.db, obj.config.dispatcher || {}, obj.secrets);
+            
             // Apply v2 schema migrations
             const migrations = require(__dirname + '/db-migrations/v2-schema.js');
             migrations.applyMigrations(obj.db, obj.db.formatId)
@@ -88,7 +96,8 @@ module.exports.scripttask_enhanced = function (parent) {
             obj.advancedScheduler = new AdvancedScheduler(
                 obj.meshServer,
                 obj.db,
-                obj.config.scheduler
+                obj.config.scheduler,
+                obj.dispatcher
             );
             
             obj.advancedScheduler.initialize()
@@ -117,7 +126,8 @@ module.exports.scripttask_enhanced = function (parent) {
             obj.remediationEngine = new RemediationEngine(
                 obj.meshServer,
                 obj.db,
-                obj.config.remediation
+                obj.config.remediation,
+                obj.dispatcher
             );
             
             obj.remediationEngine.initialize()
@@ -201,74 +211,11 @@ module.exports.scripttask_enhanced = function (parent) {
     
     /**
      * Original queue run (backward compatibility)
-     * This handles v1 schedules that haven't been migrated yet
+     * Dispatching is shared with the v2 scheduler through the JobDispatcher
      */
     obj.queueRun = async function() {
-        var onlineAgents = Object.keys(obj.meshServer.webserver.wsagents);
-        
         try {
-            // Get pending v1 jobs
-            const jobs = await obj.db.getPendingJobs(onlineAgents);
-            
-            if (jobs.length > 0) {
-                console.log(`ScriptTask: Processing ${jobs.length} v1 jobs`);
-                
-                jobs.forEach(job => {
-                    obj.db.get(job.scriptId)
-                        .then(async (script) => {
-                            if (!script || script.length === 0) return;
-                            
-                            script = script[0];
-                            var foundVars = script.content.match(/#(.*?)#/g);
-                            var replaceVars = {};
-                            
-                            if (foundVars != null && foundVars.length > 0) {
-                                var foundVarNames = [];
-                                foundVars.forEach(fv => {
-                                    foundVarNames.push(fv.replace(/^#+|#+$/g, ''));
-                                });
-                                
-                                var limiters = {
-                                    scriptId: job.scriptId,
-                                    nodeId: job.node,
-                                    meshId: obj.meshServer.webserver.wsagents[job.node]['dbMeshKey'],
-                                    names: foundVarNames
-                                };
-                                var finvals = await obj.db.getVariables(limiters);
-                                var ordering = { 'global': 0, 'script': 1, 'mesh': 2, 'node': 3 }
-                                finvals.sort((a, b) => {
-                                    return (ordering[a.scope] - ordering[b.scope])
-                                        || a.name.localeCompare(b.name);
-                                });
-                                finvals.forEach(fv => {
-                                    replaceVars[fv.name] = fv.value;
-                                });
-                                replaceVars['GBL:meshId'] = obj.meshServer.webserver.wsagents[job.node]['dbMeshKey'];
-                                replaceVars['GBL:nodeId'] = job.node;
-                            }
-                            
-                            var dispatchTime = Math.floor(new Date() / 1000);
-                            var jObj = {
-                                action: 'plugin',
-                                plugin: 'scripttask',
-                                pluginaction: 'triggerJob',
-                                jobId: job._id,
-                                scriptId: job.scriptId,
-                                replaceVars: replaceVars,
-                                scriptHash: script.contentHash,
-                                dispatchTime: dispatchTime
-                            };
-                            
-                            try {
-                                obj.meshServer.webserver.wsagents[job.node].send(JSON.stringify(jObj));
-                                obj.db.update(job._id, { dispatchTime: dispatchTime });
-                            } catch (e) {
-                                console.error('ScriptTask: Error dispatching job', e);
-                            }
-                        })
-                        .catch(e => console.error('ScriptTask: Error processing job', e));
-                });
-            }
+            await obj.dispatcher.dispatchPending();
             
             // Make jobs from v1 schedules
             await obj.makeJobsFromSchedules();
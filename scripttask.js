@@ -18,6 +18,8 @@ module.exports.scripttask = function (parent) {
     
     // Enhanced features
     obj.config = null;
+    obj.dispatcher = null;
+    obj.secrets = null; // SecretStore for secret variables
     obj.advancedScheduler = null;
     obj.remediationEngine = null;
     obj.apiServer = null;
@@ -48,6 +50,13 @@ module.exports.scripttask = function (parent) {
         // Load configuration
         obj.loadEnhancedConfig();
         
+        const SecretStore = require(__dirname + '/scheduler/secrets.js');
+        obj.secrets = new SecretStore(obj.meshServer, obj.config.secrets);
+        
+        // Single dispatcher for v1 and v2 jobs, shared by the legacy timer, scheduler and remediation engine
+        const JobDispatcher = require(__dirname + '/scheduler/dispatcher.js');
+        obj.dispatcher = new JobDispatcher(obj.meshServer, obj.db, obj.config.dispatcher, obj.secrets);
+        
         // Initialize enhanced features if enabled
         if (obj.config && (obj.config.apiServer?.enabled || obj.config.scheduler?.enabled || obj.config.remediation?.enabled)) {
             console.log('ScriptTask: Initializing Enhanced features...');
@@ -91,65 +100,7 @@ module.exports.scripttask = function (parent) {
     };
     
     obj.queueRun = async function() {
-        var onlineAgents = Object.keys(obj.meshServer.webserver.wsagents);
-        //obj.debug('ScriptTask', 'Queue Running', Date().toLocaleString(), 'Online agents: ', onlineAgents);
-
-        obj.db.getPendingJobs(onlineAgents)
-        .then((jobs) => {
-            if (jobs.length == 0) return;
-            //@TODO check for a large number and use taskLimiter to queue the jobs
-            jobs.forEach(job => {
-                obj.db.get(job.scriptId)
-                .then(async (script) => {
-                    script = script[0];
-                    var foundVars = script.content.match(/#(.*?)#/g);
-                    var replaceVars = {};
-                    if (foundVars != null && foundVars.length > 0) {
-                        var foundVarNames = [];
-                        foundVars.forEach(fv => {
-                            foundVarNames.push(fv.replace(/^#+|#+$/g, ''));
-                        });
-                        
-                        var limiters = { 
-                            scriptId: job.scriptId,
-                            nodeId: job.node,
-                            meshId: obj.meshServer.webserver.wsagents[job.node]['dbMeshKey'],
-                            names: foundVarNames
-                        };
-                        var finvals = await obj.db.getVariables(limiters);
-                        var ordering = { 'global': 0, 'script': 1, 'mesh': 2, 'node': 3 }
-                        finvals.sort((a, b) => {
-                            return (ordering[a.scope] - ordering[b.scope])
-                              || a.name.localeCompare(b.name);
-                        });
-                        finvals.forEach(fv => {
-                            replaceVars[fv.name] = fv.value;
-                        });
-                        replaceVars['GBL:meshId'] = obj.meshServer.webserver.wsagents[job.node]['dbMeshKey'];
-                        replaceVars['GBL:nodeId'] = job.node;
-                        //console.log('FV IS', finvals);
-                        //console.log('RV IS', replaceVars);
-                    }
-                    var dispatchTime = Math.floor(new Date() / 1000);
-                    var jObj = { 
-                        action: 'plugin', 
-                        plugin: 'scripttask', 
-                        pluginaction: 'triggerJob',
-                        jobId: job._id,
-                        scriptId: job.scriptId,
-                        replaceVars: replaceVars,
-                        scriptHash: script.contentHash,
-                        dispatchTime: dispatchTime
-                    };
-                    //obj.debug('ScriptTask', 'Sending job to agent');
-                    try { 
-                        obj.meshServer.webserver.wsagents[job.node].send(JSON.stringify(jObj));
-                        obj.db.update(job._id, { dispatchTime: dispatchTime });
-                    } catch (e) { }
-                })
-                .catch(e => console.log('PLUGIN: ScriptTask: Could not dispatch job.', e));
-            });
-        })
+        obj.dispatcher.dispatchPending()
         .then(() => {
             obj.makeJobsFromSchedules();
             obj.cleanHistory();
@@ -163,7 +114,73 @@ module.exports.scripttask = function (parent) {
             obj.db.deleteOldHistory();
         }
     };
+
+    // jobs whose script parameters can't be resolved for the node are never queued,
+    // they are recorded as failed so the refusal shows in the job history
+    obj.addCheckedJob = function(jObj) {
+        return obj.db.get(jObj.scriptId)
+        .then(scripts => {
+            if (scripts.length == 0) return { success: false, error: 'Script not found' };
+            return obj.dispatcher.quarantine.checkNode(jObj.node, scripts[0])
+            .then(allowed => allowed.success ? obj.dispatcher.checkJobParameters(scripts[0], jObj.node, null) : allowed);
+        })
+        .then(checked => {
+            if (checked.success) return obj.db.addJob({ ...jObj, parameters: checked.parameters });
+            return obj.db.addJob({ ...jObj, state: 'error', completeTime: Math.floor(new Date() / 1000), errorVal: 'Not queued: ' + checked.error });
+        });
+    };
+
+    // the API uses the plugin object as its scheduler when the advanced scheduler is disabled
+    obj.retryJob = function(jobId, username) {
+        return obj.dispatcher.retryJob(jobId, username);
+    };
+    obj.cancelJob = function(jobId, username) {
+        return obj.dispatcher.cancelJob(jobId, 'Cancelled by ' + username);
+    };
     
+    // record a change made from the plugin's pages in the audit log, the audit helpers never reject
+    obj.auditUI = function(myparent, entry) {
+        const AuditLog = require(__dirname + '/scheduler/audit.js');
+        return obj.dispatcher.audit.record({ ...AuditLog.fromUser(myparent.user, 'ui'), ...entry });
+    };
+    obj.auditCreated = function(myparent, action, result) {
+        if (!result || !result.insertedId) return Promise.resolve();
+        return obj.db.get(result.insertedId)
+        .then(found => obj.auditUI(myparent, { action: action, after: found[0] }))
+        .catch(e => { console.log('PLUGIN: ScriptTask: Failed to audit ' + action + '. ', e); });
+    };
+    obj.updateAudited = function(myparent, action, id, args) {
+        var before = null;
+        return obj.db.get(id)
+        .then(found => {
+            before = found[0] || null;
+            return obj.db.update(id, args);
+        })
+        .then(() => {
+            // the change is made, only a failure to update it rejects
+            return obj.db.get(id)
+            .then(found => obj.auditUI(myparent, { action: action, before: before, after: found[0] || null }))
+            .catch(e => { console.log('PLUGIN: ScriptTask: Failed to audit ' + action + '. ', e); });
+        });
+    };
+    // start the version history of a script added from the plugin's pages
+    obj.scriptCreated = function(myparent, result) {
+        if (!result || !result.insertedId) return Promise.resolve();
+        return obj.db.get(result.insertedId)
+        .then(found => obj.dispatcher.versions.ensureInitial(found[0], { author: myparent.user.name, authorId: myparent.user._id, note: 'Created' }))
+        .catch(e => { console.log('PLUGIN: ScriptTask: Failed to save the first version of a script. ', e); })
+        .then(() => obj.auditCreated(myparent, 'script.create', result));
+    };
+    // whether a MeshCentral user may change a diagnostic script, see MeshAccess.canManageDiagnostic
+    obj.canManageDiagnostic = function(meshUser, script) {
+        const AuthMiddleware = require(__dirname + '/api/middleware/auth.js');
+        const MeshAccess = require(__dirname + '/api/middleware/access.js');
+        return new MeshAccess(obj.meshServer).canManageDiagnostic(AuthMiddleware.buildUser(obj.meshServer, meshUser), script.scopeMeshes);
+    };
+    obj.auditType = function(type) {
+        return (type == 'jobSchedule') ? 'schedule' : type;
+    };
+
     obj.downloadFile = function(req, res, user) {
         var id = req.query.dl;
         obj.db.get(id)
@@ -212,6 +229,7 @@ module.exports.scripttask = function (parent) {
         if (ids.variables === true) {
             obj.db.getVariables()
             .then((vars) => {
+                vars = vars.map(v => require(__dirname + '/scheduler/secrets.js').mask(v)); // secret values never leave the server
                 var targets = ['*', 'server-users'];
                 obj.meshServer.DispatchEvent(targets, obj, { nolog: true, action: 'plugin', plugin: 'scripttask', pluginaction: 'variableData', vars: vars });
             });
@@ -393,6 +411,10 @@ module.exports.scripttask = function (parent) {
                 nextTime = Math.floor(dm.getTime() / 1000) + diff;
                 //console.log('next schedule is ' + d.toLocaleString());
             break;
+            case 'monthly':
+                // day N / last day / nth weekday of every X months, in the schedule's timezone
+                nextTime = require(__dirname + '/scheduler/recurrence.js').nextMonthlyRun(s, nowTime);
+            break;
             default:
                 nextTime = null;
             break;
@@ -425,7 +447,7 @@ module.exports.scripttask = function (parent) {
                             return obj.db.getIncompleteJobsForSchedule(s._id)
                             .then((jobs) => {
                                 if (jobs.length > 0) { /* obj.debug('Plugin', 'ScriptTask', 'Skipping job creation'); */ return Promise.resolve(); }
-                                else { /* obj.debug('Plugin', 'ScriptTask', 'Creating new job'); */ nextJobScheduled = true; return obj.db.addJob( { scriptId: s.scriptId, scriptName: scripts[0].name, node: s.node, runBy: s.scheduledBy, dontQueueUntil: nextJobTime, jobSchedule: s._id } ); }
+                                else { /* obj.debug('Plugin', 'ScriptTask', 'Creating new job'); */ nextJobScheduled = true; return obj.addCheckedJob( { scriptId: s.scriptId, scriptName: scripts[0].name, node: s.node, runBy: s.scheduledBy, dontQueueUntil: nextJobTime, jobSchedule: s._id } ); }
                             });
                         })
                         .then(() => {
@@ -443,7 +465,7 @@ module.exports.scripttask = function (parent) {
         });
     };
     
-    obj.deleteElement = function (command) {
+    obj.deleteElement = function (command, myparent) {
         var delObj = null;
         obj.db.get(command.id)
         .then((found) => {
@@ -459,6 +481,9 @@ module.exports.scripttask = function (parent) {
         .then(() => {
           return obj.db.delete(command.id)
         })
+        .then(() => {
+          if (myparent != null) obj.auditUI(myparent, { action: obj.auditType(delObj.type) + '.delete', before: delObj });
+        })
         .then(() => {
           var updateObj = { tree: true };
           if (delObj.type == 'jobSchedule') {
@@ -474,7 +499,8 @@ module.exports.scripttask = function (parent) {
         switch (command.pluginaction) {
             case 'addScript':
                 obj.db.addScript(command.name, command.content, command.path, command.filetype)
-                .then(() => {
+                .then(result => {
+                    obj.scriptCreated(myparent, result);
                     obj.updateFrontEnd( { tree: true } );
                 });            
             break;
@@ -491,16 +517,19 @@ module.exports.scripttask = function (parent) {
                   }
                 })
                 .then(() => {
-                    obj.db.addScript(command.name, '', parent_path, command.filetype)
+                    return obj.db.addScript(command.name, '', parent_path, command.filetype)
                 })
-                .then(() => {
+                .then(result => {
+                    obj.scriptCreated(myparent, result);
                     obj.updateFrontEnd( { tree: true } );
                 });
             break;
             case 'rename':
+              var renamed = null;
               obj.db.get(command.id)
               .then((docs) => {
                   var doc = docs[0];
+                  renamed = {...{}, ...doc};
                   if (doc.type == 'folder') {
                       console.log('old', doc.path, 'new', doc.path.replace(doc.path, command.name));
                       return obj.db.update(command.id, { path: doc.path.replace(doc.name, command.name) })
@@ -527,11 +556,15 @@ module.exports.scripttask = function (parent) {
                   return obj.db.updateScriptJobName(command.id, command.name);
               })
               .then(() => {
+                  return obj.db.get(command.id);
+              })
+              .then((found) => {
+                  obj.auditUI(myparent, { action: obj.auditType(renamed.type) + '.rename', before: renamed, after: found[0] });
                   obj.updateFrontEnd( { scriptId: command.id, nodeId: command.currentNodeId, tree: true } );
               });
             break;
             case 'move':
-              var toPath = null, fromPath = null, parentType = null;
+              var toPath = null, fromPath = null, parentType = null, moved = null;
               obj.db.get(command.to)
               .then(found => { // get target data
                   if (found.length > 0) {
@@ -544,6 +577,7 @@ module.exports.scripttask = function (parent) {
               })
               .then((found) => { // set item to new location
                   var file = found[0];
+                  moved = {...{}, ...file};
                   if (file.type == 'folder') {
                     fromPath = file.path;
                     toPath += '/' + file.name;
@@ -565,6 +599,10 @@ module.exports.scripttask = function (parent) {
                   }
               })
               .then(() => {
+                return obj.db.get(command.id);
+              })
+              .then((found) => {
+                obj.auditUI(myparent, { action: obj.auditType(moved.type) + '.move', before: moved, after: found[0] });
                 return obj.updateFrontEnd( { tree: true } );
               })
               .catch(e => { console.log('PLUGIN: ScriptTask: Error moving ', e.stack); });
@@ -588,13 +626,14 @@ module.exports.scripttask = function (parent) {
               .then(() => {
                   return obj.db.addFolder(command.name, new_path);
               })
-              .then(() => {
+              .then((result) => {
+                obj.auditCreated(myparent, 'folder.create', result);
                 return obj.updateFrontEnd( { tree: true } );
               })
               .catch(e => { console.log('PLUGIN: ScriptTask: Error creating new folder ', e.stack); });
             break;
             case 'delete':
-              obj.deleteElement(command);
+              obj.deleteElement(command, myparent);
             break;
             case 'addScheduledJob':
                 /* { 
@@ -604,7 +643,9 @@ module.exports.scripttask = function (parent) {
                     recur: command.recur, // [once, minutes, hourly, daily, weekly, monthly]
                     interval: x,
                     daysOfWeek: x, // only used for weekly recur val
-                    // onTheXDay: x, // only used for monthly
+                    dayOfMonth: x, // only used for monthly, 1-31 or 'last'
+                    onTheXDay: x, // only used for monthly, { week: 1-5 or 'last', day: 0-6 }, overrides dayOfMonth
+                    timezone: x, // IANA timezone the monthly days are calculated in
                     startAt: x,
                     endAt: x,
                     runCountLimit: x,
@@ -621,6 +662,9 @@ module.exports.scripttask = function (parent) {
                     recur: sj.recur,
                     interval: sj.interval,
                     daysOfWeek: sj.dayVals,
+                    dayOfMonth: (sj.dayOfMonth != null) ? sj.dayOfMonth : null,
+                    onTheXDay: (sj.onTheXDay != null) ? sj.onTheXDay : null,
+                    timezone: sj.timezone || null,
                     startAt: sj.startAt,
                     endAt: sj.endAt,
                     lastRun: null,
@@ -640,7 +684,8 @@ module.exports.scripttask = function (parent) {
                   proms.push(obj.db.addJobSchedule( sObj ));
                 }
                 Promise.all(proms)
-                .then(() => {
+                .then((results) => {
+                    results.forEach(r => obj.auditCreated(myparent, 'schedule.create', r));
                     obj.makeJobsFromSchedules();
                     return Promise.resolve();
                 })
@@ -652,16 +697,19 @@ module.exports.scripttask = function (parent) {
               var proms = [];
               if (Array.isArray(sel)) {
                 sel.forEach((s) => {
-                  proms.push(obj.db.addJob( { scriptId: scriptId, node: s, runBy: myparent.user.name } ));
+                  proms.push(obj.addCheckedJob( { scriptId: scriptId, node: s, runBy: myparent.user.name } ));
                 });
               } else {
-                proms.push(obj.db.addJob( { scriptId: scriptId, node: sel, runBy: myparent.user.name } ));
+                proms.push(obj.addCheckedJob( { scriptId: scriptId, node: sel, runBy: myparent.user.name } ));
               }
               Promise.all(proms)
               .then(() => {
                   return obj.db.get(scriptId);
               })
               .then(scripts => {
+                  (Array.isArray(sel) ? sel : [sel]).forEach(nodeId => {
+                      obj.auditUI(myparent, { action: 'script.run', target: { type: 'script', id: scriptId, name: scripts[0].name }, nodeId: nodeId });
+                  });
                   return obj.db.updateScriptJobName(scriptId, scripts[0].name);
               })
               .then(() => {
@@ -674,6 +722,12 @@ module.exports.scripttask = function (parent) {
                 //obj.debug('ScriptTask', 'getScript Triggered', JSON.stringify(command));
                 obj.db.get(command.scriptId)
                 .then(script => {
+                    if (script.length == 0) return;
+                    // a job pinned to an older version asks for that version's hash
+                    return obj.dispatcher.versions.forHash(script[0], command.scriptHash);
+                })
+                .then(script => {
+                    if (script == null) return;
                     myparent.send(JSON.stringify({ 
                         action: 'plugin',
                         plugin: 'scripttask',
@@ -681,32 +735,24 @@ module.exports.scripttask = function (parent) {
                         nodeid: myparent.dbNodeKey,
                         rights: true,
                         sessionid: true,
-                        script: script[0]
+                        script: script
                     }));
-                });
+                })
+                .catch(e => { console.log('PLUGIN: ScriptTask: Failed to send script. ', e); });
+            break;
+            case 'jobStarted':
+                obj.dispatcher.markRunning(command.jobId, myparent.dbNodeKey);
             break;
             case 'jobComplete':
                 //obj.debug('ScriptTask', 'jobComplete Triggered', JSON.stringify(command));
-                var jobNodeHistory = null, scriptHistory = null;
-                var jobId = command.jobId, retVal = command.retVal, errVal = command.errVal, dispatchTime = command.dispatchTime;
-                var completeTime = Math.floor(new Date() / 1000);
-                obj.db.update(jobId, {
-                    completeTime: completeTime,
-                    returnVal: retVal,
-                    errorVal: errVal,
-                    dispatchTime: dispatchTime
-                })
-                .then(() => {
-                    return obj.db.get(jobId)
-                    .then(jobs => {
-                        return Promise.resolve(jobs[0].jobSchedule);
-                    })
-                    .then(sId => {
-                        if (sId == null) return Promise.resolve();
-                        return obj.db.update(sId, { lastRun: completeTime } )
-                        .then(() => {
-                            obj.makeJobsFromSchedules(sId);
-                        });
+                obj.dispatcher.completeJob(command, myparent.dbNodeKey)
+                .then(job => {
+                    if (job != null && obj.apiServer) obj.apiServer.publishJobUpdate(job);
+                    if (job != null && obj.remediationEngine) obj.remediationEngine.handleJobComplete(job);
+                    if (job == null || job.jobSchedule == null) return Promise.resolve();
+                    return obj.db.update(job.jobSchedule, { lastRun: job.completeTime } )
+                    .then(() => {
+                        obj.makeJobsFromSchedules(job.jobSchedule);
                     });
                 })
                 .then(() => {
@@ -715,6 +761,17 @@ module.exports.scripttask = function (parent) {
                 .catch(e => { console.log('PLUGIN: ScriptTask: Failed to complete job. ', e); });
                 // update front end by eventing
             break;
+            case 'jobOutput':
+                // live output is only relayed, the full output is stored when the job completes
+                if (obj.apiServer) {
+                    obj.dispatcher.redactJobOutput(command.jobId, command.data, myparent.dbNodeKey)
+                    .then(data => {
+                        if (data == null) return; // not a job running on this node
+                        obj.apiServer.publishJobOutput(command.jobId, { stream: command.stream, seq: command.seq, data: data });
+                    })
+                    .catch(e => { console.log('PLUGIN: ScriptTask: Failed to relay job output. ', e); });
+                }
+            break;
             case 'loadNodeHistory':
                 obj.updateFrontEnd( { nodeId: command.nodeId } );
             break;
@@ -722,7 +779,21 @@ module.exports.scripttask = function (parent) {
                 obj.updateFrontEnd( { scriptId: command.scriptId } );
             break;
             case 'editScript':
-                obj.db.update(command.scriptId, { type: command.scriptType, name: command.scriptName, content: command.scriptContent })
+                var beforeEdit = null;
+                obj.db.get(command.scriptId)
+                .then(found => {
+                    beforeEdit = found[0] || null;
+                    // diagnostic scripts run on quarantined nodes, the same rule as in the API applies to their content
+                    if (beforeEdit != null && beforeEdit.diagnostic === true && beforeEdit.content !== command.scriptContent && !obj.canManageDiagnostic(myparent.user, beforeEdit)) {
+                        return { success: false, error: 'Only site administrators and users who can manage every device group of the script can change diagnostic scripts' };
+                    }
+                    // a content change is saved as a new version with a new hash for the agents' cache
+                    return obj.dispatcher.versions.save(command.scriptId, { name: command.scriptName, content: command.scriptContent }, { author: myparent.user.name, authorId: myparent.user._id, note: command.note || '' });
+                })
+                .then(result => {
+                    if (!result.success) { console.log('PLUGIN: ScriptTask: Failed to save script. ', result.error); return; }
+                    return obj.auditUI(myparent, { action: 'script.update', before: beforeEdit, after: result.script, details: result.version ? { version: result.version.version, note: result.version.note } : null });
+                })
                 .then(() => {
                     obj.updateFrontEnd( { scriptId: command.scriptId, tree: true } );
                 });
@@ -734,25 +805,59 @@ module.exports.scripttask = function (parent) {
                 obj.updateFrontEnd( { variables: true } );
             break;
             case 'newVar':
-                obj.db.addVariable(command.name, command.scope, command.scopeTarget, command.value)
-                .then(() => {
+                var encryptedValue = null;
+                try {
+                    if (command.secret === true) encryptedValue = obj.secrets.encrypt(command.value);
+                } catch (e) {
+                    console.log('PLUGIN: ScriptTask: Failed to encrypt variable. ', e);
+                    break;
+                }
+                obj.db.addVariable(command.name, command.scope, command.scopeTarget, command.value, encryptedValue)
+                .then((result) => {
+                    obj.auditCreated(myparent, 'variable.create', result);
                     obj.updateFrontEnd( { variables: true } );
                 })
+                .catch(e => { console.log('PLUGIN: ScriptTask: Failed to add variable. ', e); });
             break;
             case 'editVar':
-                obj.db.update(command.id, { 
-                    name: command.name, 
-                    scope: command.scope, 
-                    scopeTarget: command.scopeTarget,
-                    value: command.value
+                obj.db.get(command.id)
+                .then((found) => {
+                    var current = found[0] || {};
+                    var vUpdate = { 
+                        name: command.name, 
+                        scope: command.scope, 
+                        scopeTarget: command.scopeTarget
+                    };
+                    if (command.secret === true) {
+                        // the current value is never sent to the browser, an empty value keeps it
+                        // and a plain variable made secret has its stored value encrypted
+                        var secretValue = (command.value != null && command.value !== '') ? command.value : (current.secret ? null : current.value);
+                        if (secretValue != null) {
+                            vUpdate.encryptedValue = obj.secrets.encrypt(secretValue);
+                            vUpdate.value = null;
+                            vUpdate.secret = true;
+                        }
+                    } else {
+                        vUpdate.value = command.value;
+                        vUpdate.secret = false;
+                        vUpdate.encryptedValue = null;
+                    }
+                    return obj.updateAudited(myparent, 'variable.update', command.id, vUpdate);
                 })
                 .then(() => {
                     obj.updateFrontEnd( { variables: true } );
                 })
+                .catch(e => { console.log('PLUGIN: ScriptTask: Failed to update variable. ', e); });
             break;
             case 'deleteVar':
-                obj.db.delete(command.id)
+                var deletedVar = null;
+                obj.db.get(command.id)
+                .then((found) => {
+                    deletedVar = found[0] || null;
+                    return obj.db.delete(command.id);
+                })
                 .then(() => {
+                    obj.auditUI(myparent, { action: 'variable.delete', before: deletedVar });
                     obj.updateFrontEnd( { variables: true } );
                 })
             break;
@@ -777,7 +882,9 @@ module.exports.scripttask = function (parent) {
                 obj.config = {
                     apiServer: configData.apiServer || { enabled: false },
                     scheduler: configData.scheduler || { enabled: false },
-                    remediation: configData.remediation || { enabled: false }
+                    remediation: configData.remediation || { enabled: false },
+                    dispatcher: configData.dispatcher || {},
+                    secrets: configData.secrets || {}
                 };
                 
                 console.log('ScriptTask: Enhanced configuration loaded');
@@ -785,7 +892,9 @@ module.exports.scripttask = function (parent) {
                 obj.config = {
                     apiServer: { enabled: false },
                     scheduler: { enabled: false },
-                    remediation: { enabled: false }
+                    remediation: { enabled: false },
+                    dispatcher: {},
+                    secrets: {}
                 };
             }
         } catch (e) {
@@ -793,7 +902,9 @@ module.exports.scripttask = function (parent) {
             obj.config = {
                 apiServer: { enabled: false },
                 scheduler: { enabled: false },
-                remediation: { enabled: false }
+                remediation: { enabled: false },
+                dispatcher: {},
+                secrets: {}
             };
         }
     };
@@ -805,7 +916,8 @@ module.exports.scripttask = function (parent) {
             obj.advancedScheduler = new AdvancedScheduler(
                 obj.meshServer,
                 obj.db,
-                obj.config.scheduler
+                obj.config.scheduler,
+                obj.dispatcher
             );
             
             obj.advancedScheduler.initialize()
@@ -833,7 +945,8 @@ module.exports.scripttask = function (parent) {
             obj.remediationEngine = new RemediationEngine(
                 obj.meshServer,
                 obj.db,
-                obj.config.remediation
+                obj.config.remediation,
+                obj.dispatcher
             );
             
             obj.remediationEngine.initialize()
@@ -0,0 +1,230 @@
+/**
+ * @description Tests of email delivery for remediation, against a local SMTP sink
+ * @author Enhanced by Copilot
+ * @license Apache-2.0
+ */
+
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const Mailer = require('../remediation/mailer');
+const ActionHandler = require('../remediation/actions');
+
+/**
+ * Minimal SMTP server that accepts every message and keeps it
+ * @returns {Promise<Object>} - { port, messages, close }
+ */
+function startSink() {
+    const messages = [];
+    const server = net.createServer(socket => {
+        let buffer = '';
+        let message = null;
+        let data = null;
+        const reply = (line) => socket.write(line + '\r\n');
+
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            let end;
+            while ((end = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+
+                if (data !== null) {
+                    if (line === '.') {
+                        message.data = data.join('\r\n');
+                        messages.push(message);
+                        data = null;
+                        reply('250 Queued');
+                    } else {
+                        data.push(line.startsWith('..') ? line.slice(1) : line);
+                    }
+                    continue;
+                }
+
+                const verb = line.slice(0, 4).toUpperCase();
+                if (verb === 'EHLO' || verb === 'HELO') reply('250 sink');
+                else if (verb === 'MAIL') { message = { from: line.slice(10), to: [] }; reply('250 OK'); }
+                else if (verb === 'RCPT') { message.to.push(line.slice(8)); reply('250 OK'); }
+                else if (verb === 'DATA') { data = []; reply('354 Go ahead'); }
+                else if (verb === 'QUIT') { reply('221 Bye'); socket.end(); }
+                else reply('250 OK');
+            }
+        });
+        socket.on('error', () => {});
+        reply('220 sink ESMTP');
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve({
+            port: server.address().port,
+            messages: messages,
+            close: () => new Promise(done => server.close(done))
+        }));
+    });
+}
+
+/**
+ * Headers and decoded body of a message received by the sink
+ * @param {String} raw
+ * @returns {Object} - { headers, body }
+ */
+function parseMessage(raw) {
+    const split = raw.indexOf('\r\n\r\n');
+    const headers = {};
+    for (const line of raw.slice(0, split).replace(/\r\n[ \t]+/g, ' ').split('\r\n')) {
+        const colon = line.indexOf(':');
+        headers[line.slice(0, colon).toLowerCase()] = line.slice(colon + 1).trim();
+    }
+    let body = raw.slice(split + 4);
+    if (/quoted-printable/i.test(headers['content-transfer-encoding'] || '')) {
+        body = body.replace(/=\r\n/g, '').replace(/=([0-9A-F]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16)));
+    }
+    return { headers: headers, body: body.replace(/\r\n/g, '\n') };
+}
+
+test.describe('Mailer.getSmtpConfig', () => {
+    const meshSmtp = { host: 'mesh.example.com', port: 587, from: 'mesh@example.com', user: 'u', pass: 'p' };
+    const ownSmtp = { host: 'own.example.com', from: 'own@example.com' };
+
+    test.it('uses MeshCentral\'s mail settings first', () => {
+        const mailer = new Mailer({ config: { smtp: meshSmtp } }, { smtp: ownSmtp });
+        const smtp = mailer.getSmtpConfig();
+        assert.strictEqual(smtp.source, 'meshcentral');
+        assert.strictEqual(smtp.host, 'mesh.example.com');
+        assert.strictEqual(smtp.port, 587);
+        assert.strictEqual(smtp.from, 'mesh@example.com');
+        assert.strictEqual(smtp.rejectUnauthorized, true);
+    });
+
+    test.it('falls back to the remediation settings', () => {
+        const mailer = new Mailer({ config: {} }, { smtp: ownSmtp });
+        const smtp = mailer.getSmtpConfig();
+        assert.strictEqual(smtp.source, 'scripttask');
+        assert.strictEqual(smtp.host, 'own.example.com');
+        assert.strictEqual(smtp.port, 25);
+        assert.strictEqual(smtp.secure, false);
+    });
+
+    test.it('ignores MeshCentral settings without a host', () => {
+        const mailer = new Mailer({ config: { smtp: { from: 'x@example.com' } } }, { smtp: ownSmtp });
+        assert.strictEqual(mailer.getSmtpConfig().source, 'scripttask');
+    });
+
+    test.it('defaults to port 465 for TLS', () => {
+        const mailer = new Mailer({ config: { smtp: { host: 'mesh.example.com', tls: true } } });
+        assert.strictEqual(mailer.getSmtpConfig().port, 465);
+        assert.strictEqual(mailer.getSmtpConfig().secure, true);
+    });
+
+    test.it('has no settings when neither is configured', () => {
+        assert.strictEqual(new Mailer({ config: {} }, {}).getSmtpConfig(), null);
+    });
+});
+
+test.describe('Mailer.send', () => {
+    let sink;
+    test.before(async () => { sink = await startSink(); });
+    test.after(() => sink.close());
+
+    const sinkMailer = (smtp = {}) => new Mailer({ config: {} }, { smtp: { host: '127.0.0.1', port: sink.port, from: 'scripttask@example.com', ...smtp } });
+
+    test.it('fails without an SMTP server', async () => {
+        const result = await new Mailer({ config: {} }, {}).send({ to: 'ops@example.com', subject: 's', text: 't' });
+        assert.strictEqual(result.success, false);
+        assert.match(result.error, /No SMTP server/);
+    });
+
+    test.it('fails without a sender address', async () => {
+        const result = await sinkMailer({ from: undefined }).send({ to: 'ops@example.com', subject: 's', text: 't' });
+        assert.strictEqual(result.success, false);
+        assert.match(result.error, /No sender address/);
+    });
+
+    test.it('fails without a recipient', async () => {
+        for (const to of [undefined, '', []]) {
+            const result = await sinkMailer().send({ to: to, subject: 's', text: 't' });
+            assert.deepStrictEqual(result, { success: false, error: 'No recipient' });
+        }
+        assert.strictEqual(sink.messages.length, 0);
+    });
+
+    test.it('delivers to every recipient', async () => {
+        const mailer = sinkMailer();
+        const result = await mailer.send({ to: ['ops@example.com', 'oncall@example.com'], subject: 'Disk full', text: 'Cleaned up' });
+        mailer.transport.close();
+
+        assert.strictEqual(result.success, true);
+        const message = sink.messages.pop();
+        assert.strictEqual(message.from, '<scripttask@example.com>');
+        assert.deepStrictEqual(message.to, ['<ops@example.com>', '<oncall@example.com>']);
+        const { headers, body } = parseMessage(message.data);
+        assert.strictEqual(headers.subject, 'Disk full');
+        assert.strictEqual(body.trim(), 'Cleaned up');
+    });
+});
+
+test.describe('ActionHandler.sendEmail', () => {
+    let sink;
+    test.before(async () => { sink = await startSink(); });
+    test.after(() => sink.close());
+
+    const meshServer = (port) => ({
+        config: { smtp: { host: '127.0.0.1', port: port, from: 'mesh@example.com' } },
+        webserver: { meshes: { 'mesh//1': { name: 'Servers' } } },
+        db: { Get: (id, callback) => callback(null, [{ _id: id, name: 'web01', meshid: 'mesh//1' }]) }
+    });
+    const workflow = { _id: 'wf1', name: 'Disk cleanup' };
+    const execution = {
+        _id: 'ex1',
+        nodeId: 'node//1',
+        status: 'completed',
+        startTime: Date.UTC(2026, 9, 19, 8, 30),
+        stepResults: [
+            { stepId: 'check', stepName: 'Check disk', status: 'completed', output: 'used 97%' },
+            { stepId: 'clean', stepName: 'Clean up', status: 'failed', error: 'exit code 1', output: 'freed 2 GB' }
+        ]
+    };
+
+    test.it('renders the default subject and body', async () => {
+        const handler = new ActionHandler(meshServer(sink.port), null, {});
+        const result = await handler.sendEmail({ to: 'ops@example.com' }, execution, workflow);
+        handler.mailer.transport.close();
+
+        assert.strictEqual(result.success, true);
+        const message = sink.messages.pop();
+        assert.strictEqual(message.from, '<mesh@example.com>');
+        const { headers, body } = parseMessage(message.data);
+        assert.strictEqual(headers.subject, '[ScriptTask] Disk cleanup on web01: completed');
+        assert.strictEqual(body.trim(), [
+            'Remediation workflow "Disk cleanup" on web01 (Servers)',
+            'Status: completed',
+            'Started: 2026-10-19T08:30:00.000Z',
+            '',
+            'Steps:',
+            '- Check disk: completed',
+            '- Clean up: failed (exit code 1)',
+            '',
+            'Last output:',
+            'freed 2 GB'
+        ].join('\n'));
+    });
+
+    test.it('renders templated recipients, subject and body', async () => {
+        const handler = new ActionHandler(meshServer(sink.port), null, {});
+        const result = await handler.sendEmail({
+            to: ['{{node.name}}@example.com'],
+            subject: '{{workflow.name}}: {{steps.clean.status}}',
+            body: 'Output of {{steps.check.name}}: {{steps.check.output}}'
+        }, execution, workflow);
+        handler.mailer.transport.close();
+
+        assert.strictEqual(result.success, true);
+        const message = sink.messages.pop();
+        assert.deepStrictEqual(message.to, ['<web01@example.com>']);
+        const { headers, body } = parseMessage(message.data);
+        assert.strictEqual(headers.subject, 'Disk cleanup: failed');
+        assert.strictEqual(body.trim(), 'Output of Check disk: used 97%');
+    });
+});
@@ -0,0 +1,128 @@
+/**
+ * @description Tests of the monthly recurrence of legacy (v1) job schedules
+ * @author Enhanced by Copilot
+ * @license Apache-2.0
+ */
+
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { DateTime } = require('luxon');
+const { nextMonthlyRun, getMonthlyDay } = require('../scheduler/recurrence');
+
+// Unix time in seconds of a local time in a zone
+const at = (iso, zone = 'UTC') => Math.floor(DateTime.fromISO(iso, { zone: zone }).toSeconds());
+
+// Local time of a unix time in a zone, e.g. 2024-02-29T09:00
+const local = (seconds, zone = 'UTC') => DateTime.fromSeconds(seconds, { zone: zone }).toFormat("yyyy-MM-dd'T'HH:mm");
+
+// Schedule that ran at its start time, as when nextRun is recalculated after the first run
+const ranOnce = (schedule) => ({ interval: 1, timezone: 'UTC', ...schedule, nextRun: schedule.startAt });
+
+test.describe('getMonthlyDay', () => {
+    const month = (iso) => DateTime.fromISO(iso, { zone: 'UTC' });
+
+    test.it('clamps days past the end of the month', () => {
+        assert.strictEqual(getMonthlyDay({ dayOfMonth: 31 }, month('2024-02-01')), 29);
+        assert.strictEqual(getMonthlyDay({ dayOfMonth: 31 }, month('2023-02-01')), 28);
+        assert.strictEqual(getMonthlyDay({ dayOfMonth: 31 }, month('2024-04-01')), 30);
+        assert.strictEqual(getMonthlyDay({ dayOfMonth: 15 }, month('2024-02-01')), 15);
+    });
+
+    test.it('runs on the last day', () => {
+        assert.strictEqual(getMonthlyDay({ dayOfMonth: 'last' }, month('2024-02-01')), 29);
+        assert.strictEqual(getMonthlyDay({ dayOfMonth: 'last' }, month('2100-02-01')), 28); // not a leap year
+        assert.strictEqual(getMonthlyDay({ dayOfMonth: 'last' }, month('2000-02-01')), 29);
+    });
+
+    test.it('finds the nth weekday', () => {
+        // October 2026 starts on a Thursday
+        assert.strictEqual(getMonthlyDay({ onTheXDay: { week: 1, day: 4 } }, month('2026-10-01')), 1);
+        assert.strictEqual(getMonthlyDay({ onTheXDay: { week: 2, day: 2 } }, month('2026-10-01')), 13);
+        assert.strictEqual(getMonthlyDay({ onTheXDay: { week: 1, day: 0 } }, month('2026-10-01')), 4); // Sunday is 0
+        assert.strictEqual(getMonthlyDay({ onTheXDay: { week: 5, day: 6 } }, month('2026-10-01')), 31);
+    });
+
+    test.it('finds the last weekday', () => {
+        assert.strictEqual(getMonthlyDay({ onTheXDay: { week: 'last', day: 5 } }, month('2026-10-01')), 30);
+        assert.strictEqual(getMonthlyDay({ onTheXDay: { week: 'last', day: 6 } }, month('2026-10-01')), 31);
+        assert.strictEqual(getMonthlyDay({ onTheXDay: { week: 'last', day: 4 } }, month('2024-02-01')), 29);
+    });
+
+    test.it('has no day for a missing 5th weekday', () => {
+        assert.strictEqual(getMonthlyDay({ onTheXDay: { week: 5, day: 2 } }, month('2026-02-01')), null);
+        assert.strictEqual(getMonthlyDay({ onTheXDay: { week: 5, day: 1 } }, month('2026-11-01')), 30);
+    });
+});
+
+test.describe('nextMonthlyRun', () => {
+    test.it('runs first at the start time', () => {
+        const s = { startAt: at('2024-01-31T09:00'), interval: 1, timezone: 'UTC', dayOfMonth: 31 };
+        assert.strictEqual(local(nextMonthlyRun(s, s.startAt)), '2024-01-31T09:00');
+    });
+
+    test.it('moves from Jan 31 to Feb 29 in a leap year', () => {
+        const s = ranOnce({ startAt: at('2024-01-31T09:00'), dayOfMonth: 31 });
+        assert.strictEqual(local(nextMonthlyRun(s, s.startAt)), '2024-02-29T09:00');
+    });
+
+    test.it('moves from Jan 31 to Feb 28 outside leap years', () => {
+        const s = ranOnce({ startAt: at('2023-01-31T09:00'), dayOfMonth: 31 });
+        assert.strictEqual(local(nextMonthlyRun(s, s.startAt)), '2023-02-28T09:00');
+    });
+
+    test.it('goes back to the 31st after a short month', () => {
+        const s = { startAt: at('2024-01-31T09:00'), interval: 1, timezone: 'UTC', dayOfMonth: 31, nextRun: at('2024-02-29T09:00') };
+        assert.strictEqual(local(nextMonthlyRun(s, s.nextRun)), '2024-03-31T09:00');
+    });
+
+    test.it('runs on the last day of February', () => {
+        const s = ranOnce({ startAt: at('2024-01-31T09:00'), dayOfMonth: 'last' });
+        assert.strictEqual(local(nextMonthlyRun(s, s.startAt)), '2024-02-29T09:00');
+    });
+
+    test.it('counts the interval from the start month', () => {
+        const s = ranOnce({ startAt: at('2024-11-30T09:00'), interval: 3, dayOfMonth: 30 });
+        assert.strictEqual(local(nextMonthlyRun(s, s.startAt)), '2025-02-28T09:00');
+    });
+
+    test.it('runs on the nth weekday', () => {
+        const s = ranOnce({ startAt: at('2026-10-13T09:00'), onTheXDay: { week: 2, day: 2 } });
+        assert.strictEqual(local(nextMonthlyRun(s, s.startAt)), '2026-11-10T09:00');
+    });
+
+    test.it('skips months without a 5th weekday', () => {
+        // In 2027 only March and June have a 5th Tuesday before August
+        const first = { startAt: at('2027-01-05T09:00'), interval: 1, timezone: 'UTC', onTheXDay: { week: 5, day: 2 } };
+        assert.strictEqual(local(nextMonthlyRun(first, first.startAt)), '2027-03-30T09:00');
+
+        const s = ranOnce({ startAt: at('2027-03-30T09:00'), onTheXDay: { week: 5, day: 2 } });
+        assert.strictEqual(local(nextMonthlyRun(s, s.startAt)), '2027-06-29T09:00');
+    });
+
+    test.it('runs on the last weekday', () => {
+        const s = ranOnce({ startAt: at('2024-01-26T09:00'), onTheXDay: { week: 'last', day: 5 } });
+        assert.strictEqual(local(nextMonthlyRun(s, s.startAt)), '2024-02-23T09:00');
+    });
+
+    test.it('keeps the local time across a DST change', () => {
+        const zone = 'America/New_York'; // DST starts 2024-03-10
+        const s = ranOnce({ startAt: at('2024-02-15T09:00', zone), timezone: zone, dayOfMonth: 15 });
+        const next = nextMonthlyRun(s, s.startAt);
+
+        assert.strictEqual(local(next, zone), '2024-03-15T09:00');
+        assert.strictEqual(next - s.startAt, (29 * 24 - 1) * 3600); // an hour shorter in UTC
+    });
+
+    test.it('moves a time skipped by DST forward', () => {
+        const zone = 'America/New_York'; // 02:00 to 03:00 on 2024-03-10
+        const s = ranOnce({ startAt: at('2024-02-10T02:30', zone), timezone: zone, dayOfMonth: 10 });
+        assert.strictEqual(local(nextMonthlyRun(s, s.startAt), zone), '2024-03-10T03:30');
+    });
+
+    test.it('does not catch up on missed months', () => {
+        const s = ranOnce({ startAt: at('2024-01-31T09:00'), dayOfMonth: 31 });
+        assert.strictEqual(local(nextMonthlyRun(s, at('2024-05-01T00:00'))), '2024-05-31T09:00');
+    });
+});
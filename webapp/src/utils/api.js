@@ -4,12 +4,17 @@ const api = axios.create({
   baseURL: '/api',
   timeout: 30000,
   headers: {
-    'Content-Type': 'application/json'
+    'Content-Type': 'application/json',
+    // Lets the API accept the MeshCentral session cookie for changes
+    'X-Requested-With': 'XMLHttpRequest'
   }
 })
 
 api.interceptors.request.use(
   (config) => {
+    // Without a token the MeshCentral session cookie is used
+    const token = localStorage.getItem('token')
+    if (token) config.headers.Authorization = `Bearer ${token}`
     return config
   },
   (error) => {
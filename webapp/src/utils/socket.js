@@ -0,0 +1,15 @@
+import { io } from 'socket.io-client'
+
+let socket = null
+
+// One shared connection for the whole app, created on first use
+export const getSocket = () => {
+  if (!socket) {
+    socket = io({
+      auth: (cb) => cb({ token: localStorage.getItem('token') })
+    })
+  }
+  return socket
+}
+
+export default getSocket